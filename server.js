@@ -1,9 +1,6 @@
 import express from "express";
 import path from "path";
 import { fileURLToPath } from "url";
-import fetch from "node-fetch";
-import { parseStringPromise } from "xml2js";
-import * as cheerio from "cheerio";
 import session from "express-session";
 import createMemoryStore from "memorystore";
 import fs from "fs";
@@ -15,9 +12,39 @@ import galleryRoutes from "./server/routes/gallery.js";
 import blogRoutes from "./server/routes/blog.js";
 import adminBlogRoutes from "./server/routes/admin-blog.js";
 import backupRoutes from "./server/routes/backup.js";
+import consultationRoutes from "./server/routes/consultations.js";
+import careerRoutes from "./server/routes/careers.js";
+import adminCareerRoutes from "./server/routes/admin-careers.js";
+import projectRoutes from "./server/routes/projects.js";
+import searchRoutes from "./server/routes/search.js";
+import feedRoutes from "./server/routes/feeds.js";
+import blogPageRoutes from "./server/routes/blog-pages.js";
+import adminRedirectRoutes from "./server/routes/admin-redirects.js";
+
+// Redirect rules and 404 logging
+import { redirectRules, notFoundHandler } from "./server/middleware/redirects.js";
+
+// Legacy HubSpot blog (RSS + scraped post pages)
+import {
+  getHubspotFeed,
+  scrapeHubSpotBlogPost
+} from "./server/services/hubspotBlog.js";
+import BlogLegacyRedirect from "./server/models/BlogLegacyRedirect.js";
 
 // Import sitemap generator
-import { generateXMLSitemap } from "./server/utils/sitemapGenerator.js";
+import { getSitemapIndex, getSitemapFile } from "./server/utils/sitemapGenerator.js";
+// Stable links to Railway media
+import { getPresignedUrl } from "./server/services/railwayClient.js";
+import { isPublicMediaKey } from "./server/config/railway.js";
+
+// Import scheduled blog publishing
+import { startBlogScheduler } from "./server/utils/blogScheduler.js";
+
+// Import site-wide search index
+import { buildSiteSearchIndex } from "./server/utils/siteSearch.js";
+
+// Import page rendering (header/footer partials filled in on the server)
+import { renderPage } from "./server/utils/pageIncludes.js";
 
 // NOTE: Database is now lazily initialized when admin routes are accessed. This prevents sql.js WASM loading when non-database routes (like blog API) are called
 
@@ -59,13 +86,6 @@ app.use(
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// IMPORTANT: Set this to the real HubSpot RSS feed URL.
-// For example, if the blog is at https://blog.example.com/,
-// the RSS is often at: https://blog.example.com/rss.xml
-const HUBSPOT_RSS_URL =
-  process.env.HUBSPOT_RSS_URL ||
-  "https://blog.raymonddesignbuilders.com/news-info/rss.xml";
-
 // Normalize trailing slashes (remove them for consistency, except root)
 app.use((req, res, next) => {
   const hasTrailingSlash = req.path.length > 1 && req.path.endsWith("/");
@@ -82,80 +102,57 @@ app.use((req, res, next) => {
   next();
 });
 
-// Custom legacy service redirects
-const redirectMap = {
-  "/pages/services/Master-Suite-Additions":
-    "/pages/services/home-additions/Master-Suite-Additions",
-
-  "/pages/services/room-additions":
-    "/pages/services/home-additions/room-additions",
-
-  "/pages/services/sunroom":
-    "/pages/services/home-additions/sunroom",
-
-  "/pages/services/kitchen":
-    "/pages/services/home-remodeling/kitchen",
-
-  "/pages/services/bathroom":
-    "/pages/services/home-remodeling/bathroom",
-
-  "/pages/services/basement-conversions":
-    "/pages/services/home-remodeling/basement-conversions",
-
-  "/pages/services/basement":
-    "/pages/services/home-remodeling/basement-conversions",
-
-  "/pages/services/garage-conversions":
-    "/pages/services/home-remodeling/garage-conversions",
-
-  "/pages/services/custom-patios":
-    "/pages/services/outdoor-living/custom-patios",
-
-  "/pages/services/custom-decks":
-    "/pages/services/outdoor-living/custom-decks",
-
-  "/pages/services/outdoor-kitchens":
-    "/pages/services/outdoor-living/outdoor-kitchens",
-
-  "/pages/services/screened-patios":
-    "/pages/services/outdoor-living/screened-patios",
-
-  "/pages/services/screened-in-porches":
-    "/pages/services/outdoor-living/screened-patios",
-
-  "/pages/services/index":
-    "/pages/services",
-
-  "/pages/services/gallery":
-    "/pages/gallery",
-
-  "/pages/services/services":
-    "/pages/services"
-};
+// Admin-managed redirect rules (legacy service URLs, moved pages, removed pages)
+app.use(redirectRules);
 
+// Blog posts live at /blog/:slug (server-rendered); preview links stay on the page shell
 app.use((req, res, next) => {
-  const target = redirectMap[req.path];
-  if (target) {
-    const queryString = req.url.includes("?")
-      ? req.url.slice(req.url.indexOf("?"))
-      : "";
-    return res.redirect(301, target + queryString);
+  if (
+    (req.path === "/pages/blog-post" || req.path === "/pages/blog-post.html") &&
+    typeof req.query.slug === "string" &&
+    req.query.slug &&
+    !req.query.preview
+  ) {
+    return res.redirect(301, `/blog/${encodeURIComponent(req.query.slug)}`);
+  }
+  next();
+});
+
+// Legacy HubSpot links (blog-post.html?id=<HubSpot URL>) -> imported post
+app.use(async (req, res, next) => {
+  if (
+    (req.path === "/pages/blog-post" || req.path === "/pages/blog-post.html") &&
+    typeof req.query.id === "string" &&
+    req.query.id
+  ) {
+    try {
+      const legacy = await BlogLegacyRedirect.findPost(req.query.id);
+      if (legacy && legacy.status === "published") {
+        return res.redirect(301, `/blog/${encodeURIComponent(legacy.slug)}`);
+      }
+      // Not imported (or not public) - send readers to the blog listing
+      return res.redirect(302, "/pages/blog");
+    } catch (error) {
+      return next(error);
+    }
   }
   next();
 });
 
 // Clean URL handler - serve .html files or folder index.html for URLs without extension
-app.use((req, res, next) => {
+// (with the header and footer partials filled in and the current nav item marked)
+app.use(async (req, res, next) => {
   if (req.path.startsWith("/pages/") && !req.path.includes(".")) {
     const htmlPath = path.join(__dirname, req.path + ".html");
     const indexPath = path.join(__dirname, req.path, "index.html");
+    const filePath = [htmlPath, indexPath].find((file) => fs.existsSync(file));
 
-    if (fs.existsSync(htmlPath)) {
-      return res.sendFile(htmlPath);
-    }
-
-    if (fs.existsSync(indexPath)) {
-      return res.sendFile(indexPath);
+    if (filePath) {
+      try {
+        return res.type("html").send(await renderPage(filePath, req.path));
+      } catch (error) {
+        return next(error);
+      }
     }
   }
   next();
@@ -174,6 +171,11 @@ app.use((req, res, next) => {
   next();
 });
 
+// Never serve private server data (SQLite database, résumés) or staged uploads
+app.use(["/data", "/uploads"], (req, res) => {
+  res.status(404).send("Not found");
+});
+
 // Serve static files. Adjust this path if the site assets live elsewhere.
 const STATIC_DIR = path.join(__dirname, ".");
 app.use(express.static(STATIC_DIR, { redirect: false }));
@@ -190,6 +192,26 @@ app.use("/api/admin/blog", adminBlogRoutes);
 // Mount backup routes (admin only)
 app.use("/api/admin/backup", backupRoutes);
 
+// Mount consultation request routes (public submit, editor management)
+app.use("/api/consultations", consultationRoutes);
+
+// Mount careers routes (public jobs + applications, admin job postings and résumés)
+app.use("/api/careers", careerRoutes);
+app.use("/api/admin/careers", adminCareerRoutes);
+
+// Mount portfolio project routes (public list/detail, editor management)
+app.use("/api/projects", projectRoutes);
+
+// Mount redirect rules and 404 log management (admin only)
+app.use("/api/admin/redirects", adminRedirectRoutes);
+
+// Mount site-wide search (pages, services, blog posts, gallery)
+app.use("/api/search", searchRoutes);
+
+// Mount blog RSS/Atom feeds (site-wide and per category) and server-rendered posts
+app.use("/blog", feedRoutes);
+app.use("/blog", blogPageRoutes);
+
 // Mount admin comment routes (under /api/admin for consistency)
 // Note: These are included in adminBlogRoutes at /api/admin/blog/comments/*
 
@@ -213,229 +235,82 @@ app.get("/admin/:page", (req, res) => {
   });
 });
 
-// Helper: Fetch and parse HubSpot RSS feed
-async function fetchHubspotRss() {
-  const resp = await fetch(HUBSPOT_RSS_URL);
-
-  if (!resp.ok) {
-    throw new Error(
-      `Failed RSS fetch: ${resp.status} ${resp.statusText} for ${HUBSPOT_RSS_URL}`
-    );
-  }
+// Simple health check
+app.get("/health", (req, res) => {
+  res.json({ status: "ok" });
+});
 
-  const xml = await resp.text();
-  const parsed = await parseStringPromise(xml, { explicitArray: false });
-  const items = parsed?.rss?.channel?.item || [];
-  const list = Array.isArray(items) ? items : [items];
-  return list;
-}
+/**
+ * Send a sitemap (index or file) with an ETag, answering 304 when unchanged
+ */
+function sendSitemap(req, res, sitemap) {
+  res.set({
+    "Content-Type": "application/xml",
+    ETag: sitemap.etag,
+    "Cache-Control": "public, max-age=300"
+  });
 
-// Helper: Normalize RSS item to consistent format
-function normalizeItem(item) {
-  // GUID can be an object or string.
-  const rawGuid =
-    (item.guid && (item.guid._ || item.guid)) || item.link || item.title || "";
-
-  const id = rawGuid;
-  const title = item.title || "";
-  const link = item.link || "";
-  const description = item.description || "";
-  const pubDate = item.pubDate || "";
-
-  // Some HubSpot RSS feeds include full content in content:encoded.
-  // If not present, fall back to description.
-  const contentHtml =
-    item["content:encoded"] && item["content:encoded"].trim().length > 0
-      ? item["content:encoded"]
-      : description;
-
-  return {
-    id,
-    title,
-    link,
-    description,
-    pubDate,
-    contentHtml
-  };
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+  res.send(sitemap.xml);
 }
 
-// Helper: Scrape full blog post content from HubSpot URL
-async function scrapeHubSpotBlogPost(url) {
+// XML Sitemap index
+app.get("/sitemap.xml", async (req, res) => {
   try {
-    const response = await fetch(url);
-
-    if (!response.ok) {
-      throw new Error(`Failed to fetch blog post: ${response.status}`);
-    }
-
-    const html = await response.text();
-    const $ = cheerio.load(html);
-
-    // Remove unwanted elements globally
-    $("script").remove();
-    $("style").remove();
-    $(".hs-cta-wrapper").remove();
-    $(".hs-form").remove();
-    $('img[src*="track.hubspot.com"]').remove(); // Remove tracking pixels
-    $("nav").remove(); // Remove navigation
-    $("header").remove(); // Remove header
-    $("footer").remove(); // Remove footer
-    $(".header").remove();
-    $(".footer").remove();
-    $(".navigation").remove();
-
-    // Try to find the main blog content using HubSpot-specific selectors
-    let content = "";
-
-    // Try different common HubSpot blog content selectors in order of specificity
-    const selectors = [
-      "#main-content",
-      ".blog-post-content",
-      ".post-body",
-      ".hs-blog-post-body",
-      ".blog-index__post-content",
-      "article .post-content",
-      ".blog-post .body",
-      "main",
-      "article"
-    ];
-
-    for (const selector of selectors) {
-      const element = $(selector);
-      if (element.length > 0) {
-        content = element.html();
-        console.log(`Found content using selector: ${selector}`);
-        break;
-      }
-    }
-
-    // Clean up the content
-    if (content) {
-      // Load content into new cheerio instance for cleaning
-      const $content = cheerio.load(content);
-
-      // Remove the title (h1) since we display it separately from RSS feed
-      $content("h1").first().remove();
-
-      // Remove any remaining unwanted elements from content
-      $content(".sidebar").remove();
-      $content(".related-posts").remove();
-      $content(".comments").remove();
-      $content(".share-buttons").remove();
-      $content("nav").remove();
-      $content(".hhs-blog-grid-cards").remove();
-      $content(".post-page").remove();
-      $content(".blog-index").remove();
-
-      // Fix image paths to be absolute
-      $content("img").each((i, img) => {
-        const src = $content(img).attr("src");
-        if (src && src.startsWith("/")) {
-          const baseUrl = new URL(url).origin;
-          $content(img).attr("src", baseUrl + src);
-        }
-      });
-
-      // Fix link paths - convert HubSpot blog internal links to point to our site
-      $content("a").each((i, link) => {
-        const href = $content(link).attr("href");
-        if (href) {
-          // Check if it's a HubSpot blog link
-          if (href.includes("blog.raymonddesignbuilders.com/news-info")) {
-            // This is a blog post link - convert to our blog-post.html format
-            const postPath = href.split("/news-info/")[1];
-            if (postPath && postPath.trim()) {
-              $content(link).attr(
-                "href",
-                `./blog-post.html?id=${encodeURIComponent(href)}`
-              );
-            }
-          } else if (
-            href.includes("raymonddesignbuilders.com") &&
-            !href.includes("blog.raymonddesignbuilders.com")
-          ) {
-            // This is a link to the old main site - convert to new site pages
-
-            // Map common old site URLs to new site pages
-            if (
-              href.includes("/contact") ||
-              href.toLowerCase().includes("contact")
-            ) {
-              $content(link).attr("href", "./consultation.html");
-            } else if (
-              href.includes("/portfolio") ||
-              href.includes("/projects") ||
-              href.includes("/our-work")
-            ) {
-              $content(link).attr("href", "./portfolio.html");
-            } else if (href.includes("/gallery")) {
-              $content(link).attr("href", "./gallery.html");
-            } else if (href.includes("/about")) {
-              $content(link).attr("href", "./about.html");
-            } else if (href.includes("/services")) {
-              $content(link).attr("href", "./services.html");
-            } else {
-              // Default to home page for other old site links
-              $content(link).attr("href", "./index.html");
-            }
-          } else if (href.startsWith("/") && !href.startsWith("//")) {
-            // Relative link - make absolute to HubSpot site
-            const baseUrl = new URL(url).origin;
-            $content(link).attr("href", baseUrl + href);
-          }
-        }
-      });
-
-      content = $content.html();
-    }
+    sendSitemap(req, res, await getSitemapIndex());
+  } catch (error) {
+    console.error("Error generating sitemap index:", error);
+    res.status(500).send("Error generating sitemap");
+  }
+});
 
-    if (!content || content.trim().length < 50) {
-      return (
-        '<p>Content could not be extracted from this blog post. <a href="' +
-        url +
-        '" target="_blank">View original post</a></p>'
-      );
+// Sitemaps listed in the index (sitemap-pages.xml, sitemap-blog-2.xml, ...)
+app.get(/^\/sitemap-[a-z]+(?:-\d+)?\.xml$/, async (req, res, next) => {
+  try {
+    const sitemap = await getSitemapFile(req.path.substring(1));
+    if (!sitemap) {
+      return next();
     }
-
-    return content;
+    sendSitemap(req, res, sitemap);
   } catch (error) {
-    console.error("Error scraping blog post:", error);
-    return (
-      '<p>Unable to load blog post content. <a href="' +
-      url +
-      '" target="_blank">View original post</a></p>'
-    );
+    console.error(`Error generating ${req.path}:`, error);
+    res.status(500).send("Error generating sitemap");
   }
-}
-
-// Simple health check
-app.get("/health", (req, res) => {
-  res.json({ status: "ok" });
 });
 
-// XML Sitemap generation
-app.get("/sitemap.xml", async (req, res) => {
+// Railway media at a stable URL (used by sitemap-media.xml): presigned links
+// expire, so each request is redirected to a freshly signed one
+app.get("/media/*key", async (req, res, next) => {
+  const key = req.params.key.join("/");
+  if (!isPublicMediaKey(key)) {
+    return next();
+  }
+
   try {
-    const sitemap = await generateXMLSitemap();
-    res.header("Content-Type", "application/xml");
-    res.send(sitemap);
+    res.set("Cache-Control", "public, max-age=3600");
+    res.redirect(302, await getPresignedUrl(key));
   } catch (error) {
-    console.error("Error generating sitemap:", error);
-    res.status(500).send("Error generating sitemap");
+    console.error(`Error signing media URL for ${key}:`, error);
+    res.status(500).send("Error loading media");
   }
 });
 
 // Serve home page at root
-app.get("/", (req, res) => {
-  res.sendFile(path.join(__dirname, "pages", "index.html"));
+app.get("/", async (req, res, next) => {
+  try {
+    res.type("html").send(await renderPage(path.join(__dirname, "pages", "index.html"), req.path));
+  } catch (error) {
+    next(error);
+  }
 });
 
-// API: Fetch and return HubSpot RSS as JSON (blog listing)
+// API: Fetch and return HubSpot RSS as JSON (blog listing, cached)
 app.get("/api/hubspot-blog", async (req, res) => {
   try {
-    const items = await fetchHubspotRss();
-    const posts = items.map((item) => {
-      const normalized = normalizeItem(item);
+    const items = await getHubspotFeed();
+    const posts = items.map((normalized) => {
       // For the listing endpoint, we can omit contentHtml or keep it.
       return {
         id: normalized.id,
@@ -454,7 +329,7 @@ app.get("/api/hubspot-blog", async (req, res) => {
   }
 });
 
-// API: Fetch single blog post by ID
+// API: Fetch single blog post by ID (feed and article cached)
 app.get("/api/hubspot-blog/post", async (req, res) => {
   const { id } = req.query;
 
@@ -463,23 +338,16 @@ app.get("/api/hubspot-blog/post", async (req, res) => {
   }
 
   try {
-    const items = await fetchHubspotRss();
-    let target = null;
-
-    for (const item of items) {
-      const normalized = normalizeItem(item);
-      if (normalized.id === id || normalized.link === id) {
-        target = normalized;
-        break;
-      }
-    }
+    const items = await getHubspotFeed();
+    const target = items.find(
+      (normalized) => normalized.id === id || normalized.link === id
+    );
 
     if (!target) {
       return res.status(404).json({ error: "Post not found" });
     }
 
-    // Scrape the full content from the HubSpot blog post URL
-    console.log(`Fetching full content from: ${target.link}`);
+    // Scraped content from the HubSpot blog post URL
     const scrapedContent = await scrapeHubSpotBlogPost(target.link);
 
     res.json({
@@ -496,6 +364,9 @@ app.get("/api/hubspot-blog/post", async (req, res) => {
   }
 });
 
+// Anything still unmatched is a 404 (logged with its referrer for the redirects screen)
+app.use(notFoundHandler);
+
 // Export for Vercel serverless
 export default app;
 
@@ -522,7 +393,21 @@ if (!process.env.VERCEL) {
     console.log(`   • Gallery API:  http://localhost:${PORT}/api/gallery`);
     console.log(`   • Auth API:     http://localhost:${PORT}/api/auth`);
     console.log(`   • Admin Blog:   http://localhost:${PORT}/api/admin/blog`);
+    console.log(`   • Leads API:    http://localhost:${PORT}/api/consultations`);
+    console.log(`   • Careers API:  http://localhost:${PORT}/api/careers`);
+    console.log(`   • Projects API: http://localhost:${PORT}/api/projects`);
+    console.log(`   • Search API:   http://localhost:${PORT}/api/search?q=`);
+    console.log(`   • Redirects:    http://localhost:${PORT}/api/admin/redirects`);
+    console.log(`   • Blog feeds:   http://localhost:${PORT}/blog/rss.xml`);
     console.log(`   • Health:       http://localhost:${PORT}/health`);
     console.log(`\n⌨️  Press Ctrl+C to stop the server\n`);
+
+    // Publish scheduled blog posts (including any that came due while stopped)
+    startBlogScheduler();
+
+    // Parse static pages and load blog/gallery records for site search
+    buildSiteSearchIndex()
+      .then(({ documents }) => console.log(`🔎 Site search index ready (${documents} documents)`))
+      .catch(err => console.error("Failed to build site search index:", err));
   });
 }
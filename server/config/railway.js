@@ -31,6 +31,22 @@ export const MEDIA_PATHS = {
   videos: process.env.MEDIA_BASE_PATH_VIDEOS || 'videos',
 };
 
+// Prefixes of public media (gallery images/videos and blog images); anything
+// else in the bucket, such as private documents, is never linked publicly
+const PUBLIC_MEDIA_PREFIXES = [MEDIA_PATHS.images, MEDIA_PATHS.videos, 'blog'];
+
+/**
+ * Whether an object key is public media that may be served at /media/<key>
+ * @param {string} key - Object key
+ * @returns {boolean}
+ */
+export function isPublicMediaKey(key) {
+  const segments = String(key).split('/');
+  return segments.length > 1 &&
+    PUBLIC_MEDIA_PREFIXES.includes(segments[0]) &&
+    !segments.some(segment => segment === '' || segment === '.' || segment === '..');
+}
+
 /**
  * Validate Railway configuration
  * Throws descriptive error if required environment variables are missing
@@ -68,6 +84,7 @@ export default {
   PRESIGN_EXPIRY_SECONDS,
   VARIANT_SIZES,
   MEDIA_PATHS,
+  isPublicMediaKey,
   validateRailwayConfig,
   isRailwayStorageEnabled,
 };
@@ -0,0 +1,160 @@
+/**
+ * Redirect Rules and 404 Tracking
+ *
+ * redirectRules answers requests that match a rule in the redirects table
+ * (301/302 to the target, or 410 Gone). notFoundHandler runs after every
+ * page and route: it records the path and referrer, then answers 404.
+ *
+ * Rule hits and 404s are counted in memory and saved in one batch a minute
+ * later - every database write saves the whole file, so a crawler walking
+ * dead links must not cost one save per request.
+ */
+
+import Redirect from '../models/Redirect.js';
+import NotFoundLog from '../models/NotFoundLog.js';
+
+const FLUSH_DELAY_MS = 60 * 1000;
+const MAX_PENDING_PATHS = 1000;
+const MAX_REFERRERS_PER_PATH = 20;
+const MAX_PATH_LENGTH = 500;
+
+// 404s not seen for this long are dropped from the log
+const NOT_FOUND_RETENTION_MS = 90 * 24 * 60 * 60 * 1000;
+
+// Never redirected (a bad pattern must not lock editors out of the admin)
+const PROTECTED_PREFIXES = ['/api/', '/admin'];
+
+let pendingHits = new Map();     // redirect id -> { count, lastHitAt }
+let pendingNotFound = new Map(); // path -> { count, firstSeenAt, lastSeenAt, referrers }
+let flushTimer = null;
+
+/**
+ * Save the buffered hits and 404s a minute from now (once per batch)
+ */
+function scheduleFlush() {
+  if (flushTimer) return;
+  flushTimer = setTimeout(() => {
+    flushTimer = null;
+    flushRequestStats().catch(err => console.error('Failed to save redirect/404 stats:', err));
+  }, FLUSH_DELAY_MS);
+  flushTimer.unref();
+}
+
+/**
+ * Save buffered redirect hits and 404s now
+ * Called by the admin routes so they show current numbers.
+ */
+export async function flushRequestStats() {
+  if (flushTimer) {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+  }
+
+  const hits = pendingHits;
+  const notFound = pendingNotFound;
+  pendingHits = new Map();
+  pendingNotFound = new Map();
+
+  if (hits.size > 0) {
+    await Redirect.addHits(hits);
+  }
+  if (notFound.size > 0) {
+    await NotFoundLog.record(notFound);
+    await NotFoundLog.prune(new Date(Date.now() - NOT_FOUND_RETENTION_MS).toISOString());
+  }
+}
+
+/**
+ * Count a hit on a redirect rule
+ */
+function countHit(id) {
+  const now = new Date().toISOString();
+  const entry = pendingHits.get(id) || { count: 0, lastHitAt: now };
+  entry.count++;
+  entry.lastHitAt = now;
+  pendingHits.set(id, entry);
+  scheduleFlush();
+}
+
+/**
+ * Count a 404, with the page that linked to it
+ */
+function countNotFound(path, referrer) {
+  let entry = pendingNotFound.get(path);
+  if (!entry) {
+    // Drop new paths once the buffer is full (known paths still count)
+    if (pendingNotFound.size >= MAX_PENDING_PATHS) return;
+    entry = { count: 0, firstSeenAt: null, lastSeenAt: null, referrers: new Map() };
+    pendingNotFound.set(path, entry);
+  }
+
+  const now = new Date().toISOString();
+  entry.count++;
+  entry.firstSeenAt = entry.firstSeenAt || now;
+  entry.lastSeenAt = now;
+
+  if (referrer && (entry.referrers.has(referrer) || entry.referrers.size < MAX_REFERRERS_PER_PATH)) {
+    const seen = entry.referrers.get(referrer) || { count: 0, lastSeenAt: now };
+    seen.count++;
+    seen.lastSeenAt = now;
+    entry.referrers.set(referrer, seen);
+  }
+  scheduleFlush();
+}
+
+/**
+ * Whether a path is outside the redirect rules and the 404 log
+ */
+function isProtectedPath(path) {
+  return PROTECTED_PREFIXES.some(prefix => path.startsWith(prefix));
+}
+
+/**
+ * Append the request's query string to a redirect target
+ */
+function withQueryString(location, url) {
+  const index = url.indexOf('?');
+  if (index === -1) return location;
+  const query = url.slice(index + 1);
+  return location + (location.includes('?') ? '&' : '?') + query;
+}
+
+/**
+ * Redirect (or 410) requests matching a rule in the redirects table
+ */
+export async function redirectRules(req, res, next) {
+  if ((req.method !== 'GET' && req.method !== 'HEAD') || isProtectedPath(req.path)) {
+    return next();
+  }
+
+  try {
+    const match = await Redirect.match(req.path);
+    // A pattern whose target expands back to the same path would loop
+    if (!match || match.location === req.path) {
+      return next();
+    }
+
+    countHit(match.redirect.id);
+
+    if (match.redirect.status_code === 410) {
+      return res.status(410).send('Gone');
+    }
+    res.redirect(match.redirect.status_code, withQueryString(match.location, req.url));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Last handler: log the unmatched page request, then answer 404
+ */
+export function notFoundHandler(req, res) {
+  if (req.method === 'GET' && !isProtectedPath(req.path) && req.path.length <= MAX_PATH_LENGTH) {
+    const referrer = String(req.get('Referer') || '').substring(0, MAX_PATH_LENGTH);
+    countNotFound(req.path, referrer);
+  }
+
+  res.status(404).send('Not found');
+}
+
+export default { redirectRules, notFoundHandler, flushRequestStats };
@@ -28,9 +28,19 @@ const IMAGE_TYPES = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp', 'imag
 const VIDEO_TYPES = ['video/mp4', 'video/webm', 'video/quicktime'];
 const ALLOWED_TYPES = [...IMAGE_TYPES, ...VIDEO_TYPES];
 
+// Résumé types (careers applications) - MIME type mapped to allowed extension
+const RESUME_TYPES = {
+  'application/pdf': '.pdf',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': '.docx',
+};
+
 // File size limits (in bytes)
 const IMAGE_SIZE_LIMIT = 10 * 1024 * 1024;  // 10MB
 const VIDEO_SIZE_LIMIT = 100 * 1024 * 1024; // 100MB
+const RESUME_SIZE_LIMIT = 5 * 1024 * 1024;  // 5MB
+
+// Photos a homeowner can attach to one consultation request
+const MAX_CONSULTATION_PHOTOS = 10;
 
 /**
  * Storage configuration - saves to uploads folder with UUID names
@@ -74,6 +84,72 @@ export const upload = multer({
   limits
 });
 
+/**
+ * Image-only file filter (public forms)
+ */
+const imageFileFilter = (req, file, cb) => {
+  if (IMAGE_TYPES.includes(file.mimetype)) {
+    cb(null, true);
+  } else {
+    cb(new Error(`File type not allowed. Allowed types: ${IMAGE_TYPES.join(', ')}`), false);
+  }
+};
+
+/**
+ * Multer instance for consultation photos (public form: images only, 10MB each)
+ * Limits apply while receiving, so nothing larger is written to disk.
+ */
+export const consultationUpload = multer({
+  storage,
+  fileFilter: imageFileFilter,
+  limits: {
+    fileSize: IMAGE_SIZE_LIMIT,
+    files: MAX_CONSULTATION_PHOTOS
+  }
+});
+
+/**
+ * Résumé file filter - PDF/DOCX only, extension must match the MIME type
+ */
+const resumeFileFilter = (req, file, cb) => {
+  const ext = path.extname(file.originalname).toLowerCase();
+
+  if (RESUME_TYPES[file.mimetype] && RESUME_TYPES[file.mimetype] === ext) {
+    cb(null, true);
+  } else {
+    cb(new Error('File type not allowed. Résumés must be PDF or DOCX'), false);
+  }
+};
+
+/**
+ * Multer instance for résumé uploads (single document, 5MB max)
+ */
+export const resumeUpload = multer({
+  storage,
+  fileFilter: resumeFileFilter,
+  limits: {
+    fileSize: RESUME_SIZE_LIMIT,
+    files: 1
+  }
+});
+
+/**
+ * Check a stored résumé's leading bytes match its claimed type
+ * PDF starts with "%PDF", DOCX is a ZIP container starting with "PK"
+ */
+export async function isValidResumeFile(file) {
+  const handle = await fs.promises.open(file.path, 'r');
+  try {
+    const { buffer } = await handle.read(Buffer.alloc(4), 0, 4, 0);
+    if (file.mimetype === 'application/pdf') {
+      return buffer.toString('latin1') === '%PDF';
+    }
+    return buffer[0] === 0x50 && buffer[1] === 0x4b;
+  } finally {
+    await handle.close();
+  }
+}
+
 /**
  * Get file type (image or video)
  */
@@ -112,7 +188,7 @@ export function handleUploadError(err, req, res, next) {
     if (err.code === 'LIMIT_FILE_COUNT') {
       return res.status(400).json({
         error: 'TooManyFiles',
-        message: 'Maximum 20 files per upload'
+        message: 'Too many files in one upload'
       });
     }
     return res.status(400).json({
@@ -131,5 +207,5 @@ export function handleUploadError(err, req, res, next) {
   next();
 }
 
-export { UPLOADS_DIR, GALLERY_DIR, IMAGE_TYPES, VIDEO_TYPES };
+export { UPLOADS_DIR, GALLERY_DIR, IMAGE_TYPES, VIDEO_TYPES, RESUME_TYPES, MAX_CONSULTATION_PHOTOS };
 export default upload;
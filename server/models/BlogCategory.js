@@ -0,0 +1,179 @@
+import db from './database.js';
+import { generateSlug } from '../utils/slug.js';
+import { clearSitemapCache } from '../utils/sitemapCache.js';
+
+// Longest category slug (lowercase letters, numbers and dashes)
+const MAX_SLUG_LENGTH = 50;
+
+export const BlogCategory = {
+  /**
+   * Get all categories in display order with post counts
+   * @param {boolean} publishedOnly - Count only published posts (public listing)
+   */
+  async findAll(publishedOnly = false) {
+    const statusFilter = publishedOnly ? "AND p.status = 'published'" : '';
+    return (await db.prepare(`
+      SELECT c.*, COUNT(p.id) AS post_count
+      FROM blog_categories c
+      LEFT JOIN blog_posts p ON p.category = c.slug ${statusFilter}
+      GROUP BY c.id
+      ORDER BY c.sort_order ASC, c.name ASC
+    `)).all();
+  },
+
+  /**
+   * Find category by ID (with post count)
+   */
+  async findById(id) {
+    return (await db.prepare(`
+      SELECT c.*, (SELECT COUNT(*) FROM blog_posts p WHERE p.category = c.slug) AS post_count
+      FROM blog_categories c
+      WHERE c.id = ?
+    `)).get(id);
+  },
+
+  /**
+   * Find category by slug
+   */
+  async findBySlug(slug) {
+    return (await db.prepare('SELECT * FROM blog_categories WHERE slug = ?')).get(slug);
+  },
+
+  /**
+   * Check whether a slug is a known category
+   */
+  async exists(slug) {
+    return !!(await this.findBySlug(slug));
+  },
+
+  /**
+   * Get a slug -> display name map (for enriching post lists)
+   */
+  async getNameMap() {
+    const rows = (await db.prepare('SELECT slug, name FROM blog_categories')).all();
+    return Object.fromEntries(rows.map(row => [row.slug, row.name]));
+  },
+
+  /**
+   * Create new category
+   */
+  async create({ slug, name, description, metaTitle, metaDescription, sortOrder }) {
+    if (!name || !name.trim()) {
+      throw new Error('Name is required');
+    }
+
+    const finalSlug = generateSlug(slug || name, MAX_SLUG_LENGTH);
+    if (!finalSlug) {
+      throw new Error('Invalid slug');
+    }
+    if (await this.findBySlug(finalSlug)) {
+      throw new Error(`Invalid slug: "${finalSlug}" is already in use`);
+    }
+
+    // Default to the end of the list
+    let order = parseInt(sortOrder);
+    if (Number.isNaN(order)) {
+      const maxOrder = (await db.prepare('SELECT MAX(sort_order) as max FROM blog_categories')).get();
+      order = (maxOrder.max || 0) + 1;
+    }
+
+    const result = (await db.prepare(`
+      INSERT INTO blog_categories (slug, name, description, meta_title, meta_description, sort_order)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `)).run(
+      finalSlug,
+      name.trim(),
+      description || null,
+      metaTitle || null,
+      metaDescription || null,
+      order
+    );
+    clearSitemapCache();
+
+    return this.findById(result.lastInsertRowid);
+  },
+
+  /**
+   * Update category
+   * Renaming the slug moves existing posts to the new slug
+   */
+  async update(id, { slug, name, description, metaTitle, metaDescription, sortOrder }) {
+    const existing = await this.findById(id);
+    if (!existing) {
+      throw new Error('Category not found');
+    }
+
+    if (name !== undefined && (!name || !name.trim())) {
+      throw new Error('Name is required');
+    }
+
+    let finalSlug = existing.slug;
+    if (slug !== undefined && generateSlug(slug, MAX_SLUG_LENGTH) !== existing.slug) {
+      finalSlug = generateSlug(slug, MAX_SLUG_LENGTH);
+      if (!finalSlug) {
+        throw new Error('Invalid slug');
+      }
+      if (await this.findBySlug(finalSlug)) {
+        throw new Error(`Invalid slug: "${finalSlug}" is already in use`);
+      }
+    }
+
+    (await db.prepare(`
+      UPDATE blog_categories SET
+        slug = ?,
+        name = ?,
+        description = ?,
+        meta_title = ?,
+        meta_description = ?,
+        sort_order = ?,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `)).run(
+      finalSlug,
+      name !== undefined ? name.trim() : existing.name,
+      description !== undefined ? description || null : existing.description,
+      metaTitle !== undefined ? metaTitle || null : existing.meta_title,
+      metaDescription !== undefined ? metaDescription || null : existing.meta_description,
+      sortOrder !== undefined ? parseInt(sortOrder) || 0 : existing.sort_order,
+      id
+    );
+
+    if (finalSlug !== existing.slug) {
+      (await db.prepare('UPDATE blog_posts SET category = ? WHERE category = ?')).run(finalSlug, existing.slug);
+    }
+    clearSitemapCache();
+
+    return this.findById(id);
+  },
+
+  /**
+   * Delete category
+   * Posts always need a category, so any posts in it must be moved to reassignTo first
+   * @param {number} id - Category ID
+   * @param {string|null} reassignTo - Slug of the category that receives the posts
+   * @returns {Promise<number>} Number of posts that were moved
+   */
+  async delete(id, reassignTo = null) {
+    const existing = await this.findById(id);
+    if (!existing) {
+      throw new Error('Category not found');
+    }
+
+    if (existing.post_count > 0) {
+      if (!reassignTo) {
+        throw new Error(`Category has ${existing.post_count} post(s); they must be moved to another category first`);
+      }
+      if (reassignTo === existing.slug || !(await this.exists(reassignTo))) {
+        throw new Error(`Invalid category: ${reassignTo}`);
+      }
+      (await db.prepare('UPDATE blog_posts SET category = ? WHERE category = ?')).run(reassignTo, existing.slug);
+    }
+
+    (await db.prepare('DELETE FROM blog_categories WHERE id = ?')).run(id);
+    clearSitemapCache();
+
+    return existing.post_count;
+  },
+};
+
+export default BlogCategory;
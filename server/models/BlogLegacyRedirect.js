@@ -0,0 +1,61 @@
+import db from './database.js';
+
+/**
+ * Legacy HubSpot blog URLs -> imported posts
+ *
+ * The old site linked to posts as blog-post.html?id=<HubSpot URL or GUID>.
+ * Each imported post keeps those IDs so the links 301 to its current slug.
+ */
+export const BlogLegacyRedirect = {
+  /**
+   * Find the post a legacy ID was imported as
+   * @param {string} legacyId - HubSpot post URL or GUID
+   * @returns {Promise<{post_id: number, slug: string, status: string}|undefined>}
+   */
+  async findPost(legacyId) {
+    if (!legacyId || typeof legacyId !== 'string') return undefined;
+    return (await db.prepare(`
+      SELECT r.post_id, p.slug, p.status
+      FROM blog_legacy_redirects r
+      JOIN blog_posts p ON p.id = r.post_id
+      WHERE r.legacy_id = ?
+    `)).get(legacyId.trim());
+  },
+
+  /**
+   * Check whether any of the IDs has already been imported
+   * @param {string[]} legacyIds - HubSpot post URL / GUID
+   */
+  async isImported(legacyIds) {
+    const ids = [...new Set(legacyIds.filter(Boolean))];
+    if (ids.length === 0) return false;
+    const row = (await db.prepare(`
+      SELECT 1 FROM blog_legacy_redirects WHERE legacy_id IN (${ids.map(() => '?').join(', ')}) LIMIT 1
+    `)).get(...ids);
+    return Boolean(row);
+  },
+
+  /**
+   * Record the legacy IDs of an imported post
+   * @param {number} postId - Post ID
+   * @param {string[]} legacyIds - HubSpot post URL / GUID
+   */
+  async create(postId, legacyIds) {
+    const ids = [...new Set(legacyIds.filter(Boolean))];
+    if (ids.length === 0) return;
+    (await db.prepare(`
+      INSERT OR IGNORE INTO blog_legacy_redirects (legacy_id, post_id)
+      VALUES ${ids.map(() => '(?, ?)').join(', ')}
+    `)).run(...ids.flatMap(id => [id, postId]));
+  },
+
+  /**
+   * Number of imported legacy posts
+   */
+  async countPosts() {
+    const row = (await db.prepare('SELECT COUNT(DISTINCT post_id) AS count FROM blog_legacy_redirects')).get();
+    return row?.count || 0;
+  },
+};
+
+export default BlogLegacyRedirect;
@@ -1,52 +1,35 @@
 import db from './database.js';
-
-// Fixed categories
-export const CATEGORIES = {
-  kitchen: 'Kitchen Remodeling',
-  bathroom: 'Bathroom Remodeling',
-  additions: 'Home Additions',
-  outdoor: 'Outdoor Living',
-  'design-tips': 'Design Tips',
-  'company-news': 'Company News',
+import BlogCategory from './BlogCategory.js';
+import BlogTag from './BlogTag.js';
+import BlogRevision from './BlogRevision.js';
+import BlogSearch from './BlogSearch.js';
+import { blocksToText, buildSnippet, highlight } from '../utils/searchText.js';
+import { validateBlocks } from '../utils/blockRenderer.js';
+import { generateSlug, ensureUniqueSlug } from '../utils/slug.js';
+import { clearSitemapCache } from '../utils/sitemapCache.js';
+
+// Post statuses - scheduled posts go live when published_at passes
+export const POST_STATUS = {
+  DRAFT: 'draft',
+  SCHEDULED: 'scheduled',
+  PUBLISHED: 'published',
 };
 
-/**
- * Generate URL slug from title
- * @param {string} title - Post title
- * @returns {string} URL-safe slug
- */
-function generateSlug(title) {
-  return title
-    .toLowerCase()
-    .replace(/[^a-z0-9]+/g, '-')
-    .replace(/-+/g, '-')
-    .replace(/^-|-$/g, '')
-    .substring(0, 100);
-}
-
-/**
- * Ensure slug is unique by appending number if needed
- * @param {string} baseSlug - Base slug to check
- * @param {number|null} excludeId - Post ID to exclude from check (for updates)
- * @returns {Promise<string>} Unique slug
- */
-async function ensureUniqueSlug(baseSlug, excludeId = null) {
-  let slug = baseSlug;
-  let counter = 1;
-
-  while (true) {
-    const query = excludeId
-      ? 'SELECT id FROM blog_posts WHERE slug = ? AND id != ?'
-      : 'SELECT id FROM blog_posts WHERE slug = ?';
-    const params = excludeId ? [slug, excludeId] : [slug];
-    const existing = (await db.prepare(query)).get(...params);
+const VALID_STATUSES = Object.values(POST_STATUS);
 
-    if (!existing) return slug;
+// Public visibility: published and not dated in the future
+const PUBLIC_CONDITION = "status = 'published' AND published_at <= ?";
 
-    counter++;
-    slug = `${baseSlug}-${counter}`;
-  }
-}
+// Publisher for BlogPosting structured data
+const PUBLISHER = {
+  '@type': 'Organization',
+  name: 'Lighthouse Design Build',
+  url: 'https://designwithlighthouse.com',
+  logo: {
+    '@type': 'ImageObject',
+    url: 'https://designwithlighthouse.com/src/assets/images/logo/LightHouse-Logo-Blue.png',
+  },
+};
 
 /**
  * Extract first paragraph text from blocks for excerpt
@@ -67,6 +50,53 @@ function extractExcerpt(blocks, maxLength = 200) {
   return '';
 }
 
+/**
+ * Convert a stored timestamp (ISO string, or SQLite "YYYY-MM-DD HH:MM:SS" in UTC) to ISO 8601
+ */
+function toIsoTimestamp(value) {
+  if (!value) return null;
+  const text = String(value);
+  const date = new Date(text.includes('T') ? text : `${text.replace(' ', 'T')}Z`);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Work out published_at for a save
+ * @param {string} status - Status being saved
+ * @param {string|undefined} publishAt - Requested go-live time (scheduled posts)
+ * @param {Object|null} existing - Current row (updates only)
+ * @returns {string|null} ISO timestamp or null
+ */
+function resolvePublishedAt(status, publishAt, existing = null) {
+  if (!VALID_STATUSES.includes(status)) {
+    throw new Error(`Invalid status: ${status}`);
+  }
+
+  if (status === POST_STATUS.SCHEDULED) {
+    // Keep the current slot when rescheduling isn't requested
+    if (publishAt === undefined && existing?.status === POST_STATUS.SCHEDULED) {
+      return existing.published_at;
+    }
+    const date = new Date(publishAt);
+    if (!publishAt || Number.isNaN(date.getTime())) {
+      throw new Error('Invalid publish date: scheduled posts require a publishAt date');
+    }
+    if (date.getTime() <= Date.now()) {
+      throw new Error('Invalid publish date: must be in the future');
+    }
+    return date.toISOString();
+  }
+
+  if (status === POST_STATUS.PUBLISHED) {
+    return existing?.status === POST_STATUS.PUBLISHED
+      ? existing.published_at
+      : new Date().toISOString();
+  }
+
+  // Drafts keep the original date if unpublished, but drop an unused schedule
+  return existing?.status === POST_STATUS.SCHEDULED ? null : existing?.published_at ?? null;
+}
+
 export const BlogPost = {
   /**
    * Find post by ID
@@ -80,12 +110,12 @@ export const BlogPost = {
   },
 
   /**
-   * Find post by slug (public - only published)
+   * Find post by slug (public - only published, never future-dated)
    */
   async findBySlug(slug) {
     const post = (await db.prepare(`
-      SELECT * FROM blog_posts WHERE slug = ? AND status = 'published'
-    `)).get(slug);
+      SELECT * FROM blog_posts WHERE slug = ? AND ${PUBLIC_CONDITION}
+    `)).get(slug, new Date().toISOString());
     if (post && post.content) {
       post.content = JSON.parse(post.content);
     }
@@ -120,18 +150,37 @@ export const BlogPost = {
    * Get published posts with pagination
    * @param {number} limit - Number of posts to return
    * @param {number} offset - Offset for pagination
+   * @param {Object} filters - Optional filters
+   * @param {string|null} filters.category - Category slug
+   * @param {string|null} filters.tag - Tag slug
    * @returns {Promise<{posts: Array, total: number, hasMore: boolean}>}
    */
-  async findPublished(limit = 12, offset = 0) {
+  async findPublished(limit = 12, offset = 0, { category = null, tag = null } = {}) {
+    const conditions = [PUBLIC_CONDITION];
+    const params = [new Date().toISOString()];
+    if (category) {
+      conditions.push('category = ?');
+      params.push(category);
+    }
+    if (tag) {
+      conditions.push(`id IN (
+        SELECT pt.post_id FROM blog_post_tags pt
+        JOIN blog_tags t ON t.id = pt.tag_id
+        WHERE t.slug = ?
+      )`);
+      params.push(tag);
+    }
+    const where = `WHERE ${conditions.join(' AND ')}`;
+
     const posts = (await db.prepare(`
       SELECT id, title, slug, category, content, status, author_name,
              featured_image_key, featured_image_alt, meta_description,
-             published_at, created_at
+             published_at, created_at, updated_at
       FROM blog_posts
-      WHERE status = 'published'
+      ${where}
       ORDER BY published_at DESC
       LIMIT ? OFFSET ?
-    `)).all(limit, offset);
+    `)).all(...params, limit, offset);
 
     // Parse content and extract excerpt for each post
     for (const post of posts) {
@@ -142,8 +191,8 @@ export const BlogPost = {
     }
 
     const countResult = (await db.prepare(`
-      SELECT COUNT(*) as total FROM blog_posts WHERE status = 'published'
-    `)).get();
+      SELECT COUNT(*) as total FROM blog_posts ${where}
+    `)).get(...params);
 
     const total = countResult?.total || 0;
 
@@ -167,24 +216,38 @@ export const BlogPost = {
     metaTitle,
     metaDescription,
     canonicalUrl,
-    status = 'draft',
+    status = POST_STATUS.DRAFT,
+    publishAt,
+    originalPublishedAt,
     authorId,
     authorName,
+    tags = [],
   }) {
     // Validate category
-    if (!CATEGORIES[category]) {
+    if (!(await BlogCategory.exists(category))) {
       throw new Error(`Invalid category: ${category}`);
     }
+    BlogTag.validate(tags);
+    validateBlocks(content || []);
 
     // Generate slug if not provided
     const baseSlug = slug || generateSlug(title);
-    const uniqueSlug = await ensureUniqueSlug(baseSlug);
+    const uniqueSlug = await ensureUniqueSlug('blog_posts', baseSlug);
 
     // Serialize content to JSON
     const contentJson = JSON.stringify(content || []);
 
-    // Set published_at if publishing
-    const publishedAt = status === 'published' ? new Date().toISOString() : null;
+    // Set published_at if publishing now or later
+    let publishedAt = resolvePublishedAt(status, publishAt);
+
+    // Imported posts keep the date they were first published elsewhere
+    if (status === POST_STATUS.PUBLISHED && originalPublishedAt) {
+      const date = new Date(originalPublishedAt);
+      if (Number.isNaN(date.getTime())) {
+        throw new Error('Invalid publish date: original publish date could not be read');
+      }
+      publishedAt = date.toISOString();
+    }
 
     try {
       const result = (await db.prepare(`
@@ -208,12 +271,20 @@ export const BlogPost = {
         publishedAt
       );
 
+      const postTags = await BlogTag.setPostTags(result.lastInsertRowid, tags);
+      const created = await this.findById(result.lastInsertRowid);
+      await BlogRevision.snapshot(created, { id: authorId, name: authorName });
+      await BlogSearch.indexPost(created);
+      clearSitemapCache();
+
       return {
         id: result.lastInsertRowid,
         title,
         slug: uniqueSlug,
         category,
         status,
+        published_at: publishedAt,
+        tags: postTags.map(tag => tag.name),
       };
     } catch (err) {
       if (err.message.includes('UNIQUE constraint')) {
@@ -225,6 +296,7 @@ export const BlogPost = {
 
   /**
    * Update blog post
+   * Each save is recorded in blog_post_revisions under the editor's name
    */
   async update(id, {
     title,
@@ -237,6 +309,10 @@ export const BlogPost = {
     metaDescription,
     canonicalUrl,
     status,
+    publishAt,
+    tags,
+    editorId = null,
+    editorName = null,
   }) {
     const existing = await this.findById(id);
     if (!existing) {
@@ -244,24 +320,27 @@ export const BlogPost = {
     }
 
     // Validate category if provided
-    if (category && !CATEGORIES[category]) {
+    if (category && !(await BlogCategory.exists(category))) {
       throw new Error(`Invalid category: ${category}`);
     }
+    if (tags !== undefined) {
+      BlogTag.validate(tags);
+    }
+    if (content) {
+      validateBlocks(content);
+    }
 
     // Handle slug change
     let finalSlug = existing.slug;
     if (slug && slug !== existing.slug) {
-      finalSlug = await ensureUniqueSlug(slug, id);
+      finalSlug = await ensureUniqueSlug('blog_posts', slug, id);
     }
 
     // Serialize content if provided
     const contentJson = content ? JSON.stringify(content) : JSON.stringify(existing.content);
 
-    // Handle publish transition
-    let publishedAt = existing.published_at;
-    if (status === 'published' && existing.status !== 'published') {
-      publishedAt = new Date().toISOString();
-    }
+    // Handle publish / schedule transitions
+    const publishedAt = resolvePublishedAt(status ?? existing.status, publishAt, existing);
 
     (await db.prepare(`
       UPDATE blog_posts SET
@@ -293,7 +372,20 @@ export const BlogPost = {
       id
     );
 
-    return this.findById(id);
+    if (tags !== undefined) {
+      await BlogTag.setPostTags(id, tags);
+    }
+
+    // Posts that predate revision history get their pre-edit state as a baseline
+    if (!(await BlogRevision.findLatest(id))) {
+      await BlogRevision.snapshot(existing, { id: existing.author_id, name: existing.author_name });
+    }
+    const updated = await this.findById(id);
+    await BlogRevision.snapshot(updated, { id: editorId, name: editorName });
+    await BlogSearch.indexPost(updated);
+    clearSitemapCache();
+
+    return updated;
   },
 
   /**
@@ -305,10 +397,129 @@ export const BlogPost = {
       throw new Error('Post not found');
     }
 
+    // Tag links cascade; drop tags that no other post uses
     (await db.prepare('DELETE FROM blog_posts WHERE id = ?')).run(id);
+    await BlogTag.pruneUnused();
+    await BlogSearch.removePost(id);
+    clearSitemapCache();
     return true;
   },
 
+  /**
+   * Whether any post (or saved revision) still uses a stored image
+   * Blog image keys are content-hashed, so posts can share one file.
+   * @param {string} key - Image key from storeBlogImage
+   */
+  async usesImage(key) {
+    const inContent = `%${JSON.stringify(key)}%`;
+    const row = (await db.prepare(`
+      SELECT 1 FROM blog_posts WHERE featured_image_key = ? OR content LIKE ?
+      UNION ALL
+      SELECT 1 FROM blog_post_revisions WHERE featured_image_key = ? OR content LIKE ?
+      LIMIT 1
+    `)).get(key, inContent, key, inContent);
+    return Boolean(row);
+  },
+
+  /**
+   * Full-text search over published posts
+   * Matches title, tags, SEO description and block text; every query word must match
+   * @param {string} query - Search text
+   * @param {number} limit - Number of results to return
+   * @param {number} offset - Offset for pagination
+   * @returns {Promise<{posts: Array, total: number, hasMore: boolean, terms: string[]}>}
+   *   Posts carry score, titleHtml and snippet (HTML with <mark> highlights)
+   */
+  async search(query, limit = 10, offset = 0) {
+    const terms = BlogSearch.parseQuery(query);
+    const ranked = await BlogSearch.rank(terms, {
+      where: PUBLIC_CONDITION,
+      params: [new Date().toISOString()],
+    });
+
+    const page = ranked.slice(offset, offset + limit);
+    const posts = [];
+    if (page.length > 0) {
+      const rows = (await db.prepare(`
+        SELECT id, title, slug, category, content, status, author_name,
+               featured_image_key, featured_image_alt, meta_description,
+               published_at, created_at
+        FROM blog_posts
+        WHERE id IN (${page.map(() => '?').join(', ')})
+      `)).all(...page.map(result => result.postId));
+      const byId = new Map(rows.map(row => [row.id, row]));
+
+      for (const { postId, score } of page) {
+        const post = byId.get(postId);
+        if (!post) continue;
+        post.content = post.content ? JSON.parse(post.content) : [];
+        post.excerpt = extractExcerpt(post.content);
+
+        // Prefer a passage from the article; fall back to the description
+        const fromContent = buildSnippet(blocksToText(post.content), terms);
+        const fromMeta = buildSnippet(post.meta_description, terms);
+        post.snippet = [fromContent, fromMeta].find(snippet => snippet.includes('<mark>'))
+          || fromMeta || fromContent;
+        post.titleHtml = highlight(post.title, terms);
+        post.score = score;
+        posts.push(post);
+      }
+    }
+
+    return {
+      posts,
+      total: ranked.length,
+      hasMore: offset + page.length < ranked.length,
+      terms,
+    };
+  },
+
+  /**
+   * Published posts for the sitemap (no content), newest first
+   */
+  async findSitemapEntries() {
+    return (await db.prepare(`
+      SELECT id, title, slug, category, canonical_url, featured_image_key, featured_image_alt,
+             published_at, updated_at
+      FROM blog_posts
+      WHERE status = 'published'
+      ORDER BY published_at DESC
+    `)).all();
+  },
+
+  /**
+   * Get scheduled posts, soonest first
+   */
+  async findScheduled() {
+    return (await db.prepare(`
+      SELECT id, title, slug, published_at FROM blog_posts
+      WHERE status = 'scheduled'
+      ORDER BY published_at ASC
+    `)).all();
+  },
+
+  /**
+   * Promote scheduled posts whose publish time has passed
+   * @param {Date} now - Reference time
+   * @returns {Promise<Array>} Posts that went live
+   */
+  async publishDue(now = new Date()) {
+    const cutoff = now.toISOString();
+    const due = (await db.prepare(`
+      SELECT id, title, slug, published_at FROM blog_posts
+      WHERE status = 'scheduled' AND published_at <= ?
+    `)).all(cutoff);
+
+    if (due.length > 0) {
+      (await db.prepare(`
+        UPDATE blog_posts SET status = 'published', updated_at = CURRENT_TIMESTAMP
+        WHERE status = 'scheduled' AND published_at <= ?
+      `)).run(cutoff);
+      clearSitemapCache();
+    }
+    return due;
+  },
+
   /**
    * Count posts by status
    */
@@ -319,7 +530,7 @@ export const BlogPost = {
       GROUP BY status
     `)).all();
 
-    const counts = { draft: 0, published: 0, total: 0 };
+    const counts = { draft: 0, scheduled: 0, published: 0, total: 0 };
     for (const row of results) {
       counts[row.status] = row.count;
       counts.total += row.count;
@@ -330,15 +541,67 @@ export const BlogPost = {
   /**
    * Get category display name
    */
-  getCategoryName(slug) {
-    return CATEGORIES[slug] || slug;
+  async getCategoryName(slug) {
+    const category = await BlogCategory.findBySlug(slug);
+    return category ? category.name : slug;
+  },
+
+  /**
+   * Get all categories as a slug -> name map
+   */
+  async getCategories() {
+    return BlogCategory.getNameMap();
   },
 
   /**
-   * Get all categories
+   * Get all valid statuses
    */
-  getCategories() {
-    return CATEGORIES;
+  getStatuses() {
+    return VALID_STATUSES;
+  },
+
+  /**
+   * Short description for meta tags (SEO description, falling back to the first paragraph)
+   * @param {Object} post - Post row (content parsed)
+   */
+  getDescription(post) {
+    return post.meta_description || extractExcerpt(post.content, 160);
+  },
+
+  /**
+   * Build schema.org BlogPosting structured data for a post
+   * @param {Object} post - Post row (content parsed)
+   * @param {Object} details
+   * @param {string} details.url - Canonical URL of the post
+   * @param {string|null} details.imageUrl - Absolute featured image URL
+   * @param {string|null} details.categoryName - Category display name
+   * @param {string[]} details.tags - Tag names
+   * @returns {Object} JSON-LD object
+   */
+  toStructuredData(post, { url, imageUrl = null, categoryName = null, tags = [] }) {
+    const text = blocksToText(post.content);
+    const data = {
+      '@context': 'https://schema.org',
+      '@type': 'BlogPosting',
+      headline: (post.meta_title || post.title).substring(0, 110),
+      description: this.getDescription(post),
+      url,
+      mainEntityOfPage: { '@type': 'WebPage', '@id': url },
+      datePublished: toIsoTimestamp(post.published_at),
+      dateModified: toIsoTimestamp(post.updated_at) || toIsoTimestamp(post.published_at),
+      author: {
+        '@type': 'Person',
+        name: post.author_name || 'Lighthouse Team',
+      },
+      publisher: PUBLISHER,
+      wordCount: text ? text.split(/\s+/).length : 0,
+    };
+
+    if (imageUrl) data.image = [imageUrl];
+    if (categoryName) data.articleSection = categoryName;
+    if (tags.length > 0) data.keywords = tags.join(', ');
+
+    return data;
   },
 };
 
@@ -0,0 +1,102 @@
+import { randomBytes } from 'crypto';
+import db from './database.js';
+
+// Preview link lifetime limits (hours)
+const DEFAULT_EXPIRY_HOURS = 72;
+const MAX_EXPIRY_HOURS = 24 * 30;
+
+/**
+ * Add a computed status (active / expired / revoked) to a token row
+ */
+function withStatus(token, now = new Date().toISOString()) {
+  if (!token) return token;
+  let status = 'active';
+  if (token.revoked_at) status = 'revoked';
+  else if (token.expires_at <= now) status = 'expired';
+  return { ...token, status };
+}
+
+export const BlogPreviewToken = {
+  /**
+   * List a post's preview links, newest first
+   */
+  async findByPostId(postId) {
+    const now = new Date().toISOString();
+    const tokens = (await db.prepare(`
+      SELECT * FROM blog_preview_tokens WHERE post_id = ? ORDER BY created_at DESC, id DESC
+    `)).all(postId);
+    return tokens.map(token => withStatus(token, now));
+  },
+
+  /**
+   * Find a preview link by ID
+   */
+  async findById(id) {
+    return withStatus((await db.prepare('SELECT * FROM blog_preview_tokens WHERE id = ?')).get(id));
+  },
+
+  /**
+   * Find a token that is neither expired nor revoked
+   * @param {string} token - Token from the preview URL
+   * @returns {Promise<Object|undefined>}
+   */
+  async findValid(token) {
+    if (!token || typeof token !== 'string') return undefined;
+    return (await db.prepare(`
+      SELECT * FROM blog_preview_tokens
+      WHERE token = ? AND revoked_at IS NULL AND expires_at > ?
+    `)).get(token, new Date().toISOString());
+  },
+
+  /**
+   * Create a preview link for a post
+   * @param {number} postId - Post ID
+   * @param {Object} options
+   * @param {number} options.expiresInHours - Lifetime in hours (default 72, max 30 days)
+   * @param {number|null} options.createdBy - User ID
+   * @param {string|null} options.createdByName - Username
+   */
+  async create(postId, { expiresInHours, createdBy = null, createdByName = null } = {}) {
+    let hours = DEFAULT_EXPIRY_HOURS;
+    if (expiresInHours !== undefined && expiresInHours !== null && expiresInHours !== '') {
+      hours = Number(expiresInHours);
+      if (!Number.isFinite(hours) || hours < 1 || hours > MAX_EXPIRY_HOURS) {
+        throw new Error(`Invalid expiry: must be between 1 and ${MAX_EXPIRY_HOURS} hours`);
+      }
+    }
+
+    const token = randomBytes(24).toString('base64url');
+    const expiresAt = new Date(Date.now() + hours * 60 * 60 * 1000).toISOString();
+
+    const result = (await db.prepare(`
+      INSERT INTO blog_preview_tokens (post_id, token, expires_at, created_by, created_by_name)
+      VALUES (?, ?, ?, ?, ?)
+    `)).run(postId, token, expiresAt, createdBy, createdByName);
+
+    return this.findById(result.lastInsertRowid);
+  },
+
+  /**
+   * Record that a preview link was opened
+   */
+  async recordView(id) {
+    (await db.prepare(`
+      UPDATE blog_preview_tokens SET view_count = view_count + 1, last_viewed_at = ? WHERE id = ?
+    `)).run(new Date().toISOString(), id);
+  },
+
+  /**
+   * Revoke a preview link (kept for the audit trail)
+   * @returns {Promise<boolean>} False if it was already revoked
+   */
+  async revoke(id) {
+    const existing = await this.findById(id);
+    if (!existing || existing.revoked_at) return false;
+
+    (await db.prepare('UPDATE blog_preview_tokens SET revoked_at = ? WHERE id = ?'))
+      .run(new Date().toISOString(), id);
+    return true;
+  },
+};
+
+export default BlogPreviewToken;
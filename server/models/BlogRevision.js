@@ -0,0 +1,109 @@
+import db from './database.js';
+
+// Post fields captured in each revision (post column names)
+export const REVISION_FIELDS = [
+  'title',
+  'featured_image_key',
+  'featured_image_alt',
+  'meta_title',
+  'meta_description',
+  'canonical_url',
+];
+
+/**
+ * Drop editor-only data (presigned preview URLs change on every load)
+ */
+function normalizeContent(content) {
+  if (!Array.isArray(content)) return [];
+  return content.map(block => {
+    if (!block?.data || block.data.previewUrl === undefined) return block;
+    const { previewUrl, ...data } = block.data;
+    return { ...block, data };
+  });
+}
+
+/**
+ * Parse stored JSON content on a revision row
+ */
+function parseRow(revision) {
+  if (revision) {
+    revision.content = revision.content ? JSON.parse(revision.content) : [];
+  }
+  return revision;
+}
+
+export const BlogRevision = {
+  /**
+   * List a post's revisions, newest first (without content)
+   */
+  async findByPostId(postId) {
+    return (await db.prepare(`
+      SELECT id, post_id, revision_number, title, author_id, author_name, created_at,
+             json_array_length(content) AS block_count
+      FROM blog_post_revisions
+      WHERE post_id = ?
+      ORDER BY revision_number DESC
+    `)).all(postId);
+  },
+
+  /**
+   * Find a single revision by its per-post number
+   */
+  async findByNumber(postId, revisionNumber) {
+    return parseRow((await db.prepare(`
+      SELECT * FROM blog_post_revisions WHERE post_id = ? AND revision_number = ?
+    `)).get(postId, revisionNumber));
+  },
+
+  /**
+   * Get the most recent revision of a post
+   */
+  async findLatest(postId) {
+    return parseRow((await db.prepare(`
+      SELECT * FROM blog_post_revisions WHERE post_id = ?
+      ORDER BY revision_number DESC LIMIT 1
+    `)).get(postId));
+  },
+
+  /**
+   * Snapshot a post's current title, content and SEO fields
+   * Skipped when nothing differs from the latest revision (e.g. status-only saves)
+   * @param {Object} post - Post row with parsed content
+   * @param {{id: number|null, name: string|null}} author - Who made the save
+   * @returns {Promise<Object|null>} New revision, or null if unchanged
+   */
+  async snapshot(post, { id: authorId = null, name: authorName = null } = {}) {
+    const content = JSON.stringify(normalizeContent(post.content));
+    const latest = await this.findLatest(post.id);
+
+    if (latest &&
+        JSON.stringify(latest.content) === content &&
+        REVISION_FIELDS.every(field => (latest[field] ?? null) === (post[field] ?? null))) {
+      return null;
+    }
+
+    const revisionNumber = (latest?.revision_number || 0) + 1;
+    (await db.prepare(`
+      INSERT INTO blog_post_revisions (
+        post_id, revision_number, title, content, featured_image_key, featured_image_alt,
+        meta_title, meta_description, canonical_url, author_id, author_name
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `)).run(
+      post.id,
+      revisionNumber,
+      post.title,
+      content,
+      post.featured_image_key ?? null,
+      post.featured_image_alt ?? null,
+      post.meta_title ?? null,
+      post.meta_description ?? null,
+      post.canonical_url ?? null,
+      authorId,
+      authorName
+    );
+
+    return this.findByNumber(post.id, revisionNumber);
+  },
+};
+
+export default BlogRevision;
@@ -0,0 +1,183 @@
+import db from './database.js';
+import BlogTag from './BlogTag.js';
+import { tokenize, blocksToText } from '../utils/searchText.js';
+
+// Relative importance of each indexed field
+const FIELD_WEIGHTS = {
+  title: 5,
+  tags: 3,
+  meta: 2,
+  content: 1,
+};
+
+// Term-frequency saturation (BM25 k1): repeats help, but with diminishing returns
+const TF_SATURATION = 1.2;
+
+// Words that only start with a query term count for less than exact matches
+const PREFIX_MATCH_FACTOR = 0.6;
+
+const MAX_QUERY_TERMS = 10;
+
+// Index rows per INSERT statement (4 bound parameters each)
+const INSERT_BATCH_SIZE = 200;
+
+// Backfill runs once per process (see ensureIndexed)
+let backfill = null;
+
+/**
+ * Count term occurrences in a piece of text
+ * @returns {Map<string, number>}
+ */
+function countTerms(text) {
+  const counts = new Map();
+  for (const term of tokenize(text)) {
+    counts.set(term, (counts.get(term) || 0) + 1);
+  }
+  return counts;
+}
+
+export const BlogSearch = {
+  /**
+   * Split a search query into unique terms
+   * Falls back to keeping stop words when the query is made only of them
+   * @param {string} query - Raw query text
+   * @returns {string[]}
+   */
+  parseQuery(query) {
+    let terms = tokenize(query);
+    if (terms.length === 0) {
+      terms = tokenize(query, { keepStopWords: true });
+    }
+    return [...new Set(terms)].slice(0, MAX_QUERY_TERMS);
+  },
+
+  /**
+   * (Re)index a post's title, tags, SEO description and content
+   * Every status is indexed; visibility is applied at query time so
+   * scheduled posts become searchable the moment they go live
+   * @param {Object} post - Post row with parsed content
+   */
+  async indexPost(post) {
+    const tags = await BlogTag.findByPostId(post.id);
+    const fields = {
+      title: post.title,
+      tags: tags.map(tag => tag.name).join(' '),
+      meta: [post.meta_title, post.meta_description].filter(Boolean).join(' '),
+      content: blocksToText(post.content),
+    };
+
+    (await db.prepare('DELETE FROM blog_search_index WHERE post_id = ?')).run(post.id);
+
+    const rows = [];
+    for (const [field, text] of Object.entries(fields)) {
+      for (const [term, frequency] of countTerms(text)) {
+        rows.push([post.id, field, term, frequency]);
+      }
+    }
+
+    // Multi-row inserts: every run() writes the database file, so avoid one per term
+    for (let i = 0; i < rows.length; i += INSERT_BATCH_SIZE) {
+      const batch = rows.slice(i, i + INSERT_BATCH_SIZE);
+      (await db.prepare(`
+        INSERT INTO blog_search_index (post_id, field, term, frequency)
+        VALUES ${batch.map(() => '(?, ?, ?, ?)').join(', ')}
+      `)).run(...batch.flat());
+    }
+
+    (await db.prepare(`
+      INSERT OR REPLACE INTO blog_search_documents (post_id, indexed_at) VALUES (?, CURRENT_TIMESTAMP)
+    `)).run(post.id);
+  },
+
+  /**
+   * Drop a post from the index
+   */
+  async removePost(postId) {
+    (await db.prepare('DELETE FROM blog_search_index WHERE post_id = ?')).run(postId);
+    (await db.prepare('DELETE FROM blog_search_documents WHERE post_id = ?')).run(postId);
+  },
+
+  /**
+   * Index any posts the search index hasn't seen yet (e.g. posts that existed
+   * before search was added, or a restored backup). Runs once per process.
+   */
+  async ensureIndexed() {
+    if (!backfill) {
+      backfill = (async () => {
+        const missing = (await db.prepare(`
+          SELECT * FROM blog_posts
+          WHERE id NOT IN (SELECT post_id FROM blog_search_documents)
+        `)).all();
+
+        for (const post of missing) {
+          post.content = post.content ? JSON.parse(post.content) : [];
+          await this.indexPost(post);
+        }
+        if (missing.length > 0) {
+          console.log(`🔎 Indexed ${missing.length} blog post(s) for search`);
+        }
+      })().catch(err => {
+        backfill = null;
+        throw err;
+      });
+    }
+    return backfill;
+  },
+
+  /**
+   * Rank posts that contain every query term (exact word or word prefix)
+   * Score is a BM25-style sum of idf * saturated term frequency * field weight
+   * @param {string[]} terms - Normalized query terms
+   * @param {Object} scope - Which posts can match
+   * @param {string} scope.where - SQL condition on blog_posts columns
+   * @param {Array} scope.params - Parameters for the condition
+   * @returns {Promise<Array<{postId: number, score: number}>>} Best match first
+   */
+  async rank(terms, { where = '1 = 1', params = [] } = {}) {
+    if (terms.length === 0) return [];
+    await this.ensureIndexed();
+
+    const { total: documentCount } = (await db.prepare(`
+      SELECT COUNT(*) AS total FROM blog_posts WHERE ${where}
+    `)).get(...params);
+
+    const matchTerm = await db.prepare(`
+      SELECT i.post_id, i.field, i.term, i.frequency, published_at
+      FROM blog_search_index i
+      JOIN blog_posts ON blog_posts.id = i.post_id
+      WHERE i.term >= ? AND i.term < ? AND ${where}
+    `);
+
+    const scores = new Map();
+    for (const term of terms) {
+      const rows = matchTerm.all(term, `${term}\uffff`, ...params);
+      const termScores = new Map();
+
+      for (const row of rows) {
+        const factor = row.term === term ? 1 : PREFIX_MATCH_FACTOR;
+        const saturated = (row.frequency * (TF_SATURATION + 1)) / (row.frequency + TF_SATURATION);
+        const fieldScore = (FIELD_WEIGHTS[row.field] || 1) * factor * saturated;
+        const entry = termScores.get(row.post_id) || { score: 0, publishedAt: row.published_at };
+        entry.score += fieldScore;
+        termScores.set(row.post_id, entry);
+      }
+
+      const matches = termScores.size;
+      const idf = Math.log(1 + (documentCount - matches + 0.5) / (matches + 0.5));
+
+      for (const [postId, { score, publishedAt }] of termScores) {
+        const entry = scores.get(postId) || { score: 0, matched: 0, publishedAt };
+        entry.score += idf * score;
+        entry.matched++;
+        scores.set(postId, entry);
+      }
+    }
+
+    return [...scores.entries()]
+      .filter(([, entry]) => entry.matched === terms.length)
+      .sort(([, a], [, b]) => b.score - a.score || String(b.publishedAt).localeCompare(String(a.publishedAt)))
+      .map(([postId, entry]) => ({ postId, score: Math.round(entry.score * 1000) / 1000 }));
+  },
+};
+
+export default BlogSearch;
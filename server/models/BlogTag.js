@@ -0,0 +1,131 @@
+import db from './database.js';
+import { generateSlug } from '../utils/slug.js';
+
+// Limits for tags attached to a single post
+const MAX_TAGS_PER_POST = 20;
+const MAX_TAG_LENGTH = 50;
+
+/**
+ * Normalize a list of tag names: trimmed, de-duplicated by slug
+ * @param {Array|string} tags - Array of names or comma-separated text
+ * @returns {Array<{slug: string, name: string}>}
+ */
+function normalizeTags(tags) {
+  const list = typeof tags === 'string' ? tags.split(',') : tags;
+  if (!Array.isArray(list)) {
+    throw new Error('Invalid tags: must be a list');
+  }
+
+  const normalized = [];
+  for (const value of list) {
+    if (typeof value !== 'string') {
+      throw new Error('Invalid tags: must be a list of names');
+    }
+    const name = value.trim().replace(/\s+/g, ' ');
+    if (!name) continue;
+    if (name.length > MAX_TAG_LENGTH) {
+      throw new Error(`Invalid tag: "${name}" must be ${MAX_TAG_LENGTH} characters or fewer`);
+    }
+    const slug = generateSlug(name, MAX_TAG_LENGTH);
+    if (!slug) {
+      throw new Error(`Invalid tag: "${name}"`);
+    }
+    if (!normalized.some(tag => tag.slug === slug)) {
+      normalized.push({ slug, name });
+    }
+  }
+
+  if (normalized.length > MAX_TAGS_PER_POST) {
+    throw new Error(`Invalid tags: a post can have at most ${MAX_TAGS_PER_POST}`);
+  }
+  return normalized;
+}
+
+export const BlogTag = {
+  /**
+   * Get all tags with post counts
+   * @param {boolean} publishedOnly - Count only published posts and skip unused tags (public listing)
+   */
+  async findAll(publishedOnly = false) {
+    if (publishedOnly) {
+      return (await db.prepare(`
+        SELECT t.*, COUNT(p.id) AS post_count, MAX(p.updated_at) AS last_updated_at
+        FROM blog_tags t
+        JOIN blog_post_tags pt ON pt.tag_id = t.id
+        JOIN blog_posts p ON p.id = pt.post_id AND p.status = 'published'
+        GROUP BY t.id
+        ORDER BY t.name COLLATE NOCASE ASC
+      `)).all();
+    }
+
+    return (await db.prepare(`
+      SELECT t.*, COUNT(pt.post_id) AS post_count
+      FROM blog_tags t
+      LEFT JOIN blog_post_tags pt ON pt.tag_id = t.id
+      GROUP BY t.id
+      ORDER BY t.name COLLATE NOCASE ASC
+    `)).all();
+  },
+
+  /**
+   * Find tag by slug
+   */
+  async findBySlug(slug) {
+    return (await db.prepare('SELECT * FROM blog_tags WHERE slug = ?')).get(slug);
+  },
+
+  /**
+   * Get a post's tags in name order
+   */
+  async findByPostId(postId) {
+    return (await db.prepare(`
+      SELECT t.*
+      FROM blog_post_tags pt
+      JOIN blog_tags t ON t.id = pt.tag_id
+      WHERE pt.post_id = ?
+      ORDER BY t.name COLLATE NOCASE ASC
+    `)).all(postId);
+  },
+
+  /**
+   * Validate a tag list without saving it
+   */
+  validate(tags) {
+    return normalizeTags(tags);
+  },
+
+  /**
+   * Replace a post's tags, creating any tags that don't exist yet
+   * @param {number} postId - Post ID
+   * @param {Array|string} tags - Tag names
+   */
+  async setPostTags(postId, tags) {
+    const normalized = normalizeTags(tags);
+
+    (await db.prepare('DELETE FROM blog_post_tags WHERE post_id = ?')).run(postId);
+
+    const link = await db.prepare('INSERT INTO blog_post_tags (post_id, tag_id) VALUES (?, ?)');
+    for (const { slug, name } of normalized) {
+      let tag = await this.findBySlug(slug);
+      if (!tag) {
+        const result = (await db.prepare('INSERT INTO blog_tags (slug, name) VALUES (?, ?)')).run(slug, name);
+        tag = { id: result.lastInsertRowid };
+      }
+      link.run(postId, tag.id);
+    }
+
+    await this.pruneUnused();
+    return this.findByPostId(postId);
+  },
+
+  /**
+   * Remove tags that are no longer attached to any post
+   */
+  async pruneUnused() {
+    (await db.prepare(`
+      DELETE FROM blog_tags WHERE id NOT IN (SELECT DISTINCT tag_id FROM blog_post_tags)
+    `)).run();
+  },
+};
+
+export default BlogTag;
@@ -0,0 +1,134 @@
+import db from './database.js';
+import { escapeHtml, isValidEmail } from '../utils/sanitize.js';
+
+/**
+ * Validate an http(s) URL
+ */
+function isValidUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol === 'http:' || parsed.protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Trim and escape an optional string field
+ */
+function cleanOptional(value) {
+  if (typeof value !== 'string' || !value.trim()) return null;
+  return escapeHtml(value.trim());
+}
+
+export const CareerApplication = {
+  /**
+   * Find application by ID
+   */
+  async findById(id) {
+    return (await db.prepare('SELECT * FROM career_applications WHERE id = ?')).get(id);
+  },
+
+  /**
+   * Get all applications, newest first
+   * @param {string|null} role - Filter by role (null for all)
+   */
+  async findAll(role = null) {
+    if (role) {
+      return (await db.prepare(`
+        SELECT * FROM career_applications
+        WHERE role = ?
+        ORDER BY created_at DESC
+      `)).all(role);
+    }
+
+    return (await db.prepare(`
+      SELECT * FROM career_applications
+      ORDER BY created_at DESC
+    `)).all();
+  },
+
+  /**
+   * Create new application
+   * @param {Object} resume - Stored résumé ({ key, filename, mime, size, storageType }) or null
+   */
+  async create({ fullName, email, phone, role, portfolioUrl, message, jobAlerts, resume = null }) {
+    // Validate required fields (JSON bodies can send any type)
+    if (typeof fullName !== 'string' || fullName.trim().length < 2) {
+      throw new Error('Full name must be at least 2 characters');
+    }
+    if (!email || !isValidEmail(email)) {
+      throw new Error('Valid email is required');
+    }
+    if (phone && (typeof phone !== 'string' || phone.replace(/\D/g, '').length < 10)) {
+      throw new Error('Phone number must be at least 10 digits');
+    }
+    if (typeof role !== 'string' || !role.trim()) {
+      throw new Error('Role is required');
+    }
+    if (portfolioUrl && (typeof portfolioUrl !== 'string' || (portfolioUrl.trim() && !isValidUrl(portfolioUrl.trim())))) {
+      throw new Error('Portfolio URL must be a valid http(s) link');
+    }
+    if (message && message.length > 5000) {
+      throw new Error('Message must be less than 5000 characters');
+    }
+
+    // Check rate limiting (max 3 applications per email per hour)
+    const recentCount = (await db.prepare(`
+      SELECT COUNT(*) as count FROM career_applications
+      WHERE email = ? AND created_at > datetime('now', '-1 hour')
+    `)).get(email.trim().toLowerCase());
+
+    if (recentCount && recentCount.count >= 3) {
+      throw new Error('Too many applications. Please try again later.');
+    }
+
+    // Sanitize inputs
+    const sanitized = {
+      fullName: escapeHtml(fullName.trim()),
+      email: email.trim().toLowerCase(),
+      phone: cleanOptional(phone),
+      role: escapeHtml(role.trim()),
+      portfolioUrl: portfolioUrl && portfolioUrl.trim() ? portfolioUrl.trim() : null,
+      message: cleanOptional(message),
+      jobAlerts: jobAlerts === true || jobAlerts === 'true' || jobAlerts === 'on' ? 1 : 0,
+    };
+
+    const result = (await db.prepare(`
+      INSERT INTO career_applications (
+        full_name, email, phone, role, portfolio_url, message, job_alerts,
+        resume_key, resume_filename, resume_mime, resume_size, storage_type
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `)).run(
+      sanitized.fullName,
+      sanitized.email,
+      sanitized.phone,
+      sanitized.role,
+      sanitized.portfolioUrl,
+      sanitized.message,
+      sanitized.jobAlerts,
+      resume?.key || null,
+      resume?.filename || null,
+      resume?.mime || null,
+      resume?.size || null,
+      resume?.storageType || null
+    );
+
+    return this.findById(result.lastInsertRowid);
+  },
+
+  /**
+   * Delete application
+   */
+  async delete(id) {
+    const application = await this.findById(id);
+    if (!application) {
+      throw new Error('Application not found');
+    }
+
+    (await db.prepare('DELETE FROM career_applications WHERE id = ?')).run(id);
+    return true;
+  },
+};
+
+export default CareerApplication;
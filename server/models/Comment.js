@@ -1,4 +1,5 @@
 import db from './database.js';
+import { escapeHtml, isValidEmail } from '../utils/sanitize.js';
 
 // Comment statuses
 export const COMMENT_STATUS = {
@@ -7,27 +8,6 @@ export const COMMENT_STATUS = {
   REJECTED: 'rejected',
 };
 
-/**
- * Simple HTML escape for user input
- */
-function escapeHtml(text) {
-  if (!text) return '';
-  return text
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;')
-    .replace(/'/g, '&#039;');
-}
-
-/**
- * Validate email format
- */
-function isValidEmail(email) {
-  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-  return emailRegex.test(email);
-}
-
 export const Comment = {
   /**
    * Find comment by ID
@@ -103,13 +83,13 @@ export const Comment = {
    */
   async create({ postId, firstName, lastName, email, website, comment }) {
     // Validate required fields
-    if (!firstName || firstName.trim().length < 2) {
+    if (typeof firstName !== 'string' || firstName.trim().length < 2) {
       throw new Error('First name must be at least 2 characters');
     }
     if (!email || !isValidEmail(email)) {
       throw new Error('Valid email is required');
     }
-    if (!comment || comment.trim().length < 10) {
+    if (typeof comment !== 'string' || comment.trim().length < 10) {
       throw new Error('Comment must be at least 10 characters');
     }
     if (comment.length > 2000) {
@@ -0,0 +1,254 @@
+import db from './database.js';
+import { escapeHtml, isValidEmail } from '../utils/sanitize.js';
+
+// Lead statuses
+export const CONSULTATION_STATUS = {
+  NEW: 'new',
+  CONTACTED: 'contacted',
+  SCHEDULED: 'scheduled',
+  WON: 'won',
+  LOST: 'lost',
+};
+
+const VALID_STATUSES = Object.values(CONSULTATION_STATUS);
+
+/**
+ * Trim and escape an optional string field
+ */
+function cleanOptional(value) {
+  if (typeof value !== 'string' || !value.trim()) return null;
+  return escapeHtml(value.trim());
+}
+
+export const Consultation = {
+  /**
+   * Find consultation by ID
+   */
+  async findById(id) {
+    return (await db.prepare('SELECT * FROM consultations WHERE id = ?')).get(id);
+  },
+
+  /**
+   * Get all consultations with optional status filter
+   * @param {string|null} status - Filter by status (null for all)
+   */
+  async findAll(status = null) {
+    if (status) {
+      return (await db.prepare(`
+        SELECT c.*, (SELECT COUNT(*) FROM consultation_photos p WHERE p.consultation_id = c.id) as photo_count
+        FROM consultations c
+        WHERE c.status = ?
+        ORDER BY c.created_at DESC
+      `)).all(status);
+    }
+
+    return (await db.prepare(`
+      SELECT c.*, (SELECT COUNT(*) FROM consultation_photos p WHERE p.consultation_id = c.id) as photo_count
+      FROM consultations c
+      ORDER BY c.created_at DESC
+    `)).all();
+  },
+
+  /**
+   * Create new consultation request
+   */
+  async create({
+    fullName,
+    email,
+    phone,
+    address,
+    projectType,
+    timeline,
+    budget,
+    description,
+    bestTime,
+    contactMethod,
+    referralSource,
+  }) {
+    // Validate required fields (JSON bodies can send any type)
+    if (typeof fullName !== 'string' || fullName.trim().length < 2) {
+      throw new Error('Full name must be at least 2 characters');
+    }
+    if (!email || !isValidEmail(email)) {
+      throw new Error('Valid email is required');
+    }
+    if (typeof phone !== 'string' || phone.replace(/\D/g, '').length < 10) {
+      throw new Error('Valid phone number is required');
+    }
+    if (typeof address !== 'string' || address.trim().length < 5) {
+      throw new Error('Project address must be at least 5 characters');
+    }
+    if (typeof projectType !== 'string' || !projectType.trim()) {
+      throw new Error('Project type is required');
+    }
+    if (typeof timeline !== 'string' || !timeline.trim()) {
+      throw new Error('Timeline is required');
+    }
+    if (description && description.length > 2000) {
+      throw new Error('Description must be less than 2000 characters');
+    }
+
+    // Check rate limiting (max 3 requests per email per hour)
+    const recentCount = (await db.prepare(`
+      SELECT COUNT(*) as count FROM consultations
+      WHERE email = ? AND created_at > datetime('now', '-1 hour')
+    `)).get(email.trim().toLowerCase());
+
+    if (recentCount && recentCount.count >= 3) {
+      throw new Error('Too many requests. Please try again later.');
+    }
+
+    // Best time arrives as an array of checkbox values or a joined string
+    const bestTimeText = Array.isArray(bestTime) ? bestTime.join(', ') : bestTime;
+
+    // Sanitize inputs
+    const sanitized = {
+      fullName: escapeHtml(fullName.trim()),
+      email: email.trim().toLowerCase(),
+      phone: escapeHtml(phone.trim()),
+      address: escapeHtml(address.trim()),
+      projectType: escapeHtml(projectType.trim()),
+      timeline: escapeHtml(timeline.trim()),
+      budget: cleanOptional(budget),
+      description: cleanOptional(description),
+      bestTime: cleanOptional(bestTimeText),
+      contactMethod: cleanOptional(contactMethod),
+      referralSource: cleanOptional(referralSource),
+    };
+
+    const result = (await db.prepare(`
+      INSERT INTO consultations (
+        full_name, email, phone, address, project_type, timeline, budget,
+        description, best_time, contact_method, referral_source, status
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'new')
+    `)).run(
+      sanitized.fullName,
+      sanitized.email,
+      sanitized.phone,
+      sanitized.address,
+      sanitized.projectType,
+      sanitized.timeline,
+      sanitized.budget,
+      sanitized.description,
+      sanitized.bestTime,
+      sanitized.contactMethod,
+      sanitized.referralSource
+    );
+
+    return {
+      id: result.lastInsertRowid,
+      ...sanitized,
+      status: CONSULTATION_STATUS.NEW,
+    };
+  },
+
+  /**
+   * Attach a processed photo to a consultation
+   */
+  async addPhoto(consultationId, { filename, storageType, keys, contentHash = null, blurData = null }) {
+    const result = (await db.prepare(`
+      INSERT INTO consultation_photos (
+        consultation_id, filename, storage_type, key_sm, key_md, key_lg, content_hash, blur_data
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `)).run(
+      consultationId,
+      filename ? escapeHtml(filename) : null,
+      storageType,
+      keys?.key_sm || null,
+      keys?.key_md || null,
+      keys?.key_lg || null,
+      contentHash,
+      blurData
+    );
+
+    return (await db.prepare('SELECT * FROM consultation_photos WHERE id = ?')).get(result.lastInsertRowid);
+  },
+
+  /**
+   * Get photos attached to a consultation
+   * @param {number} consultationId - Consultation ID
+   */
+  async findPhotos(consultationId) {
+    return (await db.prepare(`
+      SELECT * FROM consultation_photos
+      WHERE consultation_id = ?
+      ORDER BY id ASC
+    `)).all(consultationId);
+  },
+
+  /**
+   * Find one photo of a consultation
+   * @param {number} consultationId - Consultation ID
+   * @param {number} photoId - Photo ID
+   */
+  async findPhoto(consultationId, photoId) {
+    return (await db.prepare(`
+      SELECT * FROM consultation_photos WHERE id = ? AND consultation_id = ?
+    `)).get(photoId, consultationId);
+  },
+
+  /**
+   * Change lead status
+   * @param {number} id - Consultation ID
+   * @param {string} status - One of CONSULTATION_STATUS
+   */
+  async updateStatus(id, status) {
+    if (!VALID_STATUSES.includes(status)) {
+      throw new Error(`Invalid status: ${status}`);
+    }
+
+    const consultation = await this.findById(id);
+    if (!consultation) {
+      throw new Error('Consultation not found');
+    }
+
+    (await db.prepare(`
+      UPDATE consultations SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+    `)).run(status, id);
+
+    return this.findById(id);
+  },
+
+  /**
+   * Delete consultation
+   */
+  async delete(id) {
+    const consultation = await this.findById(id);
+    if (!consultation) {
+      throw new Error('Consultation not found');
+    }
+
+    (await db.prepare('DELETE FROM consultations WHERE id = ?')).run(id);
+    return true;
+  },
+
+  /**
+   * Count consultations by status
+   */
+  async countByStatus() {
+    const results = (await db.prepare(`
+      SELECT status, COUNT(*) as count
+      FROM consultations
+      GROUP BY status
+    `)).all();
+
+    const counts = { total: 0 };
+    for (const status of VALID_STATUSES) {
+      counts[status] = 0;
+    }
+    for (const row of results) {
+      counts[row.status] = row.count;
+      counts.total += row.count;
+    }
+    return counts;
+  },
+
+  /**
+   * Get all valid statuses
+   */
+  getStatuses() {
+    return VALID_STATUSES;
+  },
+};
+
+export default Consultation;
@@ -0,0 +1,246 @@
+import db from './database.js';
+import { generateSlug, ensureUniqueSlug } from '../utils/slug.js';
+
+/**
+ * Validate a list of gallery item IDs
+ * @param {Array} itemIds - Gallery item IDs in display order
+ * @returns {Promise<number[]>} Parsed, de-duplicated IDs
+ */
+async function validateItemIds(itemIds) {
+  if (!Array.isArray(itemIds)) {
+    throw new Error('itemIds must be an array');
+  }
+
+  const ids = [];
+  for (const value of itemIds) {
+    const id = parseInt(value);
+    if (!id) {
+      throw new Error(`Invalid gallery item: ${value}`);
+    }
+    const item = (await db.prepare('SELECT id FROM gallery_items WHERE id = ?')).get(id);
+    if (!item) {
+      throw new Error(`Invalid gallery item: ${value}`);
+    }
+    if (!ids.includes(id)) {
+      ids.push(id);
+    }
+  }
+  return ids;
+}
+
+/**
+ * Validate an optional cover item reference
+ */
+async function validateCoverItem(coverItemId) {
+  if (coverItemId === null || coverItemId === undefined || coverItemId === '') {
+    return null;
+  }
+  const id = parseInt(coverItemId);
+  const item = id ? (await db.prepare('SELECT id FROM gallery_items WHERE id = ?')).get(id) : null;
+  if (!item) {
+    throw new Error(`Invalid cover item: ${coverItemId}`);
+  }
+  return id;
+}
+
+export const GalleryAlbum = {
+  /**
+   * Find album by ID
+   */
+  async findById(id) {
+    return (await db.prepare('SELECT * FROM gallery_albums WHERE id = ?')).get(id);
+  },
+
+  /**
+   * Find album by slug
+   */
+  async findBySlug(slug) {
+    return (await db.prepare('SELECT * FROM gallery_albums WHERE slug = ?')).get(slug);
+  },
+
+  /**
+   * Get all albums with item counts
+   */
+  async findAll() {
+    return (await db.prepare(`
+      SELECT a.*, COUNT(ai.gallery_item_id) AS item_count
+      FROM gallery_albums a
+      LEFT JOIN gallery_album_items ai ON ai.album_id = a.id
+      GROUP BY a.id
+      ORDER BY a.sort_order ASC, a.created_at DESC
+    `)).all();
+  },
+
+  /**
+   * Get an album's gallery items in album order
+   */
+  async findItems(albumId) {
+    return (await db.prepare(`
+      SELECT g.*, ai.sort_order AS album_order
+      FROM gallery_album_items ai
+      JOIN gallery_items g ON g.id = ai.gallery_item_id
+      WHERE ai.album_id = ?
+      ORDER BY ai.sort_order ASC, g.display_order ASC
+    `)).all(albumId);
+  },
+
+  /**
+   * Get the cover item: the chosen cover, or the first item in album order
+   */
+  async findCoverItem(album) {
+    if (album.cover_item_id) {
+      const cover = (await db.prepare('SELECT * FROM gallery_items WHERE id = ?')).get(album.cover_item_id);
+      if (cover) return cover;
+    }
+
+    return (await db.prepare(`
+      SELECT g.*
+      FROM gallery_album_items ai
+      JOIN gallery_items g ON g.id = ai.gallery_item_id
+      WHERE ai.album_id = ?
+      ORDER BY ai.sort_order ASC
+      LIMIT 1
+    `)).get(album.id);
+  },
+
+  /**
+   * Replace an album's items with an ordered list (assigns and reorders in one call)
+   * @param {number} albumId - Album ID
+   * @param {Array} itemIds - Gallery item IDs in display order
+   */
+  async setItems(albumId, itemIds) {
+    const ids = await validateItemIds(itemIds);
+
+    (await db.prepare('DELETE FROM gallery_album_items WHERE album_id = ?')).run(albumId);
+
+    const stmt = await db.prepare(`
+      INSERT INTO gallery_album_items (album_id, gallery_item_id, sort_order)
+      VALUES (?, ?, ?)
+    `);
+    ids.forEach((itemId, index) => {
+      stmt.run(albumId, itemId, index);
+    });
+
+    (await db.prepare('UPDATE gallery_albums SET updated_at = CURRENT_TIMESTAMP WHERE id = ?')).run(albumId);
+
+    return this.findItems(albumId);
+  },
+
+  /**
+   * Append items to the end of an album, skipping ones already in it
+   */
+  async addItems(albumId, itemIds) {
+    const existing = (await this.findItems(albumId)).map(item => item.id);
+    const ids = await validateItemIds(itemIds);
+    return this.setItems(albumId, [...existing, ...ids.filter(id => !existing.includes(id))]);
+  },
+
+  /**
+   * Remove a single item from an album
+   */
+  async removeItem(albumId, itemId) {
+    (await db.prepare(`
+      DELETE FROM gallery_album_items WHERE album_id = ? AND gallery_item_id = ?
+    `)).run(albumId, itemId);
+    return this.findItems(albumId);
+  },
+
+  /**
+   * Create new album
+   */
+  async create({ title, slug, description, coverItemId, sortOrder = 0, itemIds }) {
+    if (!title || !title.trim()) {
+      throw new Error('Title is required');
+    }
+    const cover = await validateCoverItem(coverItemId);
+    if (itemIds !== undefined) {
+      await validateItemIds(itemIds);
+    }
+
+    const baseSlug = generateSlug(slug || title);
+    if (!baseSlug) {
+      throw new Error('Invalid slug');
+    }
+    const uniqueSlug = await ensureUniqueSlug('gallery_albums', baseSlug);
+
+    const result = (await db.prepare(`
+      INSERT INTO gallery_albums (title, slug, description, cover_item_id, sort_order)
+      VALUES (?, ?, ?, ?, ?)
+    `)).run(title.trim(), uniqueSlug, description || null, cover, parseInt(sortOrder) || 0);
+
+    if (itemIds !== undefined) {
+      await this.setItems(result.lastInsertRowid, itemIds);
+    }
+
+    return this.findById(result.lastInsertRowid);
+  },
+
+  /**
+   * Update album details
+   */
+  async update(id, { title, slug, description, coverItemId, sortOrder }) {
+    const existing = await this.findById(id);
+    if (!existing) {
+      throw new Error('Album not found');
+    }
+
+    if (title !== undefined && (!title || !title.trim())) {
+      throw new Error('Title is required');
+    }
+    const cover = coverItemId !== undefined
+      ? await validateCoverItem(coverItemId)
+      : existing.cover_item_id;
+
+    // Handle slug change
+    let finalSlug = existing.slug;
+    if (slug && generateSlug(slug) !== existing.slug) {
+      finalSlug = await ensureUniqueSlug('gallery_albums', generateSlug(slug), id);
+    }
+
+    (await db.prepare(`
+      UPDATE gallery_albums SET
+        title = ?,
+        slug = ?,
+        description = ?,
+        cover_item_id = ?,
+        sort_order = ?,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `)).run(
+      title !== undefined ? title.trim() : existing.title,
+      finalSlug,
+      description !== undefined ? description || null : existing.description,
+      cover,
+      sortOrder !== undefined ? parseInt(sortOrder) || 0 : existing.sort_order,
+      id
+    );
+
+    return this.findById(id);
+  },
+
+  /**
+   * Delete album (gallery items are kept)
+   */
+  async delete(id) {
+    const existing = await this.findById(id);
+    if (!existing) {
+      throw new Error('Album not found');
+    }
+
+    (await db.prepare('DELETE FROM gallery_albums WHERE id = ?')).run(id);
+    return true;
+  },
+
+  /**
+   * Bulk reorder albums
+   */
+  async reorder(orderedIds) {
+    const stmt = await db.prepare('UPDATE gallery_albums SET sort_order = ? WHERE id = ?');
+    orderedIds.forEach((id, index) => {
+      stmt.run(index + 1, id);
+    });
+    return this.findAll();
+  },
+};
+
+export default GalleryAlbum;
@@ -0,0 +1,174 @@
+import db from './database.js';
+import { generateSlug } from '../utils/slug.js';
+
+// Longest category slug (lowercase letters, numbers and dashes)
+const MAX_SLUG_LENGTH = 50;
+
+/**
+ * Validate an optional cover item reference
+ */
+async function validateCoverItem(coverItemId) {
+  if (coverItemId === null || coverItemId === undefined || coverItemId === '') {
+    return null;
+  }
+  const id = parseInt(coverItemId);
+  const item = id ? (await db.prepare('SELECT id FROM gallery_items WHERE id = ?')).get(id) : null;
+  if (!item) {
+    throw new Error(`Invalid cover item: ${coverItemId}`);
+  }
+  return id;
+}
+
+export const GalleryCategory = {
+  /**
+   * Get all categories in display order with item counts
+   */
+  async findAll() {
+    return (await db.prepare(`
+      SELECT c.*, COUNT(g.id) AS item_count
+      FROM gallery_categories c
+      LEFT JOIN gallery_items g ON g.category = c.slug
+      GROUP BY c.id
+      ORDER BY c.sort_order ASC, c.name ASC
+    `)).all();
+  },
+
+  /**
+   * Find category by ID (with item count)
+   */
+  async findById(id) {
+    return (await db.prepare(`
+      SELECT c.*, (SELECT COUNT(*) FROM gallery_items g WHERE g.category = c.slug) AS item_count
+      FROM gallery_categories c
+      WHERE c.id = ?
+    `)).get(id);
+  },
+
+  /**
+   * Find category by slug
+   */
+  async findBySlug(slug) {
+    return (await db.prepare('SELECT * FROM gallery_categories WHERE slug = ?')).get(slug);
+  },
+
+  /**
+   * Get valid category slugs in display order
+   */
+  async getSlugs() {
+    return (await db.prepare(`
+      SELECT slug FROM gallery_categories ORDER BY sort_order ASC, name ASC
+    `)).all().map(row => row.slug);
+  },
+
+  /**
+   * Check whether a slug is a known category
+   */
+  async exists(slug) {
+    return !!(await this.findBySlug(slug));
+  },
+
+  /**
+   * Create new category
+   */
+  async create({ slug, name, description, sortOrder, coverItemId }) {
+    if (!name || !name.trim()) {
+      throw new Error('Name is required');
+    }
+
+    const finalSlug = generateSlug(slug || name, MAX_SLUG_LENGTH);
+    if (!finalSlug) {
+      throw new Error('Invalid slug');
+    }
+    if (await this.findBySlug(finalSlug)) {
+      throw new Error(`Invalid slug: "${finalSlug}" is already in use`);
+    }
+
+    const cover = await validateCoverItem(coverItemId);
+
+    // Default to the end of the list
+    let order = parseInt(sortOrder);
+    if (Number.isNaN(order)) {
+      const maxOrder = (await db.prepare('SELECT MAX(sort_order) as max FROM gallery_categories')).get();
+      order = (maxOrder.max || 0) + 1;
+    }
+
+    const result = (await db.prepare(`
+      INSERT INTO gallery_categories (slug, name, description, sort_order, cover_item_id)
+      VALUES (?, ?, ?, ?, ?)
+    `)).run(finalSlug, name.trim(), description || null, order, cover);
+
+    return this.findById(result.lastInsertRowid);
+  },
+
+  /**
+   * Update category
+   * Renaming the slug moves existing gallery items to the new slug
+   */
+  async update(id, { slug, name, description, sortOrder, coverItemId }) {
+    const existing = await this.findById(id);
+    if (!existing) {
+      throw new Error('Category not found');
+    }
+
+    if (name !== undefined && (!name || !name.trim())) {
+      throw new Error('Name is required');
+    }
+
+    let finalSlug = existing.slug;
+    if (slug !== undefined && generateSlug(slug, MAX_SLUG_LENGTH) !== existing.slug) {
+      finalSlug = generateSlug(slug, MAX_SLUG_LENGTH);
+      if (!finalSlug) {
+        throw new Error('Invalid slug');
+      }
+      if (await this.findBySlug(finalSlug)) {
+        throw new Error(`Invalid slug: "${finalSlug}" is already in use`);
+      }
+    }
+
+    const cover = coverItemId !== undefined
+      ? await validateCoverItem(coverItemId)
+      : existing.cover_item_id;
+
+    (await db.prepare(`
+      UPDATE gallery_categories SET
+        slug = ?,
+        name = ?,
+        description = ?,
+        sort_order = ?,
+        cover_item_id = ?,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `)).run(
+      finalSlug,
+      name !== undefined ? name.trim() : existing.name,
+      description !== undefined ? description || null : existing.description,
+      sortOrder !== undefined ? parseInt(sortOrder) || 0 : existing.sort_order,
+      cover,
+      id
+    );
+
+    if (finalSlug !== existing.slug) {
+      (await db.prepare('UPDATE gallery_items SET category = ? WHERE category = ?')).run(finalSlug, existing.slug);
+    }
+
+    return this.findById(id);
+  },
+
+  /**
+   * Delete category - its items become uncategorized
+   * @returns {Promise<number>} Number of items that were uncategorized
+   */
+  async delete(id) {
+    const existing = await this.findById(id);
+    if (!existing) {
+      throw new Error('Category not found');
+    }
+
+    (await db.prepare('UPDATE gallery_items SET category = NULL WHERE category = ?')).run(existing.slug);
+    (await db.prepare('DELETE FROM gallery_categories WHERE id = ?')).run(id);
+
+    return existing.item_count;
+  },
+};
+
+export default GalleryCategory;
@@ -1,4 +1,5 @@
 import db from './database.js';
+import { clearSitemapCache } from '../utils/sitemapCache.js';
 
 export const GalleryItem = {
   /**
@@ -29,7 +30,7 @@ export const GalleryItem = {
     thumbnail = null,
     sizeClass = 'medium',
     uploadedBy = null,
-    category = null, // Gallery category (kitchen, bathroom, outdoor, additions)
+    category = null, // Gallery category slug (see gallery_categories)
     // Railway Buckets variant keys (optional)
     keys = null,
     videoKey = null,
@@ -62,6 +63,7 @@ export const GalleryItem = {
       );
 
       console.log('GalleryItem.create result:', { lastInsertRowid: result.lastInsertRowid });
+      clearSitemapCache();
 
       const item = await this.findById(result.lastInsertRowid);
       if (!item) {
@@ -74,6 +76,41 @@ export const GalleryItem = {
     }
   },
 
+  /**
+   * Create before/after pair from two processed images
+   * Each side is either Railway output ({ keys, contentHash, blurData })
+   * or legacy output ({ filepath, thumbnail })
+   */
+  async createBeforeAfter({
+    filename,
+    before,
+    after,
+    sizeClass = 'medium',
+    uploadedBy = null,
+    category = null,
+  }) {
+    const maxOrder = (await db.prepare('SELECT MAX(display_order) as max FROM gallery_items')).get();
+    const displayOrder = (maxOrder.max || 0) + 1;
+
+    const result = (await db.prepare(`
+      INSERT INTO gallery_items (
+        type, filename, filepath, thumbnail, size_class, display_order, uploaded_by,
+        key_sm, key_md, key_lg, content_hash, blur_data, category,
+        after_key_sm, after_key_md, after_key_lg, after_blur_data, after_filepath, after_thumbnail
+      )
+      VALUES ('before-after', ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `)).run(
+      filename, before.filepath || null, before.thumbnail || null, sizeClass, displayOrder, uploadedBy,
+      before.keys?.key_sm || null, before.keys?.key_md || null, before.keys?.key_lg || null,
+      before.contentHash || null, before.blurData || null, category,
+      after.keys?.key_sm || null, after.keys?.key_md || null, after.keys?.key_lg || null,
+      after.blurData || null, after.filepath || null, after.thumbnail || null
+    );
+    clearSitemapCache();
+
+    return this.findById(result.lastInsertRowid);
+  },
+
   /**
    * Create embed item (YouTube/Vimeo)
    */
@@ -86,14 +123,16 @@ export const GalleryItem = {
       INSERT INTO gallery_items (type, embed_url, embed_platform, thumbnail, size_class, display_order, uploaded_by, category)
       VALUES ('embed', ?, ?, ?, ?, ?, ?, ?)
     `)).run(embedUrl, embedPlatform, thumbnail, sizeClass, displayOrder, uploadedBy, category);
+    clearSitemapCache();
 
     return this.findById(result.lastInsertRowid);
   },
 
   /**
    * Update gallery item
+   * Text metadata (title, caption, altText, location) is trimmed; empty strings clear the field
    */
-  async update(id, { sizeClass, displayOrder, category }) {
+  async update(id, { sizeClass, displayOrder, category, title, caption, altText, location }) {
     const updates = [];
     const values = [];
 
@@ -112,6 +151,14 @@ export const GalleryItem = {
       values.push(category);
     }
 
+    const textFields = { title, caption, alt_text: altText, location };
+    for (const [column, value] of Object.entries(textFields)) {
+      if (value !== undefined) {
+        updates.push(`${column} = ?`);
+        values.push(value === null ? null : String(value).trim() || null);
+      }
+    }
+
     if (updates.length === 0) {
       return this.findById(id);
     }
@@ -124,6 +171,7 @@ export const GalleryItem = {
       SET ${updates.join(', ')}
       WHERE id = ?
     `)).run(...values);
+    clearSitemapCache();
 
     return this.findById(id);
   },
@@ -138,6 +186,7 @@ export const GalleryItem = {
     }
 
     (await db.prepare('DELETE FROM gallery_items WHERE id = ?')).run(id);
+    clearSitemapCache();
     return item;
   },
 
@@ -154,6 +203,7 @@ export const GalleryItem = {
     });
 
     reorderTransaction(orderedIds);
+    clearSitemapCache();
     return this.findAll();
   },
 
@@ -247,6 +297,7 @@ export const GalleryItem = {
     });
 
     const ids = insertTransaction(items);
+    clearSitemapCache();
     return Promise.all(ids.map(id => this.findById(id)));
   },
 
@@ -268,6 +319,17 @@ export const GalleryItem = {
     };
   },
 
+  /**
+   * Get "after" variant keys from a before/after item
+   */
+  getAfterKeys(item) {
+    return {
+      key_sm: item.after_key_sm,
+      key_md: item.after_key_md,
+      key_lg: item.after_key_lg,
+    };
+  },
+
   /**
    * Get video and thumbnail keys from an item
    */
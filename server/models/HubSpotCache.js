@@ -0,0 +1,77 @@
+import db from './database.js';
+
+/**
+ * Parse a cache row's JSON body (undefined when nothing was fetched yet)
+ */
+function withValue(row) {
+  if (!row) return row;
+  let value;
+  if (row.body !== null && row.body !== undefined) {
+    try {
+      value = JSON.parse(row.body);
+    } catch {
+      // Corrupt entry - treat as missing
+    }
+  }
+  return { ...row, value };
+}
+
+/**
+ * Persistent cache for legacy HubSpot blog responses
+ * Keys: "feed" (normalized RSS items), "article:<post URL>" (cleaned article HTML)
+ */
+export const HubSpotCache = {
+  /**
+   * Get a cache entry
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|undefined>} Row plus the parsed `value`
+   */
+  async get(key) {
+    return withValue((await db.prepare('SELECT * FROM hubspot_cache WHERE cache_key = ?')).get(key));
+  },
+
+  /**
+   * List entries without their bodies (size is the body length in characters)
+   */
+  async findAll() {
+    return (await db.prepare(`
+      SELECT cache_key, fetched_at, last_error, last_error_at, LENGTH(body) AS size
+      FROM hubspot_cache
+      ORDER BY cache_key = 'feed' DESC, cache_key
+    `)).all();
+  },
+
+  /**
+   * Store a successful fetch (clears any recorded error)
+   * @param {string} key - Cache key
+   * @param {*} value - JSON-serializable value
+   */
+  async set(key, value) {
+    (await db.prepare(`
+      INSERT INTO hubspot_cache (cache_key, body, fetched_at, last_error, last_error_at)
+      VALUES (?, ?, ?, NULL, NULL)
+      ON CONFLICT(cache_key) DO UPDATE SET
+        body = excluded.body,
+        fetched_at = excluded.fetched_at,
+        last_error = NULL,
+        last_error_at = NULL
+    `)).run(key, JSON.stringify(value), new Date().toISOString());
+  },
+
+  /**
+   * Record a failed fetch, keeping the last good body
+   * @param {string} key - Cache key
+   * @param {string} message - Error message
+   */
+  async recordError(key, message) {
+    (await db.prepare(`
+      INSERT INTO hubspot_cache (cache_key, last_error, last_error_at)
+      VALUES (?, ?, ?)
+      ON CONFLICT(cache_key) DO UPDATE SET
+        last_error = excluded.last_error,
+        last_error_at = excluded.last_error_at
+    `)).run(key, String(message).substring(0, 500), new Date().toISOString());
+  },
+};
+
+export default HubSpotCache;
@@ -0,0 +1,291 @@
+import db from './database.js';
+import { validateBlocks, renderBlocksHtml } from '../utils/blockRenderer.js';
+import { escapeHtml } from '../utils/sanitize.js';
+import { generateSlug, ensureUniqueSlug } from '../utils/slug.js';
+
+// schema.org employmentType values mapped to display labels
+export const EMPLOYMENT_TYPES = {
+  FULL_TIME: 'Full-time',
+  PART_TIME: 'Part-time',
+  CONTRACTOR: 'Contract',
+  TEMPORARY: 'Temporary',
+  INTERN: 'Internship',
+};
+
+// Posting statuses
+export const JOB_STATUS = {
+  OPEN: 'open',
+  CLOSED: 'closed',
+};
+
+const VALID_STATUSES = Object.values(JOB_STATUS);
+
+// Description supports the text subset of blog content blocks
+const DESCRIPTION_BLOCK_TYPES = ['heading', 'paragraph', 'list'];
+
+const HIRING_ORGANIZATION = {
+  '@type': 'Organization',
+  name: 'Lighthouse Design Build',
+  sameAs: 'https://designwithlighthouse.com',
+  logo: 'https://designwithlighthouse.com/src/assets/images/logo/LightHouse-Logo-Blue.png',
+};
+
+/**
+ * Parse stored JSON content on a posting row
+ */
+function parseRow(job) {
+  if (job && job.content) {
+    job.content = JSON.parse(job.content);
+  }
+  return job;
+}
+
+export const JobPosting = {
+  /**
+   * Find posting by ID
+   */
+  async findById(id) {
+    return parseRow((await db.prepare('SELECT * FROM job_postings WHERE id = ?')).get(id));
+  },
+
+  /**
+   * Find posting by slug (public - only open)
+   */
+  async findBySlug(slug) {
+    return parseRow((await db.prepare(`
+      SELECT * FROM job_postings WHERE slug = ? AND status = 'open'
+    `)).get(slug));
+  },
+
+  /**
+   * Get all postings (admin view - includes closed)
+   */
+  async findAll() {
+    const jobs = (await db.prepare(`
+      SELECT * FROM job_postings
+      ORDER BY status = 'open' DESC, sort_order ASC, created_at DESC
+    `)).all();
+    return jobs.map(parseRow);
+  },
+
+  /**
+   * Get open postings for the careers page
+   * Postings past their valid_through date are treated as closed
+   */
+  async findOpen() {
+    const jobs = (await db.prepare(`
+      SELECT * FROM job_postings
+      WHERE status = 'open'
+        AND (valid_through IS NULL OR date(valid_through) >= date('now'))
+      ORDER BY sort_order ASC, created_at DESC
+    `)).all();
+    return jobs.map(parseRow);
+  },
+
+  /**
+   * Create new job posting
+   */
+  async create({
+    title,
+    slug,
+    location,
+    addressLocality,
+    addressRegion,
+    employmentType = 'FULL_TIME',
+    summary,
+    content,
+    status = JOB_STATUS.OPEN,
+    sortOrder = 0,
+    validThrough,
+  }) {
+    if (!title || !title.trim()) {
+      throw new Error('Title is required');
+    }
+    if (!location || !location.trim()) {
+      throw new Error('Location is required');
+    }
+    if (!EMPLOYMENT_TYPES[employmentType]) {
+      throw new Error(`Invalid employment type: ${employmentType}`);
+    }
+    if (!VALID_STATUSES.includes(status)) {
+      throw new Error(`Invalid status: ${status}`);
+    }
+    validateBlocks(content || [], { types: DESCRIPTION_BLOCK_TYPES, label: 'description' });
+
+    const baseSlug = slug ? generateSlug(slug) : generateSlug(title);
+    const uniqueSlug = await ensureUniqueSlug('job_postings', baseSlug);
+
+    const result = (await db.prepare(`
+      INSERT INTO job_postings (
+        title, slug, location, address_locality, address_region, employment_type,
+        summary, content, status, sort_order, valid_through
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `)).run(
+      title.trim(),
+      uniqueSlug,
+      location.trim(),
+      addressLocality || null,
+      addressRegion || 'CT',
+      employmentType,
+      summary || null,
+      JSON.stringify(content || []),
+      status,
+      parseInt(sortOrder) || 0,
+      validThrough || null
+    );
+
+    return this.findById(result.lastInsertRowid);
+  },
+
+  /**
+   * Update job posting
+   */
+  async update(id, {
+    title,
+    slug,
+    location,
+    addressLocality,
+    addressRegion,
+    employmentType,
+    summary,
+    content,
+    status,
+    sortOrder,
+    validThrough,
+  }) {
+    const existing = await this.findById(id);
+    if (!existing) {
+      throw new Error('Job posting not found');
+    }
+
+    if (title !== undefined && !title.trim()) {
+      throw new Error('Title is required');
+    }
+    if (location !== undefined && !location.trim()) {
+      throw new Error('Location is required');
+    }
+    if (employmentType && !EMPLOYMENT_TYPES[employmentType]) {
+      throw new Error(`Invalid employment type: ${employmentType}`);
+    }
+    if (status && !VALID_STATUSES.includes(status)) {
+      throw new Error(`Invalid status: ${status}`);
+    }
+    if (content !== undefined) {
+      validateBlocks(content, { types: DESCRIPTION_BLOCK_TYPES, label: 'description' });
+    }
+
+    // Handle slug change
+    let finalSlug = existing.slug;
+    if (slug && generateSlug(slug) !== existing.slug) {
+      finalSlug = await ensureUniqueSlug('job_postings', generateSlug(slug), id);
+    }
+
+    // Reopening a closed posting counts as a fresh listing for job search
+    const datePosted = status === JOB_STATUS.OPEN && existing.status !== JOB_STATUS.OPEN
+      ? new Date().toISOString()
+      : existing.date_posted;
+
+    (await db.prepare(`
+      UPDATE job_postings SET
+        title = ?,
+        slug = ?,
+        location = ?,
+        address_locality = ?,
+        address_region = ?,
+        employment_type = ?,
+        summary = ?,
+        content = ?,
+        status = ?,
+        sort_order = ?,
+        date_posted = ?,
+        valid_through = ?,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `)).run(
+      title !== undefined ? title.trim() : existing.title,
+      finalSlug,
+      location !== undefined ? location.trim() : existing.location,
+      addressLocality !== undefined ? addressLocality || null : existing.address_locality,
+      addressRegion !== undefined ? addressRegion || 'CT' : existing.address_region,
+      employmentType ?? existing.employment_type,
+      summary !== undefined ? summary || null : existing.summary,
+      JSON.stringify(content !== undefined ? content : existing.content || []),
+      status ?? existing.status,
+      sortOrder !== undefined ? parseInt(sortOrder) || 0 : existing.sort_order,
+      datePosted,
+      validThrough !== undefined ? validThrough || null : existing.valid_through,
+      id
+    );
+
+    return this.findById(id);
+  },
+
+  /**
+   * Delete job posting
+   */
+  async delete(id) {
+    const existing = await this.findById(id);
+    if (!existing) {
+      throw new Error('Job posting not found');
+    }
+
+    (await db.prepare('DELETE FROM job_postings WHERE id = ?')).run(id);
+    return true;
+  },
+
+  /**
+   * Build schema.org JobPosting structured data for a posting
+   * @param {Object} job - Posting row (content parsed)
+   * @param {string} pageUrl - Careers page URL the listing lives on
+   * @returns {Object} JSON-LD object
+   */
+  toStructuredData(job, pageUrl) {
+    const data = {
+      '@context': 'https://schema.org',
+      '@type': 'JobPosting',
+      title: job.title,
+      description: renderBlocksHtml(job.content) || `<p>${escapeHtml(job.summary || job.title)}</p>`,
+      identifier: {
+        '@type': 'PropertyValue',
+        name: HIRING_ORGANIZATION.name,
+        value: job.slug,
+      },
+      // Stored as SQLite timestamp or ISO string - both start with YYYY-MM-DD
+      datePosted: String(job.date_posted).slice(0, 10),
+      employmentType: job.employment_type,
+      hiringOrganization: HIRING_ORGANIZATION,
+      jobLocation: {
+        '@type': 'Place',
+        address: {
+          '@type': 'PostalAddress',
+          addressLocality: job.address_locality || undefined,
+          addressRegion: job.address_region || 'CT',
+          addressCountry: 'US',
+        },
+      },
+      url: `${pageUrl}#${job.slug}`,
+    };
+
+    if (job.valid_through) {
+      data.validThrough = job.valid_through;
+    }
+
+    return data;
+  },
+
+  /**
+   * Get employment type labels
+   */
+  getEmploymentTypes() {
+    return EMPLOYMENT_TYPES;
+  },
+
+  /**
+   * Get all valid statuses
+   */
+  getStatuses() {
+    return VALID_STATUSES;
+  },
+};
+
+export default JobPosting;
@@ -0,0 +1,137 @@
+import db from './database.js';
+
+// Referrers listed per path in the admin view
+const REFERRERS_PER_PATH = 5;
+
+// Rows per INSERT (keeps each statement well under SQLite's bound parameter limit)
+const INSERT_BATCH_SIZE = 200;
+
+/**
+ * Split rows into INSERT-sized batches
+ */
+function batches(rows) {
+  const result = [];
+  for (let i = 0; i < rows.length; i += INSERT_BATCH_SIZE) {
+    result.push(rows.slice(i, i + INSERT_BATCH_SIZE));
+  }
+  return result;
+}
+
+/**
+ * Log of requests that matched no page, route or redirect
+ * One row per path, with the pages that linked to it in not_found_referrers
+ */
+export const NotFoundLog = {
+  /**
+   * Get logged paths, most hits first, each with its top referrers
+   * @param {Object} options
+   * @param {number} options.limit - Max paths (default 200)
+   */
+  async findAll({ limit = 200 } = {}) {
+    const entries = (await db.prepare(`
+      SELECT * FROM not_found_log
+      ORDER BY hit_count DESC, last_seen_at DESC
+      LIMIT ?
+    `)).all(limit);
+
+    if (entries.length === 0) return [];
+
+    const referrers = (await db.prepare(`
+      SELECT * FROM not_found_referrers
+      WHERE path IN (${entries.map(() => '?').join(', ')})
+      ORDER BY hit_count DESC, last_seen_at DESC
+    `)).all(...entries.map(entry => entry.path));
+
+    return entries.map(entry => ({
+      ...entry,
+      referrers: referrers
+        .filter(row => row.path === entry.path)
+        .slice(0, REFERRERS_PER_PATH)
+        .map(({ referrer, hit_count, last_seen_at }) => ({ referrer, hit_count, last_seen_at })),
+    }));
+  },
+
+  /**
+   * Count logged paths
+   */
+  async count() {
+    return (await db.prepare('SELECT COUNT(*) AS count FROM not_found_log')).get().count;
+  },
+
+  /**
+   * Add buffered 404s
+   * @param {Map<string, {count: number, firstSeenAt: string, lastSeenAt: string,
+   *   referrers: Map<string, {count: number, lastSeenAt: string}>}>} entries - By path
+   */
+  async record(entries) {
+    const rows = [...entries].map(([path, entry]) => [path, entry.count, entry.firstSeenAt, entry.lastSeenAt]);
+    for (const batch of batches(rows)) {
+      (await db.prepare(`
+        INSERT INTO not_found_log (path, hit_count, first_seen_at, last_seen_at)
+        VALUES ${batch.map(() => '(?, ?, ?, ?)').join(', ')}
+        ON CONFLICT(path) DO UPDATE SET
+          hit_count = hit_count + excluded.hit_count,
+          last_seen_at = excluded.last_seen_at
+      `)).run(...batch.flat());
+    }
+
+    const referrerRows = [...entries].flatMap(([path, entry]) =>
+      [...entry.referrers].map(([referrer, seen]) => [path, referrer, seen.count, seen.lastSeenAt])
+    );
+    for (const batch of batches(referrerRows)) {
+      (await db.prepare(`
+        INSERT INTO not_found_referrers (path, referrer, hit_count, last_seen_at)
+        VALUES ${batch.map(() => '(?, ?, ?, ?)').join(', ')}
+        ON CONFLICT(path, referrer) DO UPDATE SET
+          hit_count = hit_count + excluded.hit_count,
+          last_seen_at = excluded.last_seen_at
+      `)).run(...batch.flat());
+    }
+  },
+
+  /**
+   * Remove one path (e.g. once a redirect covers it)
+   * @returns {Promise<boolean>} Whether the path was logged
+   */
+  async delete(path) {
+    const existing = (await db.prepare('SELECT path FROM not_found_log WHERE path = ?')).get(path);
+    if (!existing) return false;
+
+    (await db.prepare('DELETE FROM not_found_log WHERE path = ?')).run(path);
+    return true;
+  },
+
+  /**
+   * Remove several paths
+   */
+  async deleteMany(paths) {
+    if (paths.length === 0) return;
+    (await db.prepare(`
+      DELETE FROM not_found_log WHERE path IN (${paths.map(() => '?').join(', ')})
+    `)).run(...paths);
+  },
+
+  /**
+   * Remove every logged path
+   */
+  async deleteAll() {
+    (await db.prepare('DELETE FROM not_found_log')).run();
+  },
+
+  /**
+   * Remove paths not requested since a date
+   * @param {string} before - ISO timestamp
+   */
+  async prune(before) {
+    (await db.prepare('DELETE FROM not_found_log WHERE last_seen_at < ?')).run(before);
+  },
+
+  /**
+   * Every logged path (without counts)
+   */
+  async findPaths() {
+    return (await db.prepare('SELECT path FROM not_found_log')).all().map(row => row.path);
+  },
+};
+
+export default NotFoundLog;
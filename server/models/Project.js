@@ -0,0 +1,339 @@
+import db from './database.js';
+import { generateSlug, ensureUniqueSlug } from '../utils/slug.js';
+import { clearSitemapCache } from '../utils/sitemapCache.js';
+
+// Portfolio project categories mapped to display labels
+export const PROJECT_CATEGORIES = {
+  kitchen: 'Kitchen',
+  bathroom: 'Bathroom',
+  addition: 'Addition',
+  outdoor: 'Outdoor',
+  custom: 'Custom Home',
+};
+
+// Project statuses
+export const PROJECT_STATUS = {
+  PUBLISHED: 'published',
+  DRAFT: 'draft',
+};
+
+const VALID_STATUSES = Object.values(PROJECT_STATUS);
+
+// Gallery item types that can be attached to a project
+const MEDIA_TYPES = ['image', 'video'];
+
+/**
+ * Normalize highlights to a trimmed array of non-empty strings
+ * @param {Array|string} highlights - Array or newline-separated text
+ */
+function normalizeHighlights(highlights) {
+  const list = typeof highlights === 'string' ? highlights.split('\n') : highlights;
+  if (!Array.isArray(list)) {
+    throw new Error('Highlights must be a list');
+  }
+  return list.map(item => String(item).trim()).filter(Boolean);
+}
+
+/**
+ * Validate ordered media references against gallery_items
+ * @param {Array} media - [{ galleryItemId, label }]
+ * @returns {Promise<Array>} Normalized media list
+ */
+async function validateMedia(media) {
+  if (!Array.isArray(media)) {
+    throw new Error('Media must be an array');
+  }
+
+  const normalized = [];
+  for (const entry of media) {
+    const galleryItemId = parseInt(entry?.galleryItemId);
+    if (!galleryItemId) {
+      throw new Error('Media entries require a galleryItemId');
+    }
+
+    const item = (await db.prepare('SELECT id, type FROM gallery_items WHERE id = ?')).get(galleryItemId);
+    if (!item) {
+      throw new Error(`Invalid gallery item: ${galleryItemId}`);
+    }
+    if (!MEDIA_TYPES.includes(item.type)) {
+      throw new Error(`Project media must be one of: ${MEDIA_TYPES.join(', ')}`);
+    }
+
+    const label = typeof entry.label === 'string' && entry.label.trim()
+      ? entry.label.trim().substring(0, 50)
+      : null;
+    normalized.push({ galleryItemId, label });
+  }
+  return normalized;
+}
+
+/**
+ * Validate required text fields shared by create and update
+ */
+function validateFields({ title, town, category, status }) {
+  if (title !== undefined && (typeof title !== 'string' || !title.trim())) {
+    throw new Error('Title is required');
+  }
+  if (town !== undefined && (typeof town !== 'string' || !town.trim())) {
+    throw new Error('Town is required');
+  }
+  if (category !== undefined && !PROJECT_CATEGORIES[category]) {
+    throw new Error(`Invalid category: ${category}`);
+  }
+  if (status !== undefined && !VALID_STATUSES.includes(status)) {
+    throw new Error(`Invalid status: ${status}`);
+  }
+}
+
+/**
+ * Parse stored JSON highlights on a project row
+ */
+function parseRow(project) {
+  if (project) {
+    project.highlights = project.highlights ? JSON.parse(project.highlights) : [];
+  }
+  return project;
+}
+
+export const Project = {
+  /**
+   * Find project by ID
+   */
+  async findById(id) {
+    return parseRow((await db.prepare('SELECT * FROM projects WHERE id = ?')).get(id));
+  },
+
+  /**
+   * Find project by slug (public - only published)
+   */
+  async findBySlug(slug) {
+    return parseRow((await db.prepare(`
+      SELECT * FROM projects WHERE slug = ? AND status = 'published'
+    `)).get(slug));
+  },
+
+  /**
+   * Get all projects (admin view - includes drafts)
+   */
+  async findAll() {
+    const projects = (await db.prepare(`
+      SELECT * FROM projects
+      ORDER BY sort_order ASC, created_at DESC
+    `)).all();
+    return projects.map(parseRow);
+  },
+
+  /**
+   * Get published projects for the portfolio page
+   * @param {string|null} category - Filter by category (null for all)
+   */
+  async findPublished(category = null) {
+    if (category) {
+      return (await db.prepare(`
+        SELECT * FROM projects
+        WHERE status = 'published' AND category = ?
+        ORDER BY sort_order ASC, created_at DESC
+      `)).all(category).map(parseRow);
+    }
+
+    return (await db.prepare(`
+      SELECT * FROM projects
+      WHERE status = 'published'
+      ORDER BY sort_order ASC, created_at DESC
+    `)).all().map(parseRow);
+  },
+
+  /**
+   * Get ordered media for a project joined with its gallery items
+   */
+  async findMedia(projectId) {
+    return (await db.prepare(`
+      SELECT pm.id AS media_id, pm.label, pm.sort_order AS media_order, g.*
+      FROM project_media pm
+      JOIN gallery_items g ON g.id = pm.gallery_item_id
+      WHERE pm.project_id = ?
+      ORDER BY pm.sort_order ASC, pm.id ASC
+    `)).all(projectId);
+  },
+
+  /**
+   * Replace a project's ordered media list
+   * @param {number} projectId - Project ID
+   * @param {Array} media - [{ galleryItemId, label }] in display order
+   */
+  async setMedia(projectId, media) {
+    const normalized = await validateMedia(media);
+
+    (await db.prepare('DELETE FROM project_media WHERE project_id = ?')).run(projectId);
+
+    const stmt = await db.prepare(`
+      INSERT INTO project_media (project_id, gallery_item_id, label, sort_order)
+      VALUES (?, ?, ?, ?)
+    `);
+    normalized.forEach((entry, index) => {
+      stmt.run(projectId, entry.galleryItemId, entry.label, index);
+    });
+
+    return this.findMedia(projectId);
+  },
+
+  /**
+   * Create new project
+   */
+  async create({
+    title,
+    slug,
+    town,
+    category,
+    summary,
+    scope,
+    duration,
+    budgetRange,
+    description,
+    highlights = [],
+    status = PROJECT_STATUS.PUBLISHED,
+    sortOrder = 0,
+    media,
+  }) {
+    validateFields({ title: title ?? '', town: town ?? '', category, status });
+    const cleanHighlights = normalizeHighlights(highlights);
+    if (media !== undefined) {
+      await validateMedia(media);
+    }
+
+    const baseSlug = slug ? generateSlug(slug) : generateSlug(title);
+    const uniqueSlug = await ensureUniqueSlug('projects', baseSlug);
+
+    const result = (await db.prepare(`
+      INSERT INTO projects (
+        title, slug, town, category, summary, scope, duration, budget_range,
+        description, highlights, status, sort_order
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `)).run(
+      title.trim(),
+      uniqueSlug,
+      town.trim(),
+      category,
+      summary || null,
+      scope || null,
+      duration || null,
+      budgetRange || null,
+      description || null,
+      JSON.stringify(cleanHighlights),
+      status,
+      parseInt(sortOrder) || 0
+    );
+
+    if (media !== undefined) {
+      await this.setMedia(result.lastInsertRowid, media);
+    }
+    clearSitemapCache();
+
+    return this.findById(result.lastInsertRowid);
+  },
+
+  /**
+   * Update project
+   */
+  async update(id, {
+    title,
+    slug,
+    town,
+    category,
+    summary,
+    scope,
+    duration,
+    budgetRange,
+    description,
+    highlights,
+    status,
+    sortOrder,
+    media,
+  }) {
+    const existing = await this.findById(id);
+    if (!existing) {
+      throw new Error('Project not found');
+    }
+
+    validateFields({ title, town, category, status });
+    const cleanHighlights = highlights !== undefined ? normalizeHighlights(highlights) : existing.highlights;
+    if (media !== undefined) {
+      await validateMedia(media);
+    }
+
+    // Handle slug change
+    let finalSlug = existing.slug;
+    if (slug && generateSlug(slug) !== existing.slug) {
+      finalSlug = await ensureUniqueSlug('projects', generateSlug(slug), id);
+    }
+
+    (await db.prepare(`
+      UPDATE projects SET
+        title = ?,
+        slug = ?,
+        town = ?,
+        category = ?,
+        summary = ?,
+        scope = ?,
+        duration = ?,
+        budget_range = ?,
+        description = ?,
+        highlights = ?,
+        status = ?,
+        sort_order = ?,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `)).run(
+      title !== undefined ? title.trim() : existing.title,
+      finalSlug,
+      town !== undefined ? town.trim() : existing.town,
+      category ?? existing.category,
+      summary !== undefined ? summary || null : existing.summary,
+      scope !== undefined ? scope || null : existing.scope,
+      duration !== undefined ? duration || null : existing.duration,
+      budgetRange !== undefined ? budgetRange || null : existing.budget_range,
+      description !== undefined ? description || null : existing.description,
+      JSON.stringify(cleanHighlights),
+      status ?? existing.status,
+      sortOrder !== undefined ? parseInt(sortOrder) || 0 : existing.sort_order,
+      id
+    );
+
+    if (media !== undefined) {
+      await this.setMedia(id, media);
+    }
+    clearSitemapCache();
+
+    return this.findById(id);
+  },
+
+  /**
+   * Delete project (media references cascade)
+   */
+  async delete(id) {
+    const existing = await this.findById(id);
+    if (!existing) {
+      throw new Error('Project not found');
+    }
+
+    (await db.prepare('DELETE FROM projects WHERE id = ?')).run(id);
+    clearSitemapCache();
+    return true;
+  },
+
+  /**
+   * Get category labels
+   */
+  getCategories() {
+    return PROJECT_CATEGORIES;
+  },
+
+  /**
+   * Get all valid statuses
+   */
+  getStatuses() {
+    return VALID_STATUSES;
+  },
+};
+
+export default Project;
@@ -0,0 +1,324 @@
+import db from './database.js';
+
+// Responses a redirect rule can answer with (410 Gone has no target)
+export const REDIRECT_STATUS_CODES = [301, 302, 410];
+
+// How a rule's source is matched against the request path
+export const MATCH_TYPES = {
+  EXACT: 'exact',       // The path itself, e.g. /pages/services/kitchen
+  WILDCARD: 'wildcard', // "*" matches anything, available in the target as $1, $2, ...
+  REGEX: 'regex',       // JavaScript regular expression; groups available as $1, $2, ...
+};
+
+const VALID_MATCH_TYPES = Object.values(MATCH_TYPES);
+const MAX_LENGTH = 500;
+
+// Regex sources run on every request path, so they are kept short and may not
+// nest quantifiers - a repeated group that repeats inside, like (a+)+ or
+// (\w*)*, can take exponential time on a non-matching path. This is a guard
+// against mistakes, not a proof. Pattern rules only see paths up to MAX_LENGTH.
+const MAX_REGEX_LENGTH = 100;
+const NESTED_QUANTIFIER = /\([^()]*[*+}][^()]*\)[*+{]/;
+
+// Compiled rules, reloaded after any change
+let rules = null;
+
+/**
+ * Escape text for use inside a regular expression
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Compile a rule source into a RegExp (null for exact sources)
+ * @throws {Error} When a regex source is not a valid regular expression, or
+ *   is over the limits above
+ */
+function compileSource(source, matchType) {
+  if (matchType === MATCH_TYPES.WILDCARD) {
+    return new RegExp(`^${source.split('*').map(escapeRegExp).join('(.*)')}$`);
+  }
+  if (matchType === MATCH_TYPES.REGEX) {
+    if (source.length > MAX_REGEX_LENGTH) {
+      throw new Error(`Invalid source: regular expressions must be ${MAX_REGEX_LENGTH} characters or less`);
+    }
+    if (NESTED_QUANTIFIER.test(source)) {
+      throw new Error('Invalid source: nested quantifiers such as (a+)+ are not allowed');
+    }
+    try {
+      return new RegExp(source);
+    } catch (error) {
+      throw new Error(`Invalid source: ${error.message}`);
+    }
+  }
+  return null;
+}
+
+/**
+ * Whether a filled-in target still points where its rule does
+ * Captured groups come from the request path, so /old/* -> /$1 requested as
+ * /old//evil.com would otherwise send visitors to another site.
+ * @param {string} location - Target with $1, $2, ... filled in
+ * @param {string} target - Target as saved
+ */
+function isSafeLocation(location, target) {
+  if (target.startsWith('/')) {
+    // "//host" and "/\host" are both read as another host by browsers
+    return !/^\/[/\\]/.test(location);
+  }
+  try {
+    return new URL(location).origin === new URL(target.replace(/\$\d/g, '')).origin;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Where a rule sends a path, or undefined when it doesn't match (or the
+ * path's captures would send it to another host)
+ * @param {Object} rule - Redirect row plus its compiled `pattern`
+ * @param {string} path - Request path
+ * @returns {string|null|undefined} Target with $1, $2, ... filled in (null for 410 rules)
+ */
+function resolveRule(rule, path) {
+  let groups = [];
+  if (rule.pattern) {
+    if (path.length > MAX_LENGTH) return undefined;
+    const match = rule.pattern.exec(path);
+    if (!match) return undefined;
+    groups = match;
+  } else if (rule.source !== path) {
+    return undefined;
+  }
+
+  if (!rule.target) return null;
+  const location = rule.target.replace(/\$(\d)/g, (token, index) => groups[Number(index)] ?? '');
+  return isSafeLocation(location, rule.target) ? location : undefined;
+}
+
+/**
+ * Load and compile every rule: exact sources in a map, patterns in ID order
+ */
+async function loadRules() {
+  const rows = (await db.prepare('SELECT * FROM redirects ORDER BY id')).all();
+  const exact = new Map();
+  const patterns = [];
+
+  for (const row of rows) {
+    if (row.match_type === MATCH_TYPES.EXACT) {
+      exact.set(row.source, { ...row, pattern: null });
+      continue;
+    }
+    try {
+      patterns.push({ ...row, pattern: compileSource(row.source, row.match_type) });
+    } catch (error) {
+      console.error(`Skipping redirect ${row.id}:`, error.message);
+    }
+  }
+
+  return { exact, patterns };
+}
+
+/**
+ * Validate and normalize rule fields
+ * @returns {{source: string, matchType: string, target: string|null, statusCode: number}}
+ */
+function normalizeRule({ source, matchType, target, statusCode }) {
+  const rule = {
+    source: String(source ?? '').trim(),
+    matchType: matchType || MATCH_TYPES.EXACT,
+    target: String(target ?? '').trim(),
+    statusCode: Number(statusCode) || 301,
+  };
+
+  if (!rule.source) {
+    throw new Error('Source is required');
+  }
+  if (rule.source.length > MAX_LENGTH) {
+    throw new Error(`Source must be ${MAX_LENGTH} characters or less`);
+  }
+  if (!VALID_MATCH_TYPES.includes(rule.matchType)) {
+    throw new Error(`Invalid match type: ${rule.matchType}`);
+  }
+  if (rule.matchType !== MATCH_TYPES.REGEX && !rule.source.startsWith('/')) {
+    throw new Error('Source must be a path starting with /');
+  }
+  compileSource(rule.source, rule.matchType);
+
+  if (!REDIRECT_STATUS_CODES.includes(rule.statusCode)) {
+    throw new Error(`Invalid status code: ${statusCode}. Must be one of: ${REDIRECT_STATUS_CODES.join(', ')}`);
+  }
+
+  if (rule.statusCode === 410) {
+    rule.target = null;
+    return rule;
+  }
+
+  if (!rule.target) {
+    throw new Error('Target is required');
+  }
+  if (rule.target.length > MAX_LENGTH) {
+    throw new Error(`Target must be ${MAX_LENGTH} characters or less`);
+  }
+  if (!/^\/(?!\/)/.test(rule.target) && !/^https?:\/\//i.test(rule.target)) {
+    throw new Error('Target must be a path starting with / or an http(s) URL');
+  }
+  if (rule.matchType === MATCH_TYPES.EXACT && rule.target === rule.source) {
+    throw new Error('Target must be different from the source');
+  }
+
+  return rule;
+}
+
+/**
+ * Reject a second rule with the same source and match type
+ */
+async function ensureUniqueSource(rule, excludeId = null) {
+  const existing = (await db.prepare(`
+    SELECT id FROM redirects WHERE source = ? AND match_type = ? AND id != ?
+  `)).get(rule.source, rule.matchType, excludeId ?? 0);
+
+  if (existing) {
+    throw new Error(`Invalid source: a redirect for "${rule.source}" already exists`);
+  }
+}
+
+export const Redirect = {
+  /**
+   * Get all rules in the order they are checked (exact sources first)
+   */
+  async findAll() {
+    return (await db.prepare(`
+      SELECT * FROM redirects
+      ORDER BY match_type = 'exact' DESC, id ASC
+    `)).all();
+  },
+
+  /**
+   * Find rule by ID
+   */
+  async findById(id) {
+    return (await db.prepare('SELECT * FROM redirects WHERE id = ?')).get(id);
+  },
+
+  /**
+   * Create a rule
+   * @param {Object} data
+   * @param {string} data.source - Path, wildcard path or regular expression
+   * @param {string} data.matchType - exact | wildcard | regex (default exact)
+   * @param {string} data.target - Path or URL; may use $1, $2, ... for captured groups
+   * @param {number} data.statusCode - 301 (default), 302 or 410
+   */
+  async create(data) {
+    const rule = normalizeRule(data);
+    await ensureUniqueSource(rule);
+
+    const result = (await db.prepare(`
+      INSERT INTO redirects (source, match_type, target, status_code)
+      VALUES (?, ?, ?, ?)
+    `)).run(rule.source, rule.matchType, rule.target, rule.statusCode);
+
+    rules = null;
+    return this.findById(result.lastInsertRowid);
+  },
+
+  /**
+   * Update a rule (omitted fields keep their value)
+   */
+  async update(id, { source, matchType, target, statusCode }) {
+    const existing = await this.findById(id);
+    if (!existing) {
+      throw new Error('Redirect not found');
+    }
+
+    const rule = normalizeRule({
+      source: source ?? existing.source,
+      matchType: matchType ?? existing.match_type,
+      target: target ?? existing.target,
+      statusCode: statusCode ?? existing.status_code,
+    });
+    await ensureUniqueSource(rule, id);
+
+    (await db.prepare(`
+      UPDATE redirects SET
+        source = ?,
+        match_type = ?,
+        target = ?,
+        status_code = ?,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `)).run(rule.source, rule.matchType, rule.target, rule.statusCode, id);
+
+    rules = null;
+    return this.findById(id);
+  },
+
+  /**
+   * Delete a rule
+   */
+  async delete(id) {
+    const existing = await this.findById(id);
+    if (!existing) {
+      throw new Error('Redirect not found');
+    }
+
+    (await db.prepare('DELETE FROM redirects WHERE id = ?')).run(id);
+    rules = null;
+  },
+
+  /**
+   * Find the rule for a request path
+   * Exact sources win; otherwise the oldest matching pattern does.
+   * @param {string} path - Request path
+   * @returns {Promise<{redirect: Object, location: string|null}|null>} location is null for 410 rules
+   */
+  async match(path) {
+    if (!rules) {
+      rules = await loadRules();
+    }
+
+    const candidates = [rules.exact.get(path), ...rules.patterns].filter(Boolean);
+    for (const rule of candidates) {
+      const location = resolveRule(rule, path);
+      if (location !== undefined) {
+        const { pattern, ...redirect } = rule;
+        return { redirect, location };
+      }
+    }
+    return null;
+  },
+
+  /**
+   * Whether a rule row matches a path (used to clear 404s a new rule covers)
+   */
+  matchesPath(redirect, path) {
+    try {
+      return resolveRule({ ...redirect, pattern: compileSource(redirect.source, redirect.match_type) }, path) !== undefined;
+    } catch {
+      return false;
+    }
+  },
+
+  /**
+   * Add buffered hits
+   * @param {Map<number, {count: number, lastHitAt: string}>} hits - By redirect ID
+   */
+  async addHits(hits) {
+    const statement = await db.prepare(`
+      UPDATE redirects SET hit_count = hit_count + ?, last_hit_at = ? WHERE id = ?
+    `);
+    for (const [id, { count, lastHitAt }] of hits) {
+      statement.run(count, lastHitAt, id);
+    }
+  },
+
+  /**
+   * Status codes and match types for the admin form
+   */
+  getOptions() {
+    return { statusCodes: REDIRECT_STATUS_CODES, matchTypes: VALID_MATCH_TYPES };
+  },
+};
+
+export default Redirect;
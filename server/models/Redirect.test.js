@@ -0,0 +1,21 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Redirect from './Redirect.js';
+
+const rule = (source, target, matchType = 'wildcard') => ({ source, match_type: matchType, target });
+
+test('captures fill in the target', () => {
+  assert.equal(Redirect.matchesPath(rule('/old/*', '/new/$1'), '/old/kitchen'), true);
+  assert.equal(Redirect.matchesPath(rule('/old/*', '/$1'), '/old/kitchen'), true);
+});
+
+test('captures cannot turn a path target into another host', () => {
+  assert.equal(Redirect.matchesPath(rule('/old/*', '/$1'), '/old//evil.com'), false);
+  assert.equal(Redirect.matchesPath(rule('/old/*', '/$1'), '/old/\\evil.com'), false);
+  assert.equal(Redirect.matchesPath(rule('^/old/(.*)$', '/$1', 'regex'), '/old//evil.com'), false);
+});
+
+test('captures cannot change the host of a URL target', () => {
+  assert.equal(Redirect.matchesPath(rule('/old/*', 'https://example.com/$1'), '/old/page'), true);
+  assert.equal(Redirect.matchesPath(rule('/old*', 'https://example.com$1'), '/old@evil.com'), false);
+});
@@ -24,9 +24,22 @@ if (!isServerless && !fs.existsSync(dataDir)) {
 let db = null;
 let SQL = null;
 
-// Initialize sql.js
-async function initDatabase() {
-  if (db) return db;
+// Pending initialization - shared so concurrent first callers get one instance
+let initPromise = null;
+
+// Initialize sql.js (once; later calls resolve to the same database)
+function initDatabase() {
+  if (!initPromise) {
+    initPromise = openDatabase().catch((err) => {
+      initPromise = null;
+      throw err;
+    });
+  }
+  return initPromise;
+}
+
+// Load or create the database file, then create tables and seed defaults
+async function openDatabase() {
 
   // Use CDN-hosted WASM only on serverless (can fetch over HTTP)
   // Railway/local use default WASM from node_modules (file system access)
@@ -66,6 +79,8 @@ async function initDatabase() {
 function saveDatabase() {
   if (!db || isServerless) return;
   const data = db.export();
+  // sql.js resets connection pragmas on export, which would silently disable ON DELETE cascades
+  db.run('PRAGMA foreign_keys = ON');
   const buffer = Buffer.from(data);
   fs.writeFileSync(DB_PATH, buffer);
 }
@@ -168,8 +183,409 @@ function initializeTables() {
     CREATE INDEX IF NOT EXISTS idx_blog_comments_status ON blog_comments(status)
   `);
 
+  // Consultation requests (leads) table
+  db.run(`
+    CREATE TABLE IF NOT EXISTS consultations (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      full_name TEXT NOT NULL,
+      email TEXT NOT NULL,
+      phone TEXT NOT NULL,
+      address TEXT NOT NULL,
+      project_type TEXT NOT NULL,
+      timeline TEXT NOT NULL,
+      budget TEXT,
+      description TEXT,
+      best_time TEXT,
+      contact_method TEXT,
+      referral_source TEXT,
+      status TEXT DEFAULT 'new',
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Create indexes for consultations
+  db.run(`
+    CREATE INDEX IF NOT EXISTS idx_consultations_status ON consultations(status)
+  `);
+  db.run(`
+    CREATE INDEX IF NOT EXISTS idx_consultations_created ON consultations(created_at)
+  `);
+
+  // Consultation photos table (homeowner-uploaded images linked to a lead)
+  db.run(`
+    CREATE TABLE IF NOT EXISTS consultation_photos (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      consultation_id INTEGER NOT NULL,
+      filename TEXT,
+      storage_type TEXT NOT NULL,
+      key_sm TEXT,
+      key_md TEXT,
+      key_lg TEXT,
+      content_hash TEXT,
+      blur_data TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (consultation_id) REFERENCES consultations(id) ON DELETE CASCADE
+    )
+  `);
+
+  db.run(`
+    CREATE INDEX IF NOT EXISTS idx_consultation_photos_consultation ON consultation_photos(consultation_id)
+  `);
+
+  // Career applications table (résumés live in private document storage)
+  db.run(`
+    CREATE TABLE IF NOT EXISTS career_applications (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      full_name TEXT NOT NULL,
+      email TEXT NOT NULL,
+      phone TEXT,
+      role TEXT NOT NULL,
+      portfolio_url TEXT,
+      message TEXT,
+      job_alerts INTEGER DEFAULT 0,
+      resume_key TEXT,
+      resume_filename TEXT,
+      resume_mime TEXT,
+      resume_size INTEGER,
+      storage_type TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  db.run(`
+    CREATE INDEX IF NOT EXISTS idx_career_applications_created ON career_applications(created_at)
+  `);
+
+  // Job postings table (careers page open roles)
+  const jobPostingsExisted = db.exec(
+    `SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'job_postings'`
+  ).length > 0;
+
+  db.run(`
+    CREATE TABLE IF NOT EXISTS job_postings (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      title TEXT NOT NULL,
+      slug TEXT UNIQUE NOT NULL,
+      location TEXT NOT NULL,
+      address_locality TEXT,
+      address_region TEXT DEFAULT 'CT',
+      employment_type TEXT DEFAULT 'FULL_TIME',
+      summary TEXT,
+      content TEXT,
+      status TEXT DEFAULT 'open',
+      sort_order INTEGER DEFAULT 0,
+      date_posted DATETIME DEFAULT CURRENT_TIMESTAMP,
+      valid_through DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  db.run(`
+    CREATE INDEX IF NOT EXISTS idx_job_postings_status ON job_postings(status)
+  `);
+
+  // Seed the roles that used to be hard-coded on the careers page
+  if (!jobPostingsExisted) {
+    seedDefaultJobPostings();
+  }
+
+  // Portfolio projects table (case studies on the portfolio page)
+  const projectsExisted = db.exec(
+    `SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'projects'`
+  ).length > 0;
+
+  db.run(`
+    CREATE TABLE IF NOT EXISTS projects (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      title TEXT NOT NULL,
+      slug TEXT UNIQUE NOT NULL,
+      town TEXT NOT NULL,
+      category TEXT NOT NULL,
+      summary TEXT,
+      scope TEXT,
+      duration TEXT,
+      budget_range TEXT,
+      description TEXT,
+      highlights TEXT,
+      status TEXT DEFAULT 'published',
+      sort_order INTEGER DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  db.run(`
+    CREATE INDEX IF NOT EXISTS idx_projects_status ON projects(status, sort_order)
+  `);
+
+  // Project media (ordered references to gallery items)
+  db.run(`
+    CREATE TABLE IF NOT EXISTS project_media (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      project_id INTEGER NOT NULL,
+      gallery_item_id INTEGER NOT NULL,
+      label TEXT,
+      sort_order INTEGER DEFAULT 0,
+      FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+      FOREIGN KEY (gallery_item_id) REFERENCES gallery_items(id) ON DELETE CASCADE
+    )
+  `);
+
+  db.run(`
+    CREATE INDEX IF NOT EXISTS idx_project_media_project ON project_media(project_id, sort_order)
+  `);
+
+  // Seed the case studies that used to be hard-coded on the portfolio page
+  if (!projectsExisted) {
+    seedDefaultProjects();
+  }
+
+  // Gallery categories (admin-managed; gallery_items.category stores the slug)
+  const galleryCategoriesExisted = db.exec(
+    `SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'gallery_categories'`
+  ).length > 0;
+
+  db.run(`
+    CREATE TABLE IF NOT EXISTS gallery_categories (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      slug TEXT UNIQUE NOT NULL,
+      name TEXT NOT NULL,
+      description TEXT,
+      sort_order INTEGER DEFAULT 0,
+      cover_item_id INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (cover_item_id) REFERENCES gallery_items(id) ON DELETE SET NULL
+    )
+  `);
+
+  // Seed the categories that used to be hard-coded in the gallery routes
+  if (!galleryCategoriesExisted) {
+    seedDefaultGalleryCategories();
+  }
+
+  // Gallery albums (named groups of gallery items, e.g. a single project)
+  db.run(`
+    CREATE TABLE IF NOT EXISTS gallery_albums (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      title TEXT NOT NULL,
+      slug TEXT UNIQUE NOT NULL,
+      description TEXT,
+      cover_item_id INTEGER,
+      sort_order INTEGER DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (cover_item_id) REFERENCES gallery_items(id) ON DELETE SET NULL
+    )
+  `);
+
+  // Album membership - an item can belong to several albums, ordered per album
+  db.run(`
+    CREATE TABLE IF NOT EXISTS gallery_album_items (
+      album_id INTEGER NOT NULL,
+      gallery_item_id INTEGER NOT NULL,
+      sort_order INTEGER DEFAULT 0,
+      PRIMARY KEY (album_id, gallery_item_id),
+      FOREIGN KEY (album_id) REFERENCES gallery_albums(id) ON DELETE CASCADE,
+      FOREIGN KEY (gallery_item_id) REFERENCES gallery_items(id) ON DELETE CASCADE
+    )
+  `);
+
+  db.run(`
+    CREATE INDEX IF NOT EXISTS idx_gallery_album_items_order ON gallery_album_items(album_id, sort_order)
+  `);
+
+  // Blog categories (admin-managed; blog_posts.category stores the slug)
+  const blogCategoriesExisted = db.exec(
+    `SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'blog_categories'`
+  ).length > 0;
+
+  db.run(`
+    CREATE TABLE IF NOT EXISTS blog_categories (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      slug TEXT UNIQUE NOT NULL,
+      name TEXT NOT NULL,
+      description TEXT,
+      meta_title TEXT,
+      meta_description TEXT,
+      sort_order INTEGER DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Seed the categories that used to be hard-coded in the BlogPost model
+  if (!blogCategoriesExisted) {
+    seedDefaultBlogCategories();
+  }
+
+  // Blog post revisions (snapshot of editable fields on every save)
+  db.run(`
+    CREATE TABLE IF NOT EXISTS blog_post_revisions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      post_id INTEGER NOT NULL,
+      revision_number INTEGER NOT NULL,
+      title TEXT NOT NULL,
+      content TEXT NOT NULL,
+      featured_image_key TEXT,
+      featured_image_alt TEXT,
+      meta_title TEXT,
+      meta_description TEXT,
+      canonical_url TEXT,
+      author_id INTEGER,
+      author_name TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (post_id, revision_number),
+      FOREIGN KEY (post_id) REFERENCES blog_posts(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Shareable preview links for unpublished posts (expiring, revocable)
+  db.run(`
+    CREATE TABLE IF NOT EXISTS blog_preview_tokens (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      post_id INTEGER NOT NULL,
+      token TEXT UNIQUE NOT NULL,
+      expires_at TEXT NOT NULL,
+      revoked_at TEXT,
+      created_by INTEGER,
+      created_by_name TEXT,
+      view_count INTEGER DEFAULT 0,
+      last_viewed_at TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (post_id) REFERENCES blog_posts(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Blog search: inverted index of normalized terms per post field
+  db.run(`
+    CREATE TABLE IF NOT EXISTS blog_search_index (
+      post_id INTEGER NOT NULL,
+      field TEXT NOT NULL,
+      term TEXT NOT NULL,
+      frequency INTEGER NOT NULL,
+      PRIMARY KEY (post_id, field, term),
+      FOREIGN KEY (post_id) REFERENCES blog_posts(id) ON DELETE CASCADE
+    )
+  `);
+  db.run(`
+    CREATE INDEX IF NOT EXISTS idx_blog_search_index_term ON blog_search_index(term)
+  `);
+
+  // Posts the search index has seen (so posts indexed before this table existed get backfilled)
+  db.run(`
+    CREATE TABLE IF NOT EXISTS blog_search_documents (
+      post_id INTEGER PRIMARY KEY,
+      indexed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (post_id) REFERENCES blog_posts(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Blog tags (free-form, many-to-many with posts)
+  db.run(`
+    CREATE TABLE IF NOT EXISTS blog_tags (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      slug TEXT UNIQUE NOT NULL,
+      name TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  db.run(`
+    CREATE TABLE IF NOT EXISTS blog_post_tags (
+      post_id INTEGER NOT NULL,
+      tag_id INTEGER NOT NULL,
+      PRIMARY KEY (post_id, tag_id),
+      FOREIGN KEY (post_id) REFERENCES blog_posts(id) ON DELETE CASCADE,
+      FOREIGN KEY (tag_id) REFERENCES blog_tags(id) ON DELETE CASCADE
+    )
+  `);
+
+  db.run(`
+    CREATE INDEX IF NOT EXISTS idx_blog_post_tags_tag ON blog_post_tags(tag_id)
+  `);
+
+  // Posts imported from the legacy HubSpot blog, keyed by the old post URL/GUID
+  // (the "id" in legacy blog-post.html?id= links, 301-redirected to the new slug)
+  db.run(`
+    CREATE TABLE IF NOT EXISTS blog_legacy_redirects (
+      legacy_id TEXT PRIMARY KEY,
+      post_id INTEGER NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (post_id) REFERENCES blog_posts(id) ON DELETE CASCADE
+    )
+  `);
+
+  db.run(`
+    CREATE INDEX IF NOT EXISTS idx_blog_legacy_redirects_post ON blog_legacy_redirects(post_id)
+  `);
+
+  // Last good responses from the legacy HubSpot blog (RSS feed, scraped articles)
+  // body is JSON; NULL until the first successful fetch
+  db.run(`
+    CREATE TABLE IF NOT EXISTS hubspot_cache (
+      cache_key TEXT PRIMARY KEY,
+      body TEXT,
+      fetched_at TEXT,
+      last_error TEXT,
+      last_error_at TEXT
+    )
+  `);
+
+  // Admin-managed redirect rules, checked before pages are served
+  // match_type: exact (the path), wildcard ("*" captures) or regex; target is NULL for 410 Gone
+  const redirectsExisted = db.exec(
+    `SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'redirects'`
+  ).length > 0;
+
+  db.run(`
+    CREATE TABLE IF NOT EXISTS redirects (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      source TEXT NOT NULL,
+      match_type TEXT NOT NULL DEFAULT 'exact',
+      target TEXT,
+      status_code INTEGER NOT NULL DEFAULT 301,
+      hit_count INTEGER DEFAULT 0,
+      last_hit_at TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (source, match_type)
+    )
+  `);
+
+  // Seed the legacy service redirects that used to be hard-coded in server.js
+  if (!redirectsExisted) {
+    seedDefaultRedirects();
+  }
+
+  // Requests that matched no page, route or redirect, and the pages linking to them
+  db.run(`
+    CREATE TABLE IF NOT EXISTS not_found_log (
+      path TEXT PRIMARY KEY,
+      hit_count INTEGER DEFAULT 0,
+      first_seen_at TEXT,
+      last_seen_at TEXT
+    )
+  `);
+
+  db.run(`
+    CREATE TABLE IF NOT EXISTS not_found_referrers (
+      path TEXT NOT NULL,
+      referrer TEXT NOT NULL,
+      hit_count INTEGER DEFAULT 0,
+      last_seen_at TEXT,
+      PRIMARY KEY (path, referrer),
+      FOREIGN KEY (path) REFERENCES not_found_log(path) ON DELETE CASCADE
+    )
+  `);
+
   // Migration: Add Railway Buckets variant columns if they don't exist
   migrateRailwayColumns();
+
+  // Migration: Add descriptive metadata columns (title, caption, alt text, location)
+  migrateGalleryMetadataColumns();
 }
 
 /**
@@ -196,7 +612,14 @@ function migrateRailwayColumns() {
     { name: 'thumb_key_lg', type: 'TEXT' },
     { name: 'content_hash', type: 'TEXT' },
     { name: 'blur_data', type: 'TEXT' },  // Base64 blur placeholder for instant loading
-    { name: 'category', type: 'TEXT' },   // Gallery category (kitchen, bathroom, outdoor, additions)
+    { name: 'category', type: 'TEXT' },   // Gallery category slug (see gallery_categories)
+    // Before/after pairs: the "before" image uses the primary columns above, the "after" image these
+    { name: 'after_key_sm', type: 'TEXT' },
+    { name: 'after_key_md', type: 'TEXT' },
+    { name: 'after_key_lg', type: 'TEXT' },
+    { name: 'after_blur_data', type: 'TEXT' },
+    { name: 'after_filepath', type: 'TEXT' },  // Legacy local/R2 storage
+    { name: 'after_thumbnail', type: 'TEXT' },
   ];
 
   for (const column of columnsToAdd) {
@@ -225,6 +648,36 @@ function migrateRailwayColumns() {
   }
 }
 
+/**
+ * Add descriptive metadata columns to gallery_items table
+ * Used for captions, accessible alt text and image SEO on the public gallery
+ */
+function migrateGalleryMetadataColumns() {
+  const tableInfo = db.exec('PRAGMA table_info(gallery_items)');
+  const existingColumns = tableInfo.length > 0
+    ? tableInfo[0].values.map(row => row[1])
+    : [];
+
+  const columnsToAdd = [
+    { name: 'title', type: 'TEXT' },
+    { name: 'caption', type: 'TEXT' },
+    { name: 'alt_text', type: 'TEXT' },
+    { name: 'location', type: 'TEXT' },  // Town where the project is located
+  ];
+
+  for (const column of columnsToAdd) {
+    if (!existingColumns.includes(column.name)) {
+      try {
+        db.run(`ALTER TABLE gallery_items ADD COLUMN ${column.name} ${column.type}`);
+        console.log(`✓ Added column: ${column.name}`);
+        saveDatabase();
+      } catch (err) {
+        console.warn(`Column ${column.name} might already exist:`, err.message);
+      }
+    }
+  }
+}
+
 // Seed default admin user if not exists
 function seedDefaultAdmin() {
   const result = db.exec('SELECT id FROM users WHERE username = ?', ['admin']);
@@ -241,6 +694,315 @@ function seedDefaultAdmin() {
   }
 }
 
+// Roles that were hard-coded on the careers page before job postings moved to the database
+const DEFAULT_JOB_POSTINGS = [
+  {
+    title: 'Project Manager',
+    slug: 'project-manager',
+    location: 'Fairfield, CT · Hybrid',
+    locality: 'Fairfield',
+    summary: 'Lead high-end renovation and custom home projects from pre-construction through closeout while owning budgets, schedules, and client communication.',
+    items: [
+      'Manage project budgets, schedules, and procurement',
+      'Coordinate trade partners and weekly site meetings',
+      'Deliver progress reports and maintain Hubspot project data',
+    ],
+  },
+  {
+    title: 'Lead Carpenter',
+    slug: 'lead-carpenter',
+    location: 'Field-based · Fairfield & Westchester Counties',
+    locality: 'Fairfield',
+    summary: 'Execute complex framing, finish carpentry, and site supervision with a focus on craftsmanship, safety, and client experience.',
+    items: [
+      'Install custom millwork, cabinetry, and architectural details',
+      'Maintain job site cleanliness and safety protocols',
+      'Mentor carpentry apprentices and coordinate with superintendents',
+    ],
+  },
+  {
+    title: 'Design Consultant',
+    slug: 'design-consultant',
+    location: 'Westport Studio · Hybrid',
+    locality: 'Westport',
+    summary: 'Collaborate with clients to develop concept designs, material palettes, and detailed finish schedules that align with project budgets.',
+    items: [
+      'Lead design discovery sessions and mood boards',
+      'Produce finish schedules and presentation decks',
+      'Support procurement and vendor coordination',
+    ],
+  },
+  {
+    title: 'Administrative Assistant',
+    slug: 'administrative-assistant',
+    location: 'Westport Studio · On-site',
+    locality: 'Westport',
+    summary: 'Support daily studio operations, scheduling, and client communication while keeping documentation organized and accessible.',
+    items: [
+      'Manage calendars, meeting notes, and office logistics',
+      'Assist with invoicing, change orders, and documentation',
+      'Welcome clients and vendors to the studio',
+    ],
+  },
+];
+
+// Seed default job postings (only runs when the table is first created)
+function seedDefaultJobPostings() {
+  DEFAULT_JOB_POSTINGS.forEach((job, index) => {
+    const content = [
+      { type: 'paragraph', data: { text: job.summary } },
+      { type: 'list', data: { style: 'unordered', items: job.items } },
+    ];
+    db.run(
+      `INSERT INTO job_postings (title, slug, location, address_locality, summary, content, sort_order)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [job.title, job.slug, job.location, job.locality, job.summary, JSON.stringify(content), index]
+    );
+  });
+  console.log(`✓ Seeded ${DEFAULT_JOB_POSTINGS.length} job postings`);
+}
+
+// Case studies that were hard-coded on the portfolio page before projects moved to the database
+const DEFAULT_PROJECTS = [
+  {
+    title: 'Greenwich Kitchen Remodel',
+    town: 'Greenwich',
+    category: 'kitchen',
+    summary: 'Complete kitchen renovation with custom cabinetry, granite countertops, and modern appliances.',
+    scope: 'Full kitchen remodel including structural changes',
+    duration: '4 months',
+    budgetRange: '$85,000 - $125,000',
+    description: 'Complete kitchen renovation featuring custom cabinetry, granite countertops, and premium stainless steel appliances. The design maximizes natural light and flow between the kitchen and dining area, creating the perfect space for family gatherings and entertaining.',
+    highlights: [
+      'Custom built-in cabinetry with soft-close doors',
+      'Granite countertops with waterfall island edge',
+      'Premium stainless steel appliances',
+      'Under-cabinet LED lighting',
+      'New hardwood flooring',
+      'Recessed lighting throughout',
+    ],
+  },
+  {
+    title: 'Darien Master Bath Renovation',
+    town: 'Darien',
+    category: 'bathroom',
+    summary: 'Luxury master bathroom with marble tiles and spa-like amenities.',
+    scope: 'Complete master bathroom renovation',
+    duration: '3 months',
+    budgetRange: '$55,000 - $85,000',
+    description: 'Luxury master bathroom renovation with spa-like amenities. Features heated floor tiles, rainfall showerhead, soaking tub, and marble finishes throughout. A serene retreat from the busy world outside.',
+    highlights: [
+      'Italian marble flooring and walls',
+      'Heated floor system',
+      'Frameless glass shower enclosure',
+      'Soaking tub with integrated jets',
+      'Dual vanity with vessel sinks',
+      'Heated towel rails',
+      'Ambient lighting system',
+    ],
+  },
+  {
+    title: 'Westport Home Addition',
+    town: 'Westport',
+    category: 'addition',
+    summary: '2,000 sq ft addition with elegant design integration.',
+    scope: '2,000 sq ft addition with three bedrooms, two bathrooms',
+    duration: '6 months',
+    budgetRange: '$250,000 - $350,000',
+    description: '2,000 square foot second-floor addition featuring three bedrooms and elegant design integration that complements the existing home. Includes modern amenities while maintaining architectural harmony.',
+    highlights: [
+      'Structural integration with existing home',
+      'Three spacious bedrooms',
+      'Two full bathrooms',
+      'Walk-in closets',
+      'Matching architectural details',
+      'Modern HVAC system',
+      'Energy-efficient windows',
+    ],
+  },
+  {
+    title: 'Wilton Outdoor Living Space',
+    town: 'Wilton',
+    category: 'outdoor',
+    summary: 'Custom patio with fireplace and integrated landscaping.',
+    scope: 'Patio, fireplace, pergola, landscaping, and lighting',
+    duration: '3 months',
+    budgetRange: '$45,000 - $75,000',
+    description: 'Custom patio with integrated fireplace and pergola, creating the ultimate outdoor entertaining space. Professional landscaping and ambient lighting transform the backyard into an extension of the home.',
+    highlights: [
+      'Custom stone patio',
+      'Built-in outdoor fireplace',
+      'Wooden pergola with climbing vines',
+      'Professional landscape design',
+      'Ambient outdoor lighting',
+      'Built-in seating areas',
+      'Irrigation system',
+    ],
+  },
+  {
+    title: 'New Canaan Modern Kitchen',
+    town: 'New Canaan',
+    category: 'kitchen',
+    summary: 'Contemporary with smart home integration.',
+    scope: 'Contemporary kitchen remodel with smart home features',
+    duration: '4 months',
+    budgetRange: '$95,000 - $145,000',
+    description: 'Contemporary kitchen renovation with open concept layout and premium finishes. Smart home integration allows for convenient control of lighting, temperature, and appliances from anywhere.',
+    highlights: [
+      'Open concept layout',
+      'Smart home integration',
+      'Quartz countertops',
+      'Custom cabinetry with soft lighting',
+      'Integrated appliances',
+      'Smart faucet system',
+      'Wine cooler and beverage center',
+    ],
+  },
+  {
+    title: 'Stamford Guest Bathroom',
+    town: 'Stamford',
+    category: 'bathroom',
+    summary: 'Elegant renovation with designer lighting.',
+    scope: 'Guest bathroom renovation',
+    duration: '2 months',
+    budgetRange: '$35,000 - $55,000',
+    description: 'Elegant guest bathroom renovation featuring designer finishes and modern amenities. The space combines functionality with luxury, creating a welcoming retreat for visitors.',
+    highlights: [
+      'Vessel sink vanity',
+      'Frameless glass shower',
+      'Porcelain tile flooring',
+      'Designer lighting fixtures',
+      'Heated mirror',
+      'Custom shelving',
+      'Accent wall design',
+    ],
+  },
+  {
+    title: 'Rowayton Custom Estate',
+    town: 'Rowayton',
+    category: 'custom',
+    summary: '6,500 sq ft custom home with luxury finishes.',
+    scope: '6,500 sq ft custom home with luxury finishes',
+    duration: '12 months',
+    budgetRange: '$1,200,000 - $1,800,000',
+    description: 'Full design-build custom home featuring 6,500 square feet of luxury living space. Built with sustainable materials and modern construction practices, this home represents the pinnacle of contemporary residential design.',
+    highlights: [
+      '6,500 square feet of living space',
+      'Sustainable building practices',
+      'Luxury finishes throughout',
+      'Home automation system',
+      'Geothermal heating/cooling',
+      'Solar panels',
+      'Water conservation systems',
+      'Energy Star certified',
+    ],
+  },
+  {
+    title: 'Fairfield Resort Backyard',
+    town: 'Fairfield',
+    category: 'outdoor',
+    summary: 'Luxury backyard transformation with pool, spa, dining area, and ambient lighting systems.',
+    scope: 'Pool, spa, patio, dining area, and landscaping',
+    duration: '5 months',
+    budgetRange: '$150,000 - $250,000',
+    description: 'Luxury backyard transformation creating a resort-like retreat. Features a swimming pool, spa, dining area, and sophisticated ambient lighting system perfect for entertaining.',
+    highlights: [
+      'Custom saltwater pool',
+      'Integrated spa jets',
+      'Pool deck with pavers',
+      'Outdoor dining area',
+      'Built-in kitchen',
+      'LED ambient lighting',
+      'Landscape design with privacy screening',
+    ],
+  },
+];
+
+// Seed default portfolio projects (only runs when the table is first created)
+function seedDefaultProjects() {
+  DEFAULT_PROJECTS.forEach((project, index) => {
+    const slug = project.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    db.run(
+      `INSERT INTO projects (
+        title, slug, town, category, summary, scope, duration, budget_range, description, highlights, sort_order
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        project.title, slug, project.town, project.category, project.summary, project.scope,
+        project.duration, project.budgetRange, project.description, JSON.stringify(project.highlights), index,
+      ]
+    );
+  });
+  console.log(`✓ Seeded ${DEFAULT_PROJECTS.length} portfolio projects`);
+}
+
+// Default gallery categories (previously GALLERY_CATEGORIES in routes/gallery.js)
+const DEFAULT_GALLERY_CATEGORIES = [
+  { slug: 'kitchen', name: 'Kitchen Remodeling' },
+  { slug: 'bathroom', name: 'Bathroom Remodeling' },
+  { slug: 'outdoor', name: 'Outdoor Living' },
+  { slug: 'additions', name: 'Home Additions' },
+];
+
+function seedDefaultGalleryCategories() {
+  DEFAULT_GALLERY_CATEGORIES.forEach((category, index) => {
+    db.run(
+      'INSERT INTO gallery_categories (slug, name, sort_order) VALUES (?, ?, ?)',
+      [category.slug, category.name, index + 1]
+    );
+  });
+  console.log(`✓ Seeded ${DEFAULT_GALLERY_CATEGORIES.length} gallery categories`);
+}
+
+// Default blog categories (previously CATEGORIES in models/BlogPost.js)
+const DEFAULT_BLOG_CATEGORIES = [
+  { slug: 'kitchen', name: 'Kitchen Remodeling' },
+  { slug: 'bathroom', name: 'Bathroom Remodeling' },
+  { slug: 'additions', name: 'Home Additions' },
+  { slug: 'outdoor', name: 'Outdoor Living' },
+  { slug: 'design-tips', name: 'Design Tips' },
+  { slug: 'company-news', name: 'Company News' },
+];
+
+function seedDefaultBlogCategories() {
+  DEFAULT_BLOG_CATEGORIES.forEach((category, index) => {
+    db.run(
+      'INSERT INTO blog_categories (slug, name, sort_order) VALUES (?, ?, ?)',
+      [category.slug, category.name, index + 1]
+    );
+  });
+  console.log(`✓ Seeded ${DEFAULT_BLOG_CATEGORIES.length} blog categories`);
+}
+
+// Legacy service URLs (previously redirectMap in server.js)
+const DEFAULT_REDIRECTS = [
+  ['/pages/services/Master-Suite-Additions', '/pages/services/home-additions/Master-Suite-Additions'],
+  ['/pages/services/room-additions', '/pages/services/home-additions/room-additions'],
+  ['/pages/services/sunroom', '/pages/services/home-additions/sunroom'],
+  ['/pages/services/kitchen', '/pages/services/home-remodeling/kitchen'],
+  ['/pages/services/bathroom', '/pages/services/home-remodeling/bathroom'],
+  ['/pages/services/basement-conversions', '/pages/services/home-remodeling/basement-conversions'],
+  ['/pages/services/basement', '/pages/services/home-remodeling/basement-conversions'],
+  ['/pages/services/garage-conversions', '/pages/services/home-remodeling/garage-conversions'],
+  ['/pages/services/custom-patios', '/pages/services/outdoor-living/custom-patios'],
+  ['/pages/services/custom-decks', '/pages/services/outdoor-living/custom-decks'],
+  ['/pages/services/outdoor-kitchens', '/pages/services/outdoor-living/outdoor-kitchens'],
+  ['/pages/services/screened-patios', '/pages/services/outdoor-living/screened-patios'],
+  ['/pages/services/screened-in-porches', '/pages/services/outdoor-living/screened-patios'],
+  ['/pages/services/index', '/pages/services'],
+  ['/pages/services/gallery', '/pages/gallery'],
+  ['/pages/services/services', '/pages/services'],
+];
+
+function seedDefaultRedirects() {
+  DEFAULT_REDIRECTS.forEach(([source, target]) => {
+    db.run(
+      `INSERT INTO redirects (source, match_type, target, status_code) VALUES (?, 'exact', ?, 301)`,
+      [source, target]
+    );
+  });
+  console.log(`✓ Seeded ${DEFAULT_REDIRECTS.length} redirects`);
+}
+
 // Database wrapper with better-sqlite3-like API (lazy initialization)
 const dbWrapper = {
   async prepare(sql) {
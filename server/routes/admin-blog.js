@@ -1,6 +1,13 @@
 /**
  * Admin Blog API Routes
  *
+ * Categories (MUST come before /:id routes to avoid shadowing):
+ * GET    /api/admin/blog/categories     - List categories with post counts
+ * POST   /api/admin/blog/categories     - Create category
+ * PUT    /api/admin/blog/categories/:id - Update category
+ * DELETE /api/admin/blog/categories/:id - Delete category (optional ?reassignTo=slug)
+ * GET    /api/admin/blog/tags           - List tags (for editor suggestions)
+ *
  * Comment Moderation (MUST come before /:id routes to avoid shadowing):
  * GET    /api/admin/blog/comments           - List all comments
  * PUT    /api/admin/blog/comments/:id/approve - Approve comment
@@ -11,11 +18,28 @@
  * Blog Management:
  * GET    /api/admin/blog           - List all posts (drafts + published)
  * GET    /api/admin/blog/:id       - Get single post by ID
- * POST   /api/admin/blog           - Create new post
- * PUT    /api/admin/blog/:id       - Update post
+ * POST   /api/admin/blog           - Create new post (with tags; status "scheduled" needs publishAt)
+ * PUT    /api/admin/blog/:id       - Update post (with tags; status "scheduled" needs publishAt)
  * DELETE /api/admin/blog/:id       - Delete post
  * POST   /api/admin/blog/upload    - Upload image for blog post
  *
+ * Revisions:
+ * GET    /api/admin/blog/:id/revisions              - List revisions (newest first)
+ * GET    /api/admin/blog/:id/revisions/diff         - Block diff (?from=rev&to=rev)
+ * GET    /api/admin/blog/:id/revisions/:rev         - Get a single revision
+ * POST   /api/admin/blog/:id/revisions/:rev/restore - Restore a revision
+ *
+ * Preview Links:
+ * GET    /api/admin/blog/:id/preview-links            - List preview links
+ * POST   /api/admin/blog/:id/preview-links            - Create preview link (optional expiresInHours)
+ * DELETE /api/admin/blog/:id/preview-links/:linkId    - Revoke preview link
+ *
+ * HubSpot (Admin only):
+ * GET    /api/admin/blog/import/hubspot               - Progress / result of the current or last import
+ * POST   /api/admin/blog/import/hubspot               - Start importing the legacy HubSpot blog (category = fallback)
+ * GET    /api/admin/blog/import/hubspot/cache         - Cached feed / articles with their age and last error
+ * POST   /api/admin/blog/import/hubspot/cache/refresh - Re-fetch now (optional key; default: everything)
+ *
  * Backup:
  * GET    /api/admin/blog/backup/status   - Get backup status
  * POST   /api/admin/blog/backup          - Trigger manual backup
@@ -23,13 +47,22 @@
  */
 
 import { Router } from 'express';
-import BlogPost, { CATEGORIES } from '../models/BlogPost.js';
+import BlogPost from '../models/BlogPost.js';
+import BlogCategory from '../models/BlogCategory.js';
+import BlogTag from '../models/BlogTag.js';
+import BlogRevision, { REVISION_FIELDS } from '../models/BlogRevision.js';
+import BlogPreviewToken from '../models/BlogPreviewToken.js';
 import Comment from '../models/Comment.js';
+import BlogLegacyRedirect from '../models/BlogLegacyRedirect.js';
 import { isEditor, isAdmin } from '../middleware/auth.js';
 import upload, { getFileType, handleUploadError } from '../middleware/upload.js';
 import { backupDatabase, restoreDatabase, getBackupStatus } from '../utils/backup.js';
-import { getPresignedUrl, uploadToRailway } from '../services/railwayClient.js';
+import { getPresignedUrl } from '../services/railwayClient.js';
+import { storeBlogImage } from '../utils/imageProcessor.js';
 import { isRailwayStorageEnabled } from '../config/railway.js';
+import { diffBlocks, diffFields } from '../utils/blockDiff.js';
+import { startHubSpotImport, getImportStatus } from '../utils/hubspotImport.js';
+import { getCacheStatus, refreshCache } from '../services/hubspotBlog.js';
 import fs from 'fs';
 import path from 'path';
 
@@ -50,11 +83,12 @@ router.get('/', async (req, res) => {
   try {
     const posts = await BlogPost.findAll();
     const counts = await BlogPost.countByStatus();
+    const categoryNames = await BlogCategory.getNameMap();
 
     // Add category names
     const enrichedPosts = posts.map(post => ({
       ...post,
-      categoryName: CATEGORIES[post.category] || post.category,
+      categoryName: categoryNames[post.category] || post.category,
     }));
 
     res.json({
@@ -71,15 +105,176 @@ router.get('/', async (req, res) => {
   }
 });
 
+// ============================================
+// CATEGORIES
+// These routes MUST be defined BEFORE the /:id route
+// ============================================
+
 /**
- * GET /api/admin/blog/categories
- * Get available categories
+ * Format a category row for the admin UI
+ */
+function serializeCategory(category) {
+  return {
+    id: category.id,
+    slug: category.slug,
+    name: category.name,
+    description: category.description,
+    metaTitle: category.meta_title,
+    metaDescription: category.meta_description,
+    sortOrder: category.sort_order,
+    postCount: category.post_count || 0,
+  };
+}
+
+/**
+ * Map category model errors to HTTP responses
  */
-router.get('/categories', (req, res) => {
-  res.json({
-    success: true,
-    categories: Object.entries(CATEGORIES).map(([slug, name]) => ({ slug, name })),
+function sendCategoryError(res, error, fallbackMessage) {
+  if (error.message === 'Category not found') {
+    return res.status(404).json({
+      error: 'NotFound',
+      message: error.message,
+    });
+  }
+
+  if (error.message.includes('required') ||
+      error.message.includes('must') ||
+      error.message.includes('Invalid')) {
+    return res.status(400).json({
+      error: 'ValidationError',
+      message: error.message,
+    });
+  }
+
+  res.status(500).json({
+    error: 'ServerError',
+    message: fallbackMessage,
   });
+}
+
+/**
+ * GET /api/admin/blog/categories
+ * List categories with post counts (drafts included)
+ */
+router.get('/categories', async (req, res) => {
+  try {
+    const categories = await BlogCategory.findAll();
+
+    res.json({
+      success: true,
+      categories: categories.map(serializeCategory),
+    });
+  } catch (error) {
+    console.error('Admin list categories error:', error);
+    res.status(500).json({
+      error: 'ServerError',
+      message: 'Failed to load categories',
+    });
+  }
+});
+
+/**
+ * POST /api/admin/blog/categories
+ * Create category
+ */
+router.post('/categories', async (req, res) => {
+  try {
+    const { slug, name, description, metaTitle, metaDescription, sortOrder } = req.body;
+
+    const category = await BlogCategory.create({
+      slug: slug?.trim(),
+      name,
+      description: description?.trim(),
+      metaTitle: metaTitle?.trim(),
+      metaDescription: metaDescription?.trim(),
+      sortOrder,
+    });
+
+    backupDatabase().catch(err => console.error('Backup after category create failed:', err));
+
+    res.status(201).json({
+      success: true,
+      category: serializeCategory(category),
+      message: 'Category created',
+    });
+  } catch (error) {
+    console.error('Create category error:', error);
+    sendCategoryError(res, error, 'Failed to create category');
+  }
+});
+
+/**
+ * PUT /api/admin/blog/categories/:id
+ * Update category (renaming the slug moves its posts)
+ */
+router.put('/categories/:id', async (req, res) => {
+  try {
+    const { slug, name, description, metaTitle, metaDescription, sortOrder } = req.body;
+
+    const category = await BlogCategory.update(parseInt(req.params.id), {
+      slug: slug?.trim(),
+      name,
+      description: description?.trim(),
+      metaTitle: metaTitle?.trim(),
+      metaDescription: metaDescription?.trim(),
+      sortOrder,
+    });
+
+    backupDatabase().catch(err => console.error('Backup after category update failed:', err));
+
+    res.json({
+      success: true,
+      category: serializeCategory(category),
+      message: 'Category updated',
+    });
+  } catch (error) {
+    console.error('Update category error:', error);
+    sendCategoryError(res, error, 'Failed to update category');
+  }
+});
+
+/**
+ * DELETE /api/admin/blog/categories/:id
+ * Delete category; posts in it are moved to ?reassignTo=slug
+ */
+router.delete('/categories/:id', async (req, res) => {
+  try {
+    const moved = await BlogCategory.delete(parseInt(req.params.id), req.query.reassignTo || null);
+
+    backupDatabase().catch(err => console.error('Backup after category delete failed:', err));
+
+    res.json({
+      success: true,
+      moved,
+      message: moved > 0
+        ? `Category deleted; ${moved} post(s) moved to ${req.query.reassignTo}`
+        : 'Category deleted',
+    });
+  } catch (error) {
+    console.error('Delete category error:', error);
+    sendCategoryError(res, error, 'Failed to delete category');
+  }
+});
+
+/**
+ * GET /api/admin/blog/tags
+ * List all tags with post counts (drafts included)
+ */
+router.get('/tags', async (req, res) => {
+  try {
+    const tags = await BlogTag.findAll();
+
+    res.json({
+      success: true,
+      tags: tags.map(tag => ({ slug: tag.slug, name: tag.name, postCount: tag.post_count })),
+    });
+  } catch (error) {
+    console.error('Admin list tags error:', error);
+    res.status(500).json({
+      error: 'ServerError',
+      message: 'Failed to load tags',
+    });
+  }
 });
 
 // ============================================
@@ -310,7 +505,8 @@ router.get('/:id', async (req, res) => {
       post: {
         ...post,
         featuredImageUrl,
-        categoryName: CATEGORIES[post.category] || post.category,
+        categoryName: await BlogPost.getCategoryName(post.category),
+        tags: (await BlogTag.findByPostId(post.id)).map(tag => tag.name),
       },
     });
   } catch (error) {
@@ -339,6 +535,8 @@ router.post('/', async (req, res) => {
       metaDescription,
       canonicalUrl,
       status,
+      publishAt,
+      tags,
     } = req.body;
 
     if (!title || !title.trim()) {
@@ -366,8 +564,10 @@ router.post('/', async (req, res) => {
       metaDescription,
       canonicalUrl,
       status: status || 'draft',
+      publishAt,
       authorId: req.session.userId,
       authorName: req.session.username,
+      tags: tags || [],
     });
 
     // Trigger backup after create
@@ -376,12 +576,19 @@ router.post('/', async (req, res) => {
     res.status(201).json({
       success: true,
       post,
-      message: status === 'published' ? 'Post published successfully' : 'Draft saved',
+      message: {
+        published: 'Post published successfully',
+        scheduled: 'Post scheduled',
+      }[post.status] || 'Draft saved',
     });
   } catch (error) {
     console.error('Create post error:', error);
 
-    if (error.message.includes('Invalid category')) {
+    if (error.message.includes('Invalid category') ||
+        error.message.includes('Invalid tag') ||
+        error.message.includes('Invalid status') ||
+        error.message.includes('Invalid publish date') ||
+        error.message.includes('Invalid content')) {
       return res.status(400).json({
         error: 'ValidationError',
         message: error.message,
@@ -413,6 +620,8 @@ router.put('/:id', async (req, res) => {
       metaDescription,
       canonicalUrl,
       status,
+      publishAt,
+      tags,
     } = req.body;
 
     const post = await BlogPost.update(parseInt(id), {
@@ -426,6 +635,10 @@ router.put('/:id', async (req, res) => {
       metaDescription,
       canonicalUrl,
       status,
+      publishAt,
+      tags,
+      editorId: req.session.userId,
+      editorName: req.session.username,
     });
 
     // Trigger backup after update
@@ -434,7 +647,7 @@ router.put('/:id', async (req, res) => {
     res.json({
       success: true,
       post,
-      message: 'Post updated successfully',
+      message: post.status === 'scheduled' ? 'Post scheduled' : 'Post updated successfully',
     });
   } catch (error) {
     console.error('Update post error:', error);
@@ -446,7 +659,11 @@ router.put('/:id', async (req, res) => {
       });
     }
 
-    if (error.message.includes('Invalid category')) {
+    if (error.message.includes('Invalid category') ||
+        error.message.includes('Invalid tag') ||
+        error.message.includes('Invalid status') ||
+        error.message.includes('Invalid publish date') ||
+        error.message.includes('Invalid content')) {
       return res.status(400).json({
         error: 'ValidationError',
         message: error.message,
@@ -494,6 +711,301 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
+// ============================================
+// REVISIONS
+// ============================================
+
+/**
+ * Load a post and one of its revisions, or send a 404
+ * @returns {Promise<Object|null>} Revision, or null if a response was sent
+ */
+async function findRevisionOr404(res, postId, revisionNumber) {
+  const post = await BlogPost.findById(postId);
+  if (!post) {
+    res.status(404).json({
+      error: 'NotFound',
+      message: 'Post not found',
+    });
+    return null;
+  }
+
+  const revision = await BlogRevision.findByNumber(postId, revisionNumber);
+  if (!revision) {
+    res.status(404).json({
+      error: 'NotFound',
+      message: `Revision ${revisionNumber} not found`,
+    });
+    return null;
+  }
+  return revision;
+}
+
+/**
+ * GET /api/admin/blog/:id/revisions
+ * List a post's revisions, newest first
+ */
+router.get('/:id/revisions', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const post = await BlogPost.findById(id);
+    if (!post) {
+      return res.status(404).json({
+        error: 'NotFound',
+        message: 'Post not found',
+      });
+    }
+
+    const revisions = await BlogRevision.findByPostId(id);
+
+    res.json({
+      success: true,
+      revisions,
+    });
+  } catch (error) {
+    console.error('List revisions error:', error);
+    res.status(500).json({
+      error: 'ServerError',
+      message: 'Failed to load revisions',
+    });
+  }
+});
+
+/**
+ * GET /api/admin/blog/:id/revisions/diff
+ * Block-level diff between two revisions
+ * Query params: from (default: the revision before "to"), to (default: latest)
+ */
+router.get('/:id/revisions/diff', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const latest = await BlogRevision.findLatest(id);
+    if (!latest) {
+      return res.status(404).json({
+        error: 'NotFound',
+        message: 'Post has no revisions',
+      });
+    }
+
+    const toNumber = parseInt(req.query.to) || latest.revision_number;
+    const fromNumber = parseInt(req.query.from) || toNumber - 1;
+
+    const to = await findRevisionOr404(res, id, toNumber);
+    if (!to) return;
+    const from = await findRevisionOr404(res, id, fromNumber);
+    if (!from) return;
+
+    const { changes, summary } = diffBlocks(from.content, to.content);
+
+    res.json({
+      success: true,
+      from: { revision: from.revision_number, author_name: from.author_name, created_at: from.created_at },
+      to: { revision: to.revision_number, author_name: to.author_name, created_at: to.created_at },
+      fields: diffFields(from, to, REVISION_FIELDS),
+      blocks: changes,
+      summary,
+    });
+  } catch (error) {
+    console.error('Diff revisions error:', error);
+    res.status(500).json({
+      error: 'ServerError',
+      message: 'Failed to compare revisions',
+    });
+  }
+});
+
+/**
+ * GET /api/admin/blog/:id/revisions/:rev
+ * Get a single revision with its content
+ */
+router.get('/:id/revisions/:rev', async (req, res) => {
+  try {
+    const revision = await findRevisionOr404(res, parseInt(req.params.id), parseInt(req.params.rev));
+    if (!revision) return;
+
+    res.json({
+      success: true,
+      revision,
+    });
+  } catch (error) {
+    console.error('Get revision error:', error);
+    res.status(500).json({
+      error: 'ServerError',
+      message: 'Failed to load revision',
+    });
+  }
+});
+
+/**
+ * POST /api/admin/blog/:id/revisions/:rev/restore
+ * Restore a revision's title, content and SEO fields
+ * The restore is saved as a new revision, so it can itself be undone
+ */
+router.post('/:id/revisions/:rev/restore', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const revision = await findRevisionOr404(res, id, parseInt(req.params.rev));
+    if (!revision) return;
+
+    const post = await BlogPost.update(id, {
+      title: revision.title,
+      content: revision.content,
+      featuredImageKey: revision.featured_image_key,
+      featuredImageAlt: revision.featured_image_alt,
+      metaTitle: revision.meta_title,
+      metaDescription: revision.meta_description,
+      canonicalUrl: revision.canonical_url,
+      editorId: req.session.userId,
+      editorName: req.session.username,
+    });
+
+    backupDatabase().catch(err => console.error('Backup after restore failed:', err));
+
+    res.json({
+      success: true,
+      post,
+      message: `Restored revision ${revision.revision_number}`,
+    });
+  } catch (error) {
+    console.error('Restore revision error:', error);
+
+    // Revisions saved before block validation may not pass it
+    if (error.message.includes('Invalid content')) {
+      return res.status(400).json({
+        error: 'ValidationError',
+        message: `Revision can't be restored as-is. ${error.message}`,
+      });
+    }
+
+    res.status(500).json({
+      error: 'ServerError',
+      message: 'Failed to restore revision',
+    });
+  }
+});
+
+// ============================================
+// PREVIEW LINKS
+// ============================================
+
+/**
+ * Add the public page URL to a preview token row
+ */
+function serializePreviewLink(link) {
+  return {
+    ...link,
+    url: `/pages/blog-post?preview=${encodeURIComponent(link.token)}`,
+  };
+}
+
+/**
+ * GET /api/admin/blog/:id/preview-links
+ * List a post's preview links (active, expired and revoked)
+ */
+router.get('/:id/preview-links', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const post = await BlogPost.findById(id);
+    if (!post) {
+      return res.status(404).json({
+        error: 'NotFound',
+        message: 'Post not found',
+      });
+    }
+
+    const links = await BlogPreviewToken.findByPostId(id);
+
+    res.json({
+      success: true,
+      links: links.map(serializePreviewLink),
+    });
+  } catch (error) {
+    console.error('List preview links error:', error);
+    res.status(500).json({
+      error: 'ServerError',
+      message: 'Failed to load preview links',
+    });
+  }
+});
+
+/**
+ * POST /api/admin/blog/:id/preview-links
+ * Create a shareable preview link
+ * Body: expiresInHours (optional, default 72)
+ */
+router.post('/:id/preview-links', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const post = await BlogPost.findById(id);
+    if (!post) {
+      return res.status(404).json({
+        error: 'NotFound',
+        message: 'Post not found',
+      });
+    }
+
+    const link = await BlogPreviewToken.create(id, {
+      expiresInHours: req.body?.expiresInHours,
+      createdBy: req.session.userId,
+      createdByName: req.session.username,
+    });
+
+    backupDatabase().catch(err => console.error('Backup after preview link create failed:', err));
+
+    res.status(201).json({
+      success: true,
+      link: serializePreviewLink(link),
+      message: 'Preview link created',
+    });
+  } catch (error) {
+    console.error('Create preview link error:', error);
+
+    if (error.message.includes('Invalid')) {
+      return res.status(400).json({
+        error: 'ValidationError',
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      error: 'ServerError',
+      message: 'Failed to create preview link',
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/blog/:id/preview-links/:linkId
+ * Revoke a preview link (the link stops working immediately)
+ */
+router.delete('/:id/preview-links/:linkId', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const link = await BlogPreviewToken.findById(parseInt(req.params.linkId));
+    if (!link || link.post_id !== id) {
+      return res.status(404).json({
+        error: 'NotFound',
+        message: 'Preview link not found',
+      });
+    }
+
+    await BlogPreviewToken.revoke(link.id);
+
+    backupDatabase().catch(err => console.error('Backup after preview link revoke failed:', err));
+
+    res.json({
+      success: true,
+      link: serializePreviewLink(await BlogPreviewToken.findById(link.id)),
+      message: 'Preview link revoked',
+    });
+  } catch (error) {
+    console.error('Revoke preview link error:', error);
+    res.status(500).json({
+      error: 'ServerError',
+      message: 'Failed to revoke preview link',
+    });
+  }
+});
+
 /**
  * POST /api/admin/blog/upload
  * Upload image for blog post
@@ -561,41 +1073,143 @@ router.post('/upload', upload.single('image'), handleUploadError, async (req, re
  * Creates a single optimized WebP image (no variants for simplicity)
  */
 async function processBlogImage(inputPath, originalFilename) {
-  const sharp = (await import('sharp')).default;
-  const crypto = await import('crypto');
-
-  // Read the original file
   const inputBuffer = await fs.promises.readFile(inputPath);
+  const { key } = await storeBlogImage(inputBuffer, originalFilename);
 
-  // Generate content hash for cache busting
-  const hash = crypto.createHash('md5').update(inputBuffer).digest('hex').substring(0, 8);
+  // Clean up local file
+  await fs.promises.unlink(inputPath);
 
-  // Create slug from filename
-  const baseName = path.basename(originalFilename, path.extname(originalFilename));
-  const slug = baseName
-    .toLowerCase()
-    .replace(/[^a-z0-9]+/g, '-')
-    .replace(/-+/g, '-')
-    .replace(/^-|-$/g, '')
-    .substring(0, 50);
+  return { key };
+}
 
-  // Convert to WebP with reasonable quality
-  const webpBuffer = await sharp(inputBuffer)
-    .resize(1600, 1200, { fit: 'inside', withoutEnlargement: true })
-    .webp({ quality: 85 })
-    .toBuffer();
+// ============================================
+// HUBSPOT IMPORT & CACHE (Admin only)
+// ============================================
 
-  // Generate key with blog prefix
-  const key = `blog/${slug}-${hash}.webp`;
+/**
+ * GET /api/admin/blog/import/hubspot
+ * Progress of the running import, or the result of the last one
+ */
+router.get('/import/hubspot', isAdmin, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      import: getImportStatus(),
+      importedPosts: await BlogLegacyRedirect.countPosts(),
+    });
+  } catch (error) {
+    console.error('Get HubSpot import status error:', error);
+    res.status(500).json({
+      error: 'ServerError',
+      message: 'Failed to get import status',
+    });
+  }
+});
 
-  // Upload to Railway bucket
-  await uploadToRailway(webpBuffer, key, 'image/webp');
+/**
+ * POST /api/admin/blog/import/hubspot
+ * Start importing the legacy HubSpot blog in the background
+ * Body: { category } - used for posts whose HubSpot topics don't match a category
+ * Poll GET /import/hubspot for progress
+ */
+router.post('/import/hubspot', isAdmin, async (req, res) => {
+  try {
+    const { category } = req.body;
+    if (!category) {
+      return res.status(400).json({
+        error: 'ValidationError',
+        message: 'Category is required',
+      });
+    }
+    if (!(await BlogCategory.exists(category))) {
+      return res.status(400).json({
+        error: 'ValidationError',
+        message: `Invalid category: ${category}`,
+      });
+    }
 
-  // Clean up local file
-  await fs.promises.unlink(inputPath);
+    const job = startHubSpotImport({
+      category,
+      authorId: req.session.userId,
+      authorName: req.session.username,
+    });
 
-  return { key };
-}
+    res.status(202).json({
+      success: true,
+      message: 'Import started',
+      import: job,
+    });
+  } catch (error) {
+    console.error('Start HubSpot import error:', error);
+
+    if (error.message.includes('already running')) {
+      return res.status(409).json({
+        error: 'ConflictError',
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      error: 'ServerError',
+      message: 'Failed to start import',
+    });
+  }
+});
+
+/**
+ * GET /api/admin/blog/import/hubspot/cache
+ * Cached HubSpot feed and articles: age, fresh/stale/expired state, last fetch error
+ */
+router.get('/import/hubspot/cache', isAdmin, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      entries: await getCacheStatus(),
+    });
+  } catch (error) {
+    console.error('Get HubSpot cache status error:', error);
+    res.status(500).json({
+      error: 'ServerError',
+      message: 'Failed to get cache status',
+    });
+  }
+});
+
+/**
+ * POST /api/admin/blog/import/hubspot/cache/refresh
+ * Re-fetch cached HubSpot content now, regardless of age
+ * Body: { key } - one entry ("feed", or "article:<url>" for a post in the cached feed
+ *   or an already cached article); omit to refresh everything
+ */
+router.post('/import/hubspot/cache/refresh', isAdmin, async (req, res) => {
+  try {
+    const results = await refreshCache(req.body?.key || null);
+    const failed = results.filter(result => !result.ok).length;
+
+    res.json({
+      success: true,
+      message: failed
+        ? `Refreshed ${results.length - failed} of ${results.length} entries (${failed} failed, last good copy kept)`
+        : `Refreshed ${results.length} ${results.length === 1 ? 'entry' : 'entries'}`,
+      results,
+      entries: await getCacheStatus(),
+    });
+  } catch (error) {
+    console.error('Refresh HubSpot cache error:', error);
+
+    if (error.message.includes('Invalid')) {
+      return res.status(400).json({
+        error: 'ValidationError',
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      error: 'ServerError',
+      message: 'Failed to refresh cache',
+    });
+  }
+});
 
 // ============================================
 // BACKUP & RESTORE (Admin only)
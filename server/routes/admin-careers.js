@@ -0,0 +1,191 @@
+/**
+ * Admin Careers API Routes
+ *
+ * Job Posting Management:
+ * GET    /api/admin/careers/jobs       - List all postings (open + closed)
+ * GET    /api/admin/careers/jobs/:id   - Get single posting by ID
+ * POST   /api/admin/careers/jobs       - Create new posting
+ * PUT    /api/admin/careers/jobs/:id   - Update posting
+ * DELETE /api/admin/careers/jobs/:id   - Delete posting
+ */
+
+import { Router } from 'express';
+import JobPosting from '../models/JobPosting.js';
+import { isEditor } from '../middleware/auth.js';
+import { backupDatabase } from '../utils/backup.js';
+
+const router = Router();
+
+// All admin routes require at least editor access
+router.use(isEditor);
+
+/**
+ * Map model validation errors to 400 responses
+ */
+function isValidationError(error) {
+  return error.message.includes('required') ||
+    error.message.includes('must') ||
+    error.message.includes('Invalid');
+}
+
+// ============================================
+// JOB POSTING MANAGEMENT
+// ============================================
+
+/**
+ * GET /api/admin/careers/jobs
+ * List all postings (open + closed)
+ */
+router.get('/jobs', async (req, res) => {
+  try {
+    const jobs = await JobPosting.findAll();
+
+    res.json({
+      success: true,
+      jobs,
+      employmentTypes: JobPosting.getEmploymentTypes(),
+      statuses: JobPosting.getStatuses(),
+    });
+  } catch (error) {
+    console.error('Admin list jobs error:', error);
+    res.status(500).json({
+      error: 'ServerError',
+      message: 'Failed to load job postings',
+    });
+  }
+});
+
+/**
+ * GET /api/admin/careers/jobs/:id
+ * Get single posting by ID
+ */
+router.get('/jobs/:id', async (req, res) => {
+  try {
+    const job = await JobPosting.findById(parseInt(req.params.id));
+
+    if (!job) {
+      return res.status(404).json({
+        error: 'NotFound',
+        message: 'Job posting not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      job,
+    });
+  } catch (error) {
+    console.error('Admin get job error:', error);
+    res.status(500).json({
+      error: 'ServerError',
+      message: 'Failed to load job posting',
+    });
+  }
+});
+
+/**
+ * POST /api/admin/careers/jobs
+ * Create new posting
+ */
+router.post('/jobs', async (req, res) => {
+  try {
+    const job = await JobPosting.create(req.body);
+
+    // Trigger backup after create
+    backupDatabase().catch(err => console.error('Backup after create failed:', err));
+
+    res.status(201).json({
+      success: true,
+      job,
+      message: job.status === 'open' ? 'Job posting published' : 'Job posting saved',
+    });
+  } catch (error) {
+    console.error('Create job error:', error);
+
+    if (isValidationError(error)) {
+      return res.status(400).json({
+        error: 'ValidationError',
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      error: 'ServerError',
+      message: 'Failed to create job posting',
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/careers/jobs/:id
+ * Update posting
+ */
+router.put('/jobs/:id', async (req, res) => {
+  try {
+    const job = await JobPosting.update(parseInt(req.params.id), req.body);
+
+    // Trigger backup after update
+    backupDatabase().catch(err => console.error('Backup after update failed:', err));
+
+    res.json({
+      success: true,
+      job,
+      message: 'Job posting updated',
+    });
+  } catch (error) {
+    console.error('Update job error:', error);
+
+    if (error.message === 'Job posting not found') {
+      return res.status(404).json({
+        error: 'NotFound',
+        message: error.message,
+      });
+    }
+
+    if (isValidationError(error)) {
+      return res.status(400).json({
+        error: 'ValidationError',
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      error: 'ServerError',
+      message: 'Failed to update job posting',
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/careers/jobs/:id
+ * Delete posting
+ */
+router.delete('/jobs/:id', async (req, res) => {
+  try {
+    await JobPosting.delete(parseInt(req.params.id));
+
+    // Trigger backup after delete
+    backupDatabase().catch(err => console.error('Backup after delete failed:', err));
+
+    res.json({
+      success: true,
+      message: 'Job posting deleted',
+    });
+  } catch (error) {
+    console.error('Delete job error:', error);
+
+    if (error.message === 'Job posting not found') {
+      return res.status(404).json({
+        error: 'NotFound',
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      error: 'ServerError',
+      message: 'Failed to delete job posting',
+    });
+  }
+});
+
+export default router;
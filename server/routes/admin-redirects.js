@@ -0,0 +1,258 @@
+/**
+ * Admin Redirects API Routes
+ *
+ * Redirect Rules:
+ * GET    /api/admin/redirects                - List rules (with hit counts)
+ * POST   /api/admin/redirects                - Create rule (clears the 404s it now covers)
+ * PUT    /api/admin/redirects/:id            - Update rule
+ * DELETE /api/admin/redirects/:id            - Delete rule
+ *
+ * 404 Log:
+ * GET    /api/admin/redirects/not-found      - List unmatched paths with referrers
+ * DELETE /api/admin/redirects/not-found      - Dismiss one path (?path=) or clear the log
+ */
+
+import { Router } from 'express';
+import Redirect from '../models/Redirect.js';
+import NotFoundLog from '../models/NotFoundLog.js';
+import { isAdmin } from '../middleware/auth.js';
+import { flushRequestStats } from '../middleware/redirects.js';
+import { backupDatabase } from '../utils/backup.js';
+
+const router = Router();
+
+// Redirects can send visitors anywhere, so they are admin only
+router.use(isAdmin);
+
+/**
+ * Map model validation errors to 400 responses
+ */
+function isValidationError(error) {
+  return error.message.includes('required') ||
+    error.message.includes('must') ||
+    error.message.includes('Invalid');
+}
+
+/**
+ * Save buffered hits and 404s so the lists are current
+ * Failing to save them shouldn't stop the list from loading.
+ */
+async function flushStats() {
+  try {
+    await flushRequestStats();
+  } catch (error) {
+    console.error('Failed to save redirect/404 stats:', error);
+  }
+}
+
+// ============================================
+// 404 LOG
+// Registered before /:id so "not-found" isn't read as a rule ID
+// ============================================
+
+/**
+ * GET /api/admin/redirects/not-found
+ * List unmatched paths, most hits first, with their top referrers
+ * Query params: limit (default 200, max 1000)
+ */
+router.get('/not-found', async (req, res) => {
+  try {
+    await flushStats();
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 200, 1), 1000);
+    const [entries, total] = await Promise.all([
+      NotFoundLog.findAll({ limit }),
+      NotFoundLog.count(),
+    ]);
+
+    res.json({
+      success: true,
+      entries,
+      total,
+    });
+  } catch (error) {
+    console.error('List 404s error:', error);
+    res.status(500).json({
+      error: 'ServerError',
+      message: 'Failed to load 404 log',
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/redirects/not-found
+ * Dismiss one path (?path=/old-page) or, without a path, clear the whole log
+ */
+router.delete('/not-found', async (req, res) => {
+  try {
+    await flushStats();
+
+    if (typeof req.query.path === 'string' && req.query.path) {
+      const deleted = await NotFoundLog.delete(req.query.path);
+      if (!deleted) {
+        return res.status(404).json({
+          error: 'NotFound',
+          message: 'Path is not in the 404 log',
+        });
+      }
+      return res.json({
+        success: true,
+        message: '404 dismissed',
+      });
+    }
+
+    await NotFoundLog.deleteAll();
+    res.json({
+      success: true,
+      message: '404 log cleared',
+    });
+  } catch (error) {
+    console.error('Clear 404s error:', error);
+    res.status(500).json({
+      error: 'ServerError',
+      message: 'Failed to update 404 log',
+    });
+  }
+});
+
+// ============================================
+// REDIRECT RULES
+// ============================================
+
+/**
+ * GET /api/admin/redirects
+ * List rules in the order they are checked
+ */
+router.get('/', async (req, res) => {
+  try {
+    await flushStats();
+
+    res.json({
+      success: true,
+      redirects: await Redirect.findAll(),
+      ...Redirect.getOptions(),
+    });
+  } catch (error) {
+    console.error('List redirects error:', error);
+    res.status(500).json({
+      error: 'ServerError',
+      message: 'Failed to load redirects',
+    });
+  }
+});
+
+/**
+ * POST /api/admin/redirects
+ * Create rule
+ * Body: { source, matchType?, target, statusCode? }
+ * Logged 404s the new rule matches are removed from the log.
+ */
+router.post('/', async (req, res) => {
+  try {
+    const redirect = await Redirect.create(req.body);
+
+    await flushStats();
+    const covered = (await NotFoundLog.findPaths()).filter(path => Redirect.matchesPath(redirect, path));
+    await NotFoundLog.deleteMany(covered);
+
+    // Trigger backup after create
+    backupDatabase().catch(err => console.error('Backup after create failed:', err));
+
+    res.status(201).json({
+      success: true,
+      redirect,
+      resolvedNotFound: covered.length,
+      message: covered.length > 0
+        ? `Redirect created (${covered.length} logged 404${covered.length === 1 ? '' : 's'} resolved)`
+        : 'Redirect created',
+    });
+  } catch (error) {
+    console.error('Create redirect error:', error);
+
+    if (isValidationError(error)) {
+      return res.status(400).json({
+        error: 'ValidationError',
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      error: 'ServerError',
+      message: 'Failed to create redirect',
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/redirects/:id
+ * Update rule
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const redirect = await Redirect.update(parseInt(req.params.id), req.body);
+
+    // Trigger backup after update
+    backupDatabase().catch(err => console.error('Backup after update failed:', err));
+
+    res.json({
+      success: true,
+      redirect,
+      message: 'Redirect updated',
+    });
+  } catch (error) {
+    console.error('Update redirect error:', error);
+
+    if (error.message === 'Redirect not found') {
+      return res.status(404).json({
+        error: 'NotFound',
+        message: error.message,
+      });
+    }
+
+    if (isValidationError(error)) {
+      return res.status(400).json({
+        error: 'ValidationError',
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      error: 'ServerError',
+      message: 'Failed to update redirect',
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/redirects/:id
+ * Delete rule
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    await Redirect.delete(parseInt(req.params.id));
+
+    // Trigger backup after delete
+    backupDatabase().catch(err => console.error('Backup after delete failed:', err));
+
+    res.json({
+      success: true,
+      message: 'Redirect deleted',
+    });
+  } catch (error) {
+    console.error('Delete redirect error:', error);
+
+    if (error.message === 'Redirect not found') {
+      return res.status(404).json({
+        error: 'NotFound',
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      error: 'ServerError',
+      message: 'Failed to delete redirect',
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,183 @@
+/**
+ * Server-rendered Blog Pages
+ *
+ * GET /blog/:slug - Blog post page with the article, meta tags, Open Graph /
+ *                   Twitter cards and BlogPosting JSON-LD filled in on the server
+ *
+ * Crawlers and link unfurlers don't run Alpine, so the post is rendered into
+ * the pages/blog-post.html shell (header and footer included) before it is
+ * sent. The Alpine page still loads the post from the API and takes over once
+ * it has (comments, tags).
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { Router } from 'express';
+import * as cheerio from 'cheerio';
+import BlogPost from '../models/BlogPost.js';
+import BlogCategory from '../models/BlogCategory.js';
+import BlogTag from '../models/BlogTag.js';
+import { renderBlocksHtml, resolveImageUrls } from '../utils/blockRenderer.js';
+import { escapeHtml } from '../utils/sanitize.js';
+import { renderPage } from '../utils/pageIncludes.js';
+import { getPresignedUrl } from '../services/railwayClient.js';
+import { isRailwayStorageEnabled } from '../config/railway.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const TEMPLATE_PATH = path.join(__dirname, '..', '..', 'pages', 'blog-post.html');
+const SITE_URL = 'https://designwithlighthouse.com';
+const SITE_NAME = 'Lighthouse Design Build';
+
+const router = Router();
+
+/**
+ * Turn a stored image key into a URL (presigned for Railway storage)
+ */
+async function getImageUrl(imageKey) {
+  if (!imageKey) return null;
+
+  if (isRailwayStorageEnabled()) {
+    try {
+      return await getPresignedUrl(imageKey);
+    } catch (error) {
+      console.error('Failed to get presigned URL for blog page:', error);
+      return null;
+    }
+  }
+  return imageKey;
+}
+
+/**
+ * Set a <meta> tag's content, creating the tag if the shell doesn't have it
+ * @param {Function} $ - Cheerio document
+ * @param {string} attribute - "name" or "property"
+ * @param {string} key - Tag name (e.g. "og:title")
+ * @param {string} content - Value
+ */
+function setMeta($, attribute, key, content) {
+  let tag = $(`meta[${attribute}="${key}"]`);
+  if (tag.length === 0) {
+    tag = $(`<meta ${attribute}="${key}">`);
+    $('head').append(tag);
+  }
+  tag.attr('content', content);
+}
+
+/**
+ * Format a timestamp like the Alpine page does ("March 4, 2026")
+ */
+function formatDate(value) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return '';
+  return date.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+}
+
+/**
+ * Article markup (same structure and classes as the Alpine article)
+ */
+async function renderArticle(post, { imageUrl, categoryName }) {
+  const body = renderBlocksHtml(post.content, {
+    imageUrls: await resolveImageUrls(post.content, getImageUrl),
+  });
+  const author = post.author_name || 'Lighthouse Team';
+
+  const hero = imageUrl
+    ? `<div class="relative">
+                <div class="w-full max-h-[550px] overflow-hidden">
+                    <img src="${escapeHtml(imageUrl)}" alt="${escapeHtml(post.featured_image_alt || post.title)}"
+                         class="w-full h-auto max-h-[550px] object-cover object-center">
+                </div>
+                <div class="absolute inset-0 bg-gradient-to-t from-black/60 via-black/20 to-transparent"></div>
+            </div>`
+    : '';
+
+  return `<article class="bg-white dark:bg-gray-900">
+            ${hero}
+            <div class="container-custom max-w-4xl py-12 md:py-16">
+                <header class="mb-12">
+                    <div class="flex flex-wrap items-center gap-3 mb-6">
+                        <span class="category-badge px-3 py-1 rounded-full font-heading font-semibold uppercase category-${escapeHtml(post.category)}">${escapeHtml(categoryName)}</span>
+                        <time class="text-gray-500 dark:text-gray-400 text-sm" datetime="${escapeHtml(post.published_at)}">${formatDate(post.published_at)}</time>
+                    </div>
+                    <h1 class="text-3xl md:text-4xl lg:text-5xl font-display font-bold text-lighthouse-navy dark:text-white leading-tight mb-6">${escapeHtml(post.title)}</h1>
+                    <p class="font-heading font-semibold text-lighthouse-navy dark:text-white">${escapeHtml(author)}</p>
+                </header>
+                <div class="article-content server-rendered-content">
+${body}
+                </div>
+            </div>
+        </article>`;
+}
+
+/**
+ * GET /blog/:slug
+ * Server-rendered blog post page
+ */
+router.get('/:slug', async (req, res) => {
+  try {
+    const post = await BlogPost.findBySlug(req.params.slug);
+    const $ = cheerio.load(await renderPage(TEMPLATE_PATH, req.baseUrl + req.path));
+
+    if (!post) {
+      // Let the Alpine page show its "Article Not Found" state
+      setMeta($, 'name', 'robots', 'noindex');
+      return res.status(404).type('html').send($.html());
+    }
+
+    const [categoryNames, tags, imageUrl] = await Promise.all([
+      BlogCategory.getNameMap(),
+      BlogTag.findByPostId(post.id),
+      getImageUrl(post.featured_image_key),
+    ]);
+    const categoryName = categoryNames[post.category] || post.category;
+
+    const title = post.meta_title || post.title;
+    const description = BlogPost.getDescription(post);
+    const url = post.canonical_url || `${SITE_URL}/blog/${encodeURIComponent(post.slug)}`;
+    // Social cards need absolute image URLs; fall back to the shell's default image
+    const ogImage = new URL(imageUrl || $('meta[property="og:image"]').attr('content') || '/', SITE_URL).href;
+
+    $('title').text(`${title} | ${SITE_NAME}`);
+    setMeta($, 'name', 'description', description);
+    $('link[rel="canonical"]').attr('href', url);
+
+    setMeta($, 'property', 'og:title', title);
+    setMeta($, 'property', 'og:description', description);
+    setMeta($, 'property', 'og:url', url);
+    setMeta($, 'property', 'og:image', ogImage);
+    setMeta($, 'property', 'og:type', 'article');
+    setMeta($, 'property', 'og:site_name', SITE_NAME);
+    if (post.featured_image_alt) setMeta($, 'property', 'og:image:alt', post.featured_image_alt);
+    setMeta($, 'property', 'article:published_time', new Date(post.published_at).toISOString());
+    setMeta($, 'property', 'article:section', categoryName);
+    for (const tag of tags) {
+      $('head').append($('<meta property="article:tag">').attr('content', tag.name));
+    }
+
+    setMeta($, 'name', 'twitter:title', title);
+    setMeta($, 'name', 'twitter:description', description);
+    setMeta($, 'name', 'twitter:image', ogImage);
+
+    const structuredData = BlogPost.toStructuredData(post, {
+      url,
+      imageUrl: imageUrl ? ogImage : null,
+      categoryName,
+      tags: tags.map(tag => tag.name),
+    });
+    // Escape "<" so post text can never close the script element
+    $('head').append(
+      `<script type="application/ld+json">${JSON.stringify(structuredData).replace(/</g, '\\u003c')}</script>`
+    );
+
+    $('#server-article').html(await renderArticle(post, { imageUrl, categoryName }));
+
+    res.type('html').send($.html());
+  } catch (error) {
+    console.error('Render blog post page error:', error);
+    res.status(500).send('Error loading blog post');
+  }
+});
+
+export default router;
@@ -1,17 +1,26 @@
 /**
  * Public Blog API Routes
  *
- * GET /api/blog - List published posts (paginated)
+ * GET /api/blog - List published posts (paginated, optional ?category=slug or ?tag=slug)
+ * GET /api/blog/categories - List categories with descriptions and SEO fields
+ * GET /api/blog/categories/:slug - Get a single category (for landing pages)
+ * GET /api/blog/tags - List tags that have published posts
+ * GET /api/blog/search?q= - Full-text search (ranked, with highlighted snippets, paginated)
+ * GET /api/blog/preview/:token - Get a post (any status) through a shareable preview link
  * GET /api/blog/:slug - Get single published post
  * GET /api/blog/:slug/comments - Get approved comments for a post
  * POST /api/blog/:slug/comments - Submit a new comment
  */
 
 import { Router } from 'express';
-import BlogPost, { CATEGORIES } from '../models/BlogPost.js';
+import BlogPost from '../models/BlogPost.js';
+import BlogCategory from '../models/BlogCategory.js';
+import BlogTag from '../models/BlogTag.js';
+import BlogPreviewToken from '../models/BlogPreviewToken.js';
 import Comment from '../models/Comment.js';
 import { getPresignedUrl } from '../services/railwayClient.js';
 import { isRailwayStorageEnabled } from '../config/railway.js';
+import { resolveImageUrls, toApiBlocks } from '../utils/blockRenderer.js';
 
 const router = Router();
 
@@ -34,80 +43,27 @@ async function getFeaturedImageUrl(imageKey) {
   return imageKey;
 }
 
-/**
- * Flatten block data structure for frontend consumption
- * Converts { type: "paragraph", data: { text: "..." } }
- * to { type: "paragraph", text: "..." }
- */
-function flattenBlockData(block) {
-  if (!block || !block.data) return block;
-
-  const flattened = { type: block.type };
-
-  // Copy all data properties to top level
-  for (const [key, value] of Object.entries(block.data)) {
-    flattened[key] = value;
-  }
-
-  return flattened;
-}
-
 /**
  * Process content blocks - flatten structure and convert image keys to URLs
  */
 async function processContentBlocks(content) {
-  if (!Array.isArray(content)) return [];
-
-  const processedBlocks = [];
-
-  for (const block of content) {
-    const flattened = flattenBlockData(block);
-
-    // Convert image block key to URL
-    if (flattened.type === 'image' && flattened.key) {
-      flattened.url = await getFeaturedImageUrl(flattened.key);
-    }
-
-    // Convert image-gallery block keys to URLs
-    if (flattened.type === 'image-gallery' && Array.isArray(flattened.images)) {
-      flattened.images = await Promise.all(
-        flattened.images.map(async (img) => ({
-          ...img,
-          url: img.key ? await getFeaturedImageUrl(img.key) : img.url,
-        }))
-      );
-    }
-
-    // Convert video block to embedUrl format and rename type for frontend
-    if (flattened.type === 'video' && flattened.platform && flattened.videoId) {
-      flattened.type = 'video-embed'; // Frontend expects 'video-embed'
-      if (flattened.platform === 'youtube') {
-        flattened.embedUrl = `https://www.youtube.com/embed/${flattened.videoId}`;
-      } else if (flattened.platform === 'vimeo') {
-        flattened.embedUrl = `https://player.vimeo.com/video/${flattened.videoId}`;
-      }
-    }
-
-    // Convert list block style to ordered boolean for frontend
-    if (flattened.type === 'list') {
-      flattened.ordered = flattened.style === 'ordered';
-    }
-
-    processedBlocks.push(flattened);
-  }
-
-  return processedBlocks;
+  const imageUrls = await resolveImageUrls(content, getFeaturedImageUrl);
+  return toApiBlocks(content, { imageUrls });
 }
 
 /**
  * Enrich post with image URLs and process content blocks
+ * @param {Object} post - Post row
+ * @param {boolean} includeContent - Process content blocks (single post view)
+ * @param {Object|null} categoryNames - Preloaded slug -> name map (list view)
  */
-async function enrichPostWithUrls(post, includeContent = false) {
+async function enrichPostWithUrls(post, includeContent = false, categoryNames = null) {
   if (!post) return null;
 
+  const names = categoryNames || await BlogCategory.getNameMap();
   const enriched = { ...post };
   enriched.featuredImageUrl = await getFeaturedImageUrl(post.featured_image_key);
-  enriched.categoryName = CATEGORIES[post.category] || post.category;
+  enriched.categoryName = names[post.category] || post.category;
 
   // Process content blocks if requested (for single post view)
   if (includeContent && post.content) {
@@ -117,22 +73,73 @@ async function enrichPostWithUrls(post, includeContent = false) {
   return enriched;
 }
 
+/**
+ * Format a category row for the public API
+ */
+function serializeCategory(category) {
+  return {
+    slug: category.slug,
+    name: category.name,
+    description: category.description,
+    metaTitle: category.meta_title,
+    metaDescription: category.meta_description,
+    postCount: category.post_count,
+  };
+}
+
+/**
+ * Format a tag row for the public API
+ */
+function serializeTag(tag) {
+  return {
+    slug: tag.slug,
+    name: tag.name,
+    postCount: tag.post_count,
+  };
+}
+
 /**
  * GET /api/blog
  * List published posts with pagination
- * Query params: limit (default 12), offset (default 0)
+ * Query params: limit (default 12), offset (default 0), category (slug), tag (slug)
  */
 router.get('/', async (req, res) => {
   try {
     const limit = Math.min(parseInt(req.query.limit) || 12, 50);
     const offset = parseInt(req.query.offset) || 0;
 
-    const { posts, total, hasMore } = await BlogPost.findPublished(limit, offset);
+    let category = null;
+    if (req.query.category) {
+      category = await BlogCategory.findBySlug(req.query.category);
+      if (!category) {
+        return res.status(404).json({
+          error: 'NotFound',
+          message: 'Category not found',
+        });
+      }
+    }
+
+    let tag = null;
+    if (req.query.tag) {
+      tag = await BlogTag.findBySlug(req.query.tag);
+      if (!tag) {
+        return res.status(404).json({
+          error: 'NotFound',
+          message: 'Tag not found',
+        });
+      }
+    }
+
+    const { posts, total, hasMore } = await BlogPost.findPublished(limit, offset, {
+      category: category?.slug,
+      tag: tag?.slug,
+    });
+    const categoryNames = await BlogCategory.getNameMap();
 
     // Enrich posts with image URLs
     const enrichedPosts = await Promise.all(
       posts.map(async (post) => {
-        const enriched = await enrichPostWithUrls(post);
+        const enriched = await enrichPostWithUrls(post, false, categoryNames);
         // Don't send full content in list view
         delete enriched.content;
         return enriched;
@@ -142,6 +149,8 @@ router.get('/', async (req, res) => {
     res.json({
       success: true,
       posts: enrichedPosts,
+      category: category ? serializeCategory(category) : null,
+      tag: tag ? serializeTag(tag) : null,
       total,
       hasMore,
       limit,
@@ -158,13 +167,164 @@ router.get('/', async (req, res) => {
 
 /**
  * GET /api/blog/categories
- * Get available categories
+ * Get available categories with published post counts
+ */
+router.get('/categories', async (req, res) => {
+  try {
+    const categories = await BlogCategory.findAll(true);
+
+    res.json({
+      success: true,
+      categories: categories.map(serializeCategory),
+    });
+  } catch (error) {
+    console.error('List blog categories error:', error);
+    res.status(500).json({
+      error: 'ServerError',
+      message: 'Failed to load categories',
+    });
+  }
+});
+
+/**
+ * GET /api/blog/categories/:slug
+ * Get a single category (name, description and SEO fields for its landing page)
  */
-router.get('/categories', (req, res) => {
-  res.json({
-    success: true,
-    categories: Object.entries(CATEGORIES).map(([slug, name]) => ({ slug, name })),
+router.get('/categories/:slug', async (req, res) => {
+  try {
+    const category = await BlogCategory.findBySlug(req.params.slug);
+    if (!category) {
+      return res.status(404).json({
+        error: 'NotFound',
+        message: 'Category not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      category: serializeCategory(category),
+    });
+  } catch (error) {
+    console.error('Get blog category error:', error);
+    res.status(500).json({
+      error: 'ServerError',
+      message: 'Failed to load category',
+    });
+  }
+});
+
+/**
+ * GET /api/blog/tags
+ * Get tags that have at least one published post
+ */
+router.get('/tags', async (req, res) => {
+  try {
+    const tags = await BlogTag.findAll(true);
+
+    res.json({
+      success: true,
+      tags: tags.map(serializeTag),
+    });
+  } catch (error) {
+    console.error('List blog tags error:', error);
+    res.status(500).json({
+      error: 'ServerError',
+      message: 'Failed to load tags',
+    });
+  }
+});
+
+/**
+ * GET /api/blog/search
+ * Search published posts by title, tags, SEO description and article text
+ * Query params: q (required), limit (default 10, max 50), offset (default 0)
+ */
+router.get('/search', async (req, res) => {
+  try {
+    const query = String(req.query.q || '').trim().substring(0, 200);
+    if (!query) {
+      return res.status(400).json({
+        error: 'ValidationError',
+        message: 'Search query is required',
+      });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    const { posts, total, hasMore, terms } = await BlogPost.search(query, limit, offset);
+    const categoryNames = await BlogCategory.getNameMap();
+
+    const results = await Promise.all(
+      posts.map(async (post) => {
+        const enriched = await enrichPostWithUrls(post, false, categoryNames);
+        delete enriched.content;
+        return enriched;
+      })
+    );
+
+    res.json({
+      success: true,
+      query,
+      terms,
+      posts: results,
+      total,
+      hasMore,
+      limit,
+      offset,
+    });
+  } catch (error) {
+    console.error('Search blog posts error:', error);
+    res.status(500).json({
+      error: 'ServerError',
+      message: 'Failed to search blog posts',
+    });
+  }
+});
+
+/**
+ * GET /api/blog/preview/:token
+ * Get a post through a preview link, whatever its status
+ * Returns the same payload as GET /api/blog/:slug plus preview: true
+ */
+router.get('/preview/:token', async (req, res) => {
+  // Preview content must never be cached or indexed
+  res.set({
+    'Cache-Control': 'private, no-store',
+    'X-Robots-Tag': 'noindex, nofollow',
   });
+
+  try {
+    const link = await BlogPreviewToken.findValid(req.params.token);
+    const post = link ? await BlogPost.findById(link.post_id) : null;
+    if (!post) {
+      return res.status(404).json({
+        error: 'NotFound',
+        message: 'This preview link is invalid or has expired',
+      });
+    }
+
+    await BlogPreviewToken.recordView(link.id);
+
+    const enrichedPost = await enrichPostWithUrls(post, true);
+    enrichedPost.commentCount = await Comment.countByPostId(post.id);
+
+    const tags = await BlogTag.findByPostId(post.id);
+    enrichedPost.tags = tags.map(tag => ({ slug: tag.slug, name: tag.name }));
+
+    res.json({
+      success: true,
+      post: enrichedPost,
+      preview: true,
+      previewExpiresAt: link.expires_at,
+    });
+  } catch (error) {
+    console.error('Get blog preview error:', error);
+    res.status(500).json({
+      error: 'ServerError',
+      message: 'Failed to load preview',
+    });
+  }
 });
 
 /**
@@ -190,6 +350,9 @@ router.get('/:slug', async (req, res) => {
     const commentCount = await Comment.countByPostId(post.id);
     enrichedPost.commentCount = commentCount;
 
+    const tags = await BlogTag.findByPostId(post.id);
+    enrichedPost.tags = tags.map(tag => ({ slug: tag.slug, name: tag.name }));
+
     res.json({
       success: true,
       post: enrichedPost,
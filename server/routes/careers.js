@@ -0,0 +1,308 @@
+/**
+ * Careers API Routes
+ *
+ * Public:
+ * GET    /api/careers/jobs                        - List open job postings with JSON-LD
+ * POST   /api/careers/applications                - Submit an application (optional `resume` PDF/DOCX)
+ *
+ * Admin only:
+ * GET    /api/careers/applications                - List applications (optional ?role= filter)
+ * GET    /api/careers/applications/:id            - Get single application
+ * GET    /api/careers/applications/:id/resume     - Download the résumé
+ * DELETE /api/careers/applications/:id            - Delete application and its résumé
+ */
+
+import { Router } from 'express';
+import fs from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import CareerApplication from '../models/CareerApplication.js';
+import JobPosting from '../models/JobPosting.js';
+import { isAdmin } from '../middleware/auth.js';
+import { resumeUpload, isValidResumeFile, handleUploadError, RESUME_TYPES } from '../middleware/upload.js';
+import { getStorage, getStorageByType, isDocumentNotFound } from '../services/storage.js';
+
+const router = Router();
+
+// Public careers page the job listings are rendered on
+const CAREERS_PAGE_URL = 'https://designwithlighthouse.com/pages/careers';
+
+/**
+ * Remove an uploaded temp file that will not be stored
+ */
+async function discardUpload(file) {
+  if (file && fs.existsSync(file.path)) {
+    await fs.promises.unlink(file.path);
+  }
+}
+
+/**
+ * Make an uploaded filename safe to echo back in Content-Disposition
+ * Multer hands over UTF-8 filenames decoded as latin1, so re-decode first
+ */
+function safeFilename(originalname) {
+  const decoded = Buffer.from(originalname || 'resume', 'latin1').toString('utf8');
+  const name = path.basename(decoded).replace(/["\\\r\n]/g, '').trim();
+  return name.slice(0, 200) || 'resume';
+}
+
+/**
+ * GET /api/careers/jobs
+ * List open job postings (public)
+ */
+router.get('/jobs', async (req, res) => {
+  try {
+    const jobs = await JobPosting.findOpen();
+    const employmentTypes = JobPosting.getEmploymentTypes();
+
+    res.json({
+      success: true,
+      jobs: jobs.map(job => ({
+        id: job.id,
+        title: job.title,
+        slug: job.slug,
+        location: job.location,
+        employmentType: job.employment_type,
+        employmentTypeName: employmentTypes[job.employment_type] || job.employment_type,
+        summary: job.summary,
+        content: job.content || [],
+        datePosted: job.date_posted,
+        validThrough: job.valid_through,
+        structuredData: JobPosting.toStructuredData(job, CAREERS_PAGE_URL),
+      })),
+    });
+  } catch (error) {
+    console.error('List jobs error:', error);
+    res.status(500).json({
+      error: 'ServerError',
+      message: 'Failed to load job postings',
+    });
+  }
+});
+
+/**
+ * POST /api/careers/applications
+ * Submit a job application (public)
+ */
+router.post('/applications', resumeUpload.single('resume'), handleUploadError, async (req, res) => {
+  const file = req.file || null;
+  let resume = null;
+
+  try {
+    const {
+      fullName,
+      email,
+      phone,
+      role,
+      portfolioUrl,
+      message,
+      jobAlerts,
+      honeypot,
+    } = req.body;
+
+    // Honeypot spam check - if filled, it's a bot
+    if (honeypot) {
+      // Silently accept but don't save
+      await discardUpload(file);
+      return res.json({
+        success: true,
+        message: 'Application received',
+      });
+    }
+
+    if (file) {
+      if (!(await isValidResumeFile(file))) {
+        throw new Error('Résumé must be a valid PDF or DOCX file');
+      }
+
+      const storageAdapter = getStorage();
+      const key = `resumes/${randomUUID()}${RESUME_TYPES[file.mimetype]}`;
+      resume = {
+        key: await storageAdapter.saveDocument(file.path, key, file.mimetype),
+        filename: safeFilename(file.originalname),
+        mime: file.mimetype,
+        size: file.size,
+        storageType: storageAdapter.type,
+      };
+    }
+
+    const application = await CareerApplication.create({
+      fullName,
+      email,
+      phone,
+      role,
+      portfolioUrl,
+      message,
+      jobAlerts,
+      resume,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Application received. Thank you for your interest in joining our team.',
+      applicationId: application.id,
+    });
+  } catch (error) {
+    console.error('Submit application error:', error);
+    await discardUpload(file);
+
+    // Roll back a stored résumé when the record could not be saved
+    if (resume) {
+      try {
+        await getStorageByType(resume.storageType).deleteDocument(resume.key);
+      } catch (cleanupErr) {
+        console.warn('Warning: Could not delete résumé:', cleanupErr.message);
+      }
+    }
+
+    // Handle validation errors
+    if (error.message.includes('required') ||
+        error.message.includes('must be') ||
+        error.message.includes('Too many')) {
+      return res.status(400).json({
+        error: 'ValidationError',
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      error: 'ServerError',
+      message: 'Failed to submit application',
+    });
+  }
+});
+
+/**
+ * GET /api/careers/applications
+ * List all applications with optional role filter
+ */
+router.get('/applications', isAdmin, async (req, res) => {
+  try {
+    const { role } = req.query;
+    const applications = await CareerApplication.findAll(role || null);
+
+    res.json({
+      success: true,
+      applications,
+    });
+  } catch (error) {
+    console.error('List applications error:', error);
+    res.status(500).json({
+      error: 'ServerError',
+      message: 'Failed to load applications',
+    });
+  }
+});
+
+/**
+ * GET /api/careers/applications/:id
+ * Get single application
+ */
+router.get('/applications/:id', isAdmin, async (req, res) => {
+  try {
+    const application = await CareerApplication.findById(parseInt(req.params.id));
+
+    if (!application) {
+      return res.status(404).json({
+        error: 'NotFound',
+        message: 'Application not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      application,
+    });
+  } catch (error) {
+    console.error('Get application error:', error);
+    res.status(500).json({
+      error: 'ServerError',
+      message: 'Failed to load application',
+    });
+  }
+});
+
+/**
+ * GET /api/careers/applications/:id/resume
+ * Stream the résumé through the server - storage URLs are never exposed
+ */
+router.get('/applications/:id/resume', isAdmin, async (req, res) => {
+  try {
+    const application = await CareerApplication.findById(parseInt(req.params.id));
+
+    if (!application || !application.resume_key) {
+      return res.status(404).json({
+        error: 'NotFound',
+        message: 'Résumé not found',
+      });
+    }
+
+    const contents = await getStorageByType(application.storage_type).getDocument(application.resume_key);
+    const filename = application.resume_filename || 'resume';
+    const asciiFilename = filename.replace(/[^\x20-\x7e]/g, '_');
+
+    res.set({
+      'Content-Type': application.resume_mime || 'application/octet-stream',
+      'Content-Disposition': `attachment; filename="${asciiFilename}"; filename*=UTF-8''${encodeURIComponent(filename)}`,
+      'Cache-Control': 'private, no-store',
+      'X-Content-Type-Options': 'nosniff',
+    });
+    res.send(contents);
+  } catch (error) {
+    console.error('Download résumé error:', error);
+
+    if (isDocumentNotFound(error)) {
+      return res.status(404).json({
+        error: 'NotFound',
+        message: 'Application file not found',
+      });
+    }
+
+    res.status(500).json({
+      error: 'ServerError',
+      message: 'Failed to download résumé',
+    });
+  }
+});
+
+/**
+ * DELETE /api/careers/applications/:id
+ * Delete application and its stored résumé
+ */
+router.delete('/applications/:id', isAdmin, async (req, res) => {
+  try {
+    const applicationId = parseInt(req.params.id);
+    const application = await CareerApplication.findById(applicationId);
+
+    if (application?.resume_key) {
+      try {
+        await getStorageByType(application.storage_type).deleteDocument(application.resume_key);
+      } catch (fileErr) {
+        console.warn('Warning: Could not delete résumé:', fileErr.message);
+      }
+    }
+
+    await CareerApplication.delete(applicationId);
+
+    res.json({
+      success: true,
+      message: 'Application deleted',
+    });
+  } catch (error) {
+    console.error('Delete application error:', error);
+
+    if (error.message === 'Application not found') {
+      return res.status(404).json({
+        error: 'NotFound',
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      error: 'ServerError',
+      message: 'Failed to delete application',
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,327 @@
+/**
+ * Consultation Request (Lead) API Routes
+ *
+ * Public:
+ * POST   /api/consultations            - Submit a consultation request (optional `photos` files)
+ *
+ * Admin (editor or admin):
+ * GET    /api/consultations            - List leads (optional ?status= filter)
+ * GET    /api/consultations/:id        - Get single lead with photo URLs
+ * GET    /api/consultations/:id/photos/:photoId/:size - Photo variant (sm, md, lg)
+ * PUT    /api/consultations/:id/status - Change lead status
+ * DELETE /api/consultations/:id        - Delete lead
+ */
+
+import { Router } from 'express';
+import fs from 'fs';
+import Consultation from '../models/Consultation.js';
+import { isEditor } from '../middleware/auth.js';
+import { consultationUpload, handleUploadError, MAX_CONSULTATION_PHOTOS } from '../middleware/upload.js';
+import { processConsultationPhoto, deleteConsultationPhotoFiles } from '../utils/imageProcessor.js';
+import { getStorageByType, isDocumentNotFound } from '../services/storage.js';
+
+const router = Router();
+
+// Stored variants of each photo
+const PHOTO_SIZES = ['sm', 'md', 'lg'];
+
+/**
+ * Remove uploaded temp files that will not be processed
+ */
+async function discardUploads(files) {
+  for (const file of files) {
+    if (fs.existsSync(file.path)) {
+      await fs.promises.unlink(file.path);
+    }
+  }
+}
+
+/**
+ * Admin URLs for a consultation photo row
+ * Photos are private documents, so every variant goes through the photo route
+ */
+function getPhotoUrls(photo) {
+  const urls = {
+    id: photo.id,
+    filename: photo.filename,
+    blurData: photo.blur_data,
+    createdAt: photo.created_at,
+  };
+
+  for (const size of PHOTO_SIZES) {
+    urls[`url_${size}`] = photo[`key_${size}`]
+      ? `/api/consultations/${photo.consultation_id}/photos/${photo.id}/${size}`
+      : null;
+  }
+  return urls;
+}
+
+/**
+ * POST /api/consultations
+ * Submit a new consultation request (public)
+ */
+router.post('/', consultationUpload.array('photos', MAX_CONSULTATION_PHOTOS), handleUploadError, async (req, res) => {
+  const files = req.files || [];
+
+  try {
+    const {
+      fullName,
+      email,
+      phone,
+      address,
+      projectType,
+      timeline,
+      budget,
+      description,
+      bestTime,
+      contactMethod,
+      referralSource,
+      honeypot,
+    } = req.body;
+
+    // Honeypot spam check - if filled, it's a bot
+    if (honeypot) {
+      // Silently accept but don't save
+      await discardUploads(files);
+      return res.json({
+        success: true,
+        message: 'Consultation request received',
+      });
+    }
+
+    const consultation = await Consultation.create({
+      fullName,
+      email,
+      phone,
+      address,
+      projectType,
+      timeline,
+      budget,
+      description,
+      bestTime,
+      contactMethod,
+      referralSource,
+    });
+
+    // Process attached photos (type and size checked by consultationUpload) -
+    // a failed photo never loses the lead itself
+    let photoCount = 0;
+    for (const file of files) {
+      try {
+        const processed = await processConsultationPhoto(file.path, file.originalname, consultation.id);
+        await Consultation.addPhoto(consultation.id, processed);
+        photoCount++;
+      } catch (err) {
+        console.error(`Error processing consultation photo ${file.originalname}:`, err);
+        await discardUploads([file]);
+      }
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Consultation request received. We will be in touch shortly.',
+      consultationId: consultation.id,
+      photoCount,
+    });
+  } catch (error) {
+    console.error('Submit consultation error:', error);
+    await discardUploads(files);
+
+    // Handle validation errors
+    if (error.message.includes('required') ||
+        error.message.includes('must be') ||
+        error.message.includes('Too many')) {
+      return res.status(400).json({
+        error: 'ValidationError',
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      error: 'ServerError',
+      message: 'Failed to submit consultation request',
+    });
+  }
+});
+
+/**
+ * GET /api/consultations
+ * List all leads with optional status filter
+ */
+router.get('/', isEditor, async (req, res) => {
+  try {
+    const { status } = req.query;
+    const consultations = await Consultation.findAll(status || null);
+    const counts = await Consultation.countByStatus();
+
+    res.json({
+      success: true,
+      consultations,
+      counts,
+      statuses: Consultation.getStatuses(),
+    });
+  } catch (error) {
+    console.error('List consultations error:', error);
+    res.status(500).json({
+      error: 'ServerError',
+      message: 'Failed to load consultations',
+    });
+  }
+});
+
+/**
+ * GET /api/consultations/:id
+ * Get single lead with its attached photos
+ */
+router.get('/:id', isEditor, async (req, res) => {
+  try {
+    const consultation = await Consultation.findById(parseInt(req.params.id));
+
+    if (!consultation) {
+      return res.status(404).json({
+        error: 'NotFound',
+        message: 'Consultation not found',
+      });
+    }
+
+    const photos = await Consultation.findPhotos(consultation.id);
+
+    res.json({
+      success: true,
+      consultation: {
+        ...consultation,
+        photos: photos.map(getPhotoUrls),
+      },
+    });
+  } catch (error) {
+    console.error('Get consultation error:', error);
+    res.status(500).json({
+      error: 'ServerError',
+      message: 'Failed to load consultation',
+    });
+  }
+});
+
+/**
+ * PUT /api/consultations/:id/status
+ * Change lead status (new, contacted, scheduled, won, lost)
+ */
+router.put('/:id/status', isEditor, async (req, res) => {
+  try {
+    const { status } = req.body;
+    const consultation = await Consultation.updateStatus(parseInt(req.params.id), status);
+
+    res.json({
+      success: true,
+      consultation,
+      message: `Lead marked as ${status}`,
+    });
+  } catch (error) {
+    console.error('Update consultation status error:', error);
+
+    if (error.message === 'Consultation not found') {
+      return res.status(404).json({
+        error: 'NotFound',
+        message: error.message,
+      });
+    }
+
+    if (error.message.includes('Invalid status')) {
+      return res.status(400).json({
+        error: 'ValidationError',
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      error: 'ServerError',
+      message: 'Failed to update consultation',
+    });
+  }
+});
+
+/**
+ * GET /api/consultations/:id/photos/:photoId/:size
+ * Stream a photo variant through the server - storage URLs are never exposed
+ */
+router.get('/:id/photos/:photoId/:size', isEditor, async (req, res) => {
+  try {
+    const photo = PHOTO_SIZES.includes(req.params.size)
+      ? await Consultation.findPhoto(parseInt(req.params.id), parseInt(req.params.photoId))
+      : null;
+    const key = photo?.[`key_${req.params.size}`];
+
+    if (!key) {
+      return res.status(404).json({
+        error: 'NotFound',
+        message: 'Photo not found',
+      });
+    }
+
+    const contents = await getStorageByType(photo.storage_type).getDocument(key);
+
+    res.set({
+      'Content-Type': 'image/webp',
+      'Cache-Control': 'private, max-age=3600',
+      'X-Content-Type-Options': 'nosniff',
+    });
+    res.send(contents);
+  } catch (error) {
+    console.error('Get consultation photo error:', error);
+
+    if (isDocumentNotFound(error)) {
+      return res.status(404).json({
+        error: 'NotFound',
+        message: 'Photo not found',
+      });
+    }
+
+    res.status(500).json({
+      error: 'ServerError',
+      message: 'Failed to load photo',
+    });
+  }
+});
+
+/**
+ * DELETE /api/consultations/:id
+ * Delete lead
+ */
+router.delete('/:id', isEditor, async (req, res) => {
+  try {
+    const consultationId = parseInt(req.params.id);
+
+    // Remove stored photo files before the rows cascade away
+    const photos = await Consultation.findPhotos(consultationId);
+    for (const photo of photos) {
+      try {
+        await deleteConsultationPhotoFiles(photo);
+      } catch (fileErr) {
+        console.warn('Warning: Could not delete consultation photo files:', fileErr.message);
+      }
+    }
+
+    await Consultation.delete(consultationId);
+
+    res.json({
+      success: true,
+      message: 'Consultation deleted',
+    });
+  } catch (error) {
+    console.error('Delete consultation error:', error);
+
+    if (error.message === 'Consultation not found') {
+      return res.status(404).json({
+        error: 'NotFound',
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      error: 'ServerError',
+      message: 'Failed to delete consultation',
+    });
+  }
+});
+
+export default router;
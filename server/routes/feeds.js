@@ -0,0 +1,86 @@
+/**
+ * Blog Feed Routes
+ *
+ * GET /blog/rss.xml - RSS 2.0 feed of the latest published posts
+ * GET /blog/atom.xml - Atom 1.0 feed of the latest published posts
+ * GET /blog/category/:slug/rss.xml - RSS feed for one category
+ * GET /blog/category/:slug/atom.xml - Atom feed for one category
+ *
+ * Responses carry an ETag and Last-Modified so feed readers can poll with
+ * If-None-Match / If-Modified-Since and get a 304 when nothing changed.
+ */
+
+import { Router } from 'express';
+import BlogCategory from '../models/BlogCategory.js';
+import { loadFeed, buildRssFeed, buildAtomFeed } from '../utils/feedGenerator.js';
+
+const router = Router();
+
+const FORMATS = {
+  rss: { build: buildRssFeed, contentType: 'application/rss+xml; charset=utf-8' },
+  atom: { build: buildAtomFeed, contentType: 'application/atom+xml; charset=utf-8' },
+};
+
+/**
+ * Send a feed, answering conditional requests with 304 Not Modified
+ */
+async function sendFeed(req, res, format, category = null) {
+  const feed = await loadFeed({ category });
+
+  res.set({
+    ETag: feed.etag,
+    'Last-Modified': feed.updated.toUTCString(),
+    'Cache-Control': 'public, max-age=300',
+  });
+
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+
+  const xml = await FORMATS[format].build(feed);
+  res.type(FORMATS[format].contentType);
+  res.send(xml);
+}
+
+/**
+ * GET /blog/rss.xml, /blog/atom.xml
+ * Site-wide feeds
+ */
+router.get('/:format.xml', async (req, res) => {
+  const { format } = req.params;
+  if (!FORMATS[format]) {
+    return res.status(404).send('Not found');
+  }
+
+  try {
+    await sendFeed(req, res, format);
+  } catch (error) {
+    console.error(`Error generating blog ${format} feed:`, error);
+    res.status(500).send('Error generating feed');
+  }
+});
+
+/**
+ * GET /blog/category/:slug/rss.xml, /blog/category/:slug/atom.xml
+ * Per-category feeds
+ */
+router.get('/category/:slug/:format.xml', async (req, res) => {
+  const { slug, format } = req.params;
+  if (!FORMATS[format]) {
+    return res.status(404).send('Not found');
+  }
+
+  try {
+    const category = await BlogCategory.findBySlug(slug);
+    if (!category) {
+      return res.status(404).send('Category not found');
+    }
+
+    await sendFeed(req, res, format, category);
+  } catch (error) {
+    console.error(`Error generating ${slug} ${format} feed:`, error);
+    res.status(500).send('Error generating feed');
+  }
+});
+
+export default router;
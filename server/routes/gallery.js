@@ -1,5 +1,8 @@
+import fs from 'fs';
 import { Router } from 'express';
 import GalleryItem from '../models/GalleryItem.js';
+import GalleryAlbum from '../models/GalleryAlbum.js';
+import GalleryCategory from '../models/GalleryCategory.js';
 import { isEditor } from '../middleware/auth.js';
 import upload, { getFileType, handleUploadError, GALLERY_DIR } from '../middleware/upload.js';
 import {
@@ -17,8 +20,135 @@ import { isRailwayStorageEnabled } from '../config/railway.js';
 
 const router = Router();
 
-// Valid gallery categories
-const GALLERY_CATEGORIES = ['kitchen', 'bathroom', 'outdoor', 'additions'];
+/**
+ * Validate an optional category slug against the gallery_categories table
+ * @returns {Promise<string|null>} Error message, or null when valid
+ */
+async function getCategoryError(category) {
+  if (!category || await GalleryCategory.exists(category)) {
+    return null;
+  }
+  const slugs = await GalleryCategory.getSlugs();
+  return `Invalid category. Must be one of: ${slugs.join(', ')}`;
+}
+
+// Maximum lengths for descriptive metadata fields
+const METADATA_LIMITS = {
+  title: { label: 'Title', max: 150 },
+  caption: { label: 'Caption', max: 500 },
+  altText: { label: 'Alt text', max: 250 },
+  location: { label: 'Location', max: 100 },
+};
+
+/**
+ * Build URL sets for both sides of a before/after item
+ * The "before" image lives in the primary columns, the "after" image in after_*
+ */
+async function getBeforeAfterUrls(item) {
+  if (GalleryItem.isRailwayItem(item)) {
+    const [before, after] = await Promise.all([
+      railwayStorage.getImageUrls(GalleryItem.getVariantKeys(item)),
+      railwayStorage.getImageUrls(GalleryItem.getAfterKeys(item)),
+    ]);
+    return {
+      before: { ...before, blurData: item.blur_data },
+      after: { ...after, blurData: item.after_blur_data },
+    };
+  }
+
+  // Legacy local/R2 storage - single file per side
+  return {
+    before: {
+      url_sm: item.thumbnail || item.filepath,
+      url_md: item.filepath,
+      url_lg: item.filepath,
+      blurData: null,
+    },
+    after: {
+      url_sm: item.after_thumbnail || item.after_filepath,
+      url_md: item.after_filepath,
+      url_lg: item.after_filepath,
+      blurData: null,
+    },
+  };
+}
+
+/**
+ * Shape a gallery item row for API responses
+ * Returns presigned URLs for Railway storage items
+ */
+async function serializeItem(item) {
+  const baseItem = {
+    id: item.id,
+    type: item.type,
+    filename: item.filename,
+    embedUrl: item.embed_url,
+    embedPlatform: item.embed_platform,
+    sizeClass: item.size_class,
+    displayOrder: item.display_order,
+    createdAt: item.created_at,
+    category: item.category, // Include category in response
+    title: item.title,
+    caption: item.caption,
+    altText: item.alt_text,
+    location: item.location,
+  };
+
+  // Before/after pair - return both URL sets, "after" doubles as the thumbnail
+  if (item.type === 'before-after') {
+    const { before, after } = await getBeforeAfterUrls(item);
+    return {
+      ...baseItem,
+      before,
+      after,
+      thumbnail: after.url_sm,
+      blurData: after.blurData,
+    };
+  }
+
+  // Check if this is a Railway storage item (has variant keys)
+  if (GalleryItem.isRailwayItem(item)) {
+    if (item.type === 'image') {
+      // Image with variant keys
+      const urls = await railwayStorage.getImageUrls({
+        key_sm: item.key_sm,
+        key_md: item.key_md,
+        key_lg: item.key_lg,
+      });
+      return {
+        ...baseItem,
+        url_sm: urls.url_sm,
+        url_md: urls.url_md,
+        url_lg: urls.url_lg,
+        thumbnail: urls.url_sm, // Use small variant as thumbnail
+        blurData: item.blur_data, // Base64 blur placeholder for instant loading
+      };
+    } else if (item.type === 'video') {
+      // Video with video key and optional thumbnail keys
+      const videoUrls = await railwayStorage.getVideoUrls(item.video_key, {
+        key_sm: item.thumb_key_sm,
+        key_md: item.thumb_key_md,
+        key_lg: item.thumb_key_lg,
+      });
+      return {
+        ...baseItem,
+        videoUrl: videoUrls.videoUrl,
+        thumbnail_sm: videoUrls.thumbnail_sm,
+        thumbnail_md: videoUrls.thumbnail_md,
+        thumbnail_lg: videoUrls.thumbnail_lg,
+        thumbnail: videoUrls.thumbnail_sm || videoUrls.thumbnail_md,
+        blurData: item.blur_data, // Base64 blur placeholder for instant loading
+      };
+    }
+  }
+
+  // Legacy item (local/R2 storage) or embed
+  return {
+    ...baseItem,
+    filepath: item.filepath,
+    thumbnail: item.thumbnail,
+  };
+}
 
 /**
  * GET /api/gallery
@@ -32,69 +162,14 @@ router.get('/', async (req, res) => {
 
     // Get items - optionally filtered by category
     let items;
-    if (category && GALLERY_CATEGORIES.includes(category)) {
+    if (category && await GalleryCategory.exists(category)) {
       items = await GalleryItem.findByCategory(category);
     } else {
       items = await GalleryItem.findAll();
     }
 
     // Process items and generate presigned URLs for Railway items
-    const enrichedItems = await Promise.all(items.map(async (item) => {
-      const baseItem = {
-        id: item.id,
-        type: item.type,
-        filename: item.filename,
-        embedUrl: item.embed_url,
-        embedPlatform: item.embed_platform,
-        sizeClass: item.size_class,
-        displayOrder: item.display_order,
-        createdAt: item.created_at,
-        category: item.category, // Include category in response
-      };
-
-      // Check if this is a Railway storage item (has variant keys)
-      if (GalleryItem.isRailwayItem(item)) {
-        if (item.type === 'image') {
-          // Image with variant keys
-          const urls = await railwayStorage.getImageUrls({
-            key_sm: item.key_sm,
-            key_md: item.key_md,
-            key_lg: item.key_lg,
-          });
-          return {
-            ...baseItem,
-            url_sm: urls.url_sm,
-            url_md: urls.url_md,
-            url_lg: urls.url_lg,
-            thumbnail: urls.url_sm, // Use small variant as thumbnail
-            blurData: item.blur_data, // Base64 blur placeholder for instant loading
-          };
-        } else if (item.type === 'video') {
-          // Video with video key and optional thumbnail keys
-          const videoUrls = await railwayStorage.getVideoUrls(item.video_key, {
-            key_sm: item.thumb_key_sm,
-            key_md: item.thumb_key_md,
-            key_lg: item.thumb_key_lg,
-          });
-          return {
-            ...baseItem,
-            videoUrl: videoUrls.videoUrl,
-            thumbnail_sm: videoUrls.thumbnail_sm,
-            thumbnail_md: videoUrls.thumbnail_md,
-            thumbnail_lg: videoUrls.thumbnail_lg,
-            thumbnail: videoUrls.thumbnail_sm || videoUrls.thumbnail_md,
-            blurData: item.blur_data, // Base64 blur placeholder for instant loading
-          };
-        }
-      }
-
-      // Legacy item (local/R2 storage) or embed
-      return {
-        ...baseItem,
-        filepath: item.filepath,
-        thumbnail: item.thumbnail,
-      };
-    }));
+    const enrichedItems = await Promise.all(items.map(serializeItem));
 
     res.json({
       items: enrichedItems,
@@ -134,10 +209,11 @@ router.post('/', isEditor, upload.fields([
     const useRailway = isRailwayStorageEnabled();
 
     // Validate category if provided
-    if (category && !GALLERY_CATEGORIES.includes(category)) {
+    const categoryError = await getCategoryError(category);
+    if (categoryError) {
       return res.status(400).json({
         error: 'ValidationError',
-        message: `Invalid category. Must be one of: ${GALLERY_CATEGORIES.join(', ')}`
+        message: categoryError
       });
     }
 
@@ -309,6 +385,106 @@ router.post('/', isEditor, upload.fields([
   }
 });
 
+/**
+ * POST /api/gallery/before-after
+ * Upload a before/after image pair shown as a comparison slider
+ * Expects one `before` and one `after` image file
+ */
+router.post('/before-after', isEditor, upload.fields([
+  { name: 'before', maxCount: 1 },
+  { name: 'after', maxCount: 1 }
+]), handleUploadError, async (req, res) => {
+  const beforeFile = req.files?.before?.[0];
+  const afterFile = req.files?.after?.[0];
+  const uploadedFiles = [beforeFile, afterFile].filter(Boolean);
+
+  // Remove temp uploads that were not handed to the image processor
+  const discardUploads = () => Promise.all(uploadedFiles.map(file =>
+    fs.promises.unlink(file.path).catch(() => {})
+  ));
+
+  try {
+    if (!beforeFile || !afterFile) {
+      await discardUploads();
+      return res.status(400).json({
+        error: 'ValidationError',
+        message: 'Both a before and an after image are required'
+      });
+    }
+
+    if (uploadedFiles.some(file => getFileType(file.mimetype) !== 'image')) {
+      await discardUploads();
+      return res.status(400).json({
+        error: 'ValidationError',
+        message: 'Before and after files must be images'
+      });
+    }
+
+    const sizeClass = req.body.sizeClass || 'medium';
+    const category = req.body.category || null;
+
+    // Validate category if provided
+    const categoryError = await getCategoryError(category);
+    if (categoryError) {
+      await discardUploads();
+      return res.status(400).json({
+        error: 'ValidationError',
+        message: categoryError
+      });
+    }
+
+    const useRailway = isRailwayStorageEnabled();
+    const processSide = (file) => useRailway
+      ? processImageForRailway(file.path, file.filename)
+      : processImage(file.path, file.filename);
+
+    const before = await processSide(beforeFile);
+    let after;
+    try {
+      after = await processSide(afterFile);
+    } catch (err) {
+      // Don't leave an orphaned "before" image behind
+      if (useRailway) {
+        await deleteRailwayFiles(before.keys).catch(() => {});
+      } else {
+        await deleteProcessedFiles(before.filepath, before.thumbnail).catch(() => {});
+      }
+      throw err;
+    }
+
+    const item = await GalleryItem.createBeforeAfter({
+      filename: afterFile.originalname, // Use original filename for display
+      before,
+      after,
+      sizeClass,
+      category,
+      uploadedBy: req.session.userId,
+    });
+
+    const urls = await getBeforeAfterUrls(item);
+
+    res.status(201).json({
+      success: true,
+      item: {
+        id: item.id,
+        type: item.type,
+        before: urls.before,
+        after: urls.after,
+        thumbnail: urls.after.url_sm,
+        sizeClass: item.size_class,
+        category: item.category,
+      }
+    });
+  } catch (err) {
+    console.error('Before/after upload error:', err);
+    await discardUploads();
+    res.status(500).json({
+      error: 'ServerError',
+      message: 'Failed to process before/after upload'
+    });
+  }
+});
+
 /**
  * POST /api/gallery/embed
  * Add YouTube/Vimeo embed
@@ -325,10 +501,11 @@ router.post('/embed', isEditor, async (req, res) => {
     }
 
     // Validate category if provided
-    if (category && !GALLERY_CATEGORIES.includes(category)) {
+    const categoryError = await getCategoryError(category);
+    if (categoryError) {
       return res.status(400).json({
         error: 'ValidationError',
-        message: `Invalid category. Must be one of: ${GALLERY_CATEGORIES.join(', ')}`
+        message: categoryError
       });
     }
 
@@ -375,6 +552,396 @@ router.post('/embed', isEditor, async (req, res) => {
   }
 });
 
+// ============================================================
+// Categories
+// Registered before /:id so "categories" isn't read as an item ID
+// ============================================================
+
+/**
+ * Shape a category row for API responses
+ */
+async function serializeCategory(category) {
+  const coverItem = category.cover_item_id
+    ? await GalleryItem.findById(category.cover_item_id)
+    : null;
+
+  return {
+    id: category.slug, // Slug doubles as the public identifier (matches gallery_items.category)
+    categoryId: category.id,
+    slug: category.slug,
+    name: category.name,
+    description: category.description,
+    sortOrder: category.sort_order,
+    coverItemId: category.cover_item_id,
+    cover: coverItem ? await serializeItem(coverItem) : null,
+    count: category.item_count ?? 0,
+  };
+}
+
+/**
+ * Send category error response, mapping model validation errors to 400
+ */
+function sendCategoryError(res, error, fallbackMessage) {
+  if (error.message === 'Category not found') {
+    return res.status(404).json({
+      error: 'NotFound',
+      message: error.message
+    });
+  }
+
+  if (error.message.includes('required') || error.message.includes('Invalid')) {
+    return res.status(400).json({
+      error: 'ValidationError',
+      message: error.message
+    });
+  }
+
+  res.status(500).json({
+    error: 'ServerError',
+    message: fallbackMessage
+  });
+}
+
+/**
+ * GET /api/gallery/categories
+ * Get list of categories with counts (public)
+ */
+router.get('/categories', async (req, res) => {
+  try {
+    const categories = await Promise.all((await GalleryCategory.findAll()).map(serializeCategory));
+
+    res.json({
+      categories,
+      total: categories.reduce((sum, c) => sum + c.count, 0)
+    });
+  } catch (err) {
+    console.error('Categories error:', err);
+    res.status(500).json({
+      error: 'ServerError',
+      message: 'Failed to get categories'
+    });
+  }
+});
+
+/**
+ * POST /api/gallery/categories
+ * Create category - body: { name, slug?, description?, sortOrder?, coverItemId? }
+ */
+router.post('/categories', isEditor, async (req, res) => {
+  try {
+    const category = await GalleryCategory.create(req.body);
+
+    res.status(201).json({
+      success: true,
+      category: await serializeCategory(category)
+    });
+  } catch (err) {
+    console.error('Create category error:', err);
+    sendCategoryError(res, err, 'Failed to create category');
+  }
+});
+
+/**
+ * PUT /api/gallery/categories/:id
+ * Update category (renaming the slug moves its items)
+ */
+router.put('/categories/:id', isEditor, async (req, res) => {
+  try {
+    const category = await GalleryCategory.update(parseInt(req.params.id), req.body);
+
+    res.json({
+      success: true,
+      category: await serializeCategory(category)
+    });
+  } catch (err) {
+    console.error('Update category error:', err);
+    sendCategoryError(res, err, 'Failed to update category');
+  }
+});
+
+/**
+ * DELETE /api/gallery/categories/:id
+ * Delete category (its items become uncategorized)
+ */
+router.delete('/categories/:id', isEditor, async (req, res) => {
+  try {
+    const uncategorized = await GalleryCategory.delete(parseInt(req.params.id));
+
+    res.json({
+      success: true,
+      uncategorized,
+      message: 'Category deleted successfully'
+    });
+  } catch (err) {
+    console.error('Delete category error:', err);
+    sendCategoryError(res, err, 'Failed to delete category');
+  }
+});
+
+// ============================================================
+// Albums
+// Registered before /:id so "albums" isn't read as an item ID
+// ============================================================
+
+/**
+ * Shape an album row for API responses
+ * @param {Object} album - Album row
+ * @param {Object} options - { items: serialized items to include }
+ */
+async function serializeAlbum(album, { items } = {}) {
+  const coverItem = await GalleryAlbum.findCoverItem(album);
+
+  return {
+    id: album.id,
+    title: album.title,
+    slug: album.slug,
+    description: album.description,
+    coverItemId: album.cover_item_id,
+    cover: coverItem ? await serializeItem(coverItem) : null,
+    sortOrder: album.sort_order,
+    itemCount: items ? items.length : album.item_count ?? 0,
+    items,
+    createdAt: album.created_at,
+    updatedAt: album.updated_at,
+  };
+}
+
+/**
+ * Send album error response, mapping model validation errors to 400
+ */
+function sendAlbumError(res, error, fallbackMessage) {
+  if (error.message === 'Album not found') {
+    return res.status(404).json({
+      error: 'NotFound',
+      message: error.message
+    });
+  }
+
+  if (error.message.includes('required') ||
+      error.message.includes('must') ||
+      error.message.includes('Invalid')) {
+    return res.status(400).json({
+      error: 'ValidationError',
+      message: error.message
+    });
+  }
+
+  res.status(500).json({
+    error: 'ServerError',
+    message: fallbackMessage
+  });
+}
+
+/**
+ * GET /api/gallery/albums
+ * List albums with cover and item count (public)
+ */
+router.get('/albums', async (req, res) => {
+  try {
+    const albums = await GalleryAlbum.findAll();
+
+    res.json({
+      albums: await Promise.all(albums.map(album => serializeAlbum(album))),
+      total: albums.length
+    });
+  } catch (err) {
+    console.error('List albums error:', err);
+    res.status(500).json({
+      error: 'ServerError',
+      message: 'Failed to load albums'
+    });
+  }
+});
+
+/**
+ * GET /api/gallery/albums/:slug
+ * Get album with its items in album order (public)
+ */
+router.get('/albums/:slug', async (req, res) => {
+  try {
+    const album = await GalleryAlbum.findBySlug(req.params.slug);
+
+    if (!album) {
+      return res.status(404).json({
+        error: 'NotFound',
+        message: 'Album not found'
+      });
+    }
+
+    const items = await Promise.all((await GalleryAlbum.findItems(album.id)).map(serializeItem));
+
+    res.json({
+      album: await serializeAlbum(album, { items })
+    });
+  } catch (err) {
+    console.error('Get album error:', err);
+    res.status(500).json({
+      error: 'ServerError',
+      message: 'Failed to load album'
+    });
+  }
+});
+
+/**
+ * POST /api/gallery/albums
+ * Create album - body: { title, slug?, description?, coverItemId?, itemIds? }
+ */
+router.post('/albums', isEditor, async (req, res) => {
+  try {
+    const album = await GalleryAlbum.create(req.body);
+
+    res.status(201).json({
+      success: true,
+      album: await serializeAlbum(album, {
+        items: await Promise.all((await GalleryAlbum.findItems(album.id)).map(serializeItem))
+      })
+    });
+  } catch (err) {
+    console.error('Create album error:', err);
+    sendAlbumError(res, err, 'Failed to create album');
+  }
+});
+
+/**
+ * POST /api/gallery/albums/reorder
+ * Bulk reorder albums - body: { orderedIds }
+ */
+router.post('/albums/reorder', isEditor, async (req, res) => {
+  try {
+    const { orderedIds } = req.body;
+
+    if (!Array.isArray(orderedIds) || orderedIds.length === 0) {
+      return res.status(400).json({
+        error: 'ValidationError',
+        message: 'orderedIds must be a non-empty array'
+      });
+    }
+
+    const albums = await GalleryAlbum.reorder(orderedIds);
+
+    res.json({
+      success: true,
+      albums: albums.map(album => ({
+        id: album.id,
+        sortOrder: album.sort_order
+      }))
+    });
+  } catch (err) {
+    console.error('Reorder albums error:', err);
+    res.status(500).json({
+      error: 'ServerError',
+      message: 'Failed to reorder albums'
+    });
+  }
+});
+
+/**
+ * PUT /api/gallery/albums/:id
+ * Update album details (title, slug, description, cover, sort order)
+ */
+router.put('/albums/:id', isEditor, async (req, res) => {
+  try {
+    const album = await GalleryAlbum.update(parseInt(req.params.id), req.body);
+
+    res.json({
+      success: true,
+      album: await serializeAlbum(album, {
+        items: await Promise.all((await GalleryAlbum.findItems(album.id)).map(serializeItem))
+      })
+    });
+  } catch (err) {
+    console.error('Update album error:', err);
+    sendAlbumError(res, err, 'Failed to update album');
+  }
+});
+
+/**
+ * PUT /api/gallery/albums/:id/items
+ * Assign and order album items - body: { itemIds } replaces the album's list
+ */
+router.put('/albums/:id/items', isEditor, async (req, res) => {
+  try {
+    const albumId = parseInt(req.params.id);
+    if (!await GalleryAlbum.findById(albumId)) {
+      throw new Error('Album not found');
+    }
+
+    const items = await GalleryAlbum.setItems(albumId, req.body.itemIds);
+
+    res.json({
+      success: true,
+      items: await Promise.all(items.map(serializeItem))
+    });
+  } catch (err) {
+    console.error('Set album items error:', err);
+    sendAlbumError(res, err, 'Failed to update album items');
+  }
+});
+
+/**
+ * POST /api/gallery/albums/:id/items
+ * Add items to the end of an album - body: { itemIds }
+ */
+router.post('/albums/:id/items', isEditor, async (req, res) => {
+  try {
+    const albumId = parseInt(req.params.id);
+    if (!await GalleryAlbum.findById(albumId)) {
+      throw new Error('Album not found');
+    }
+
+    const items = await GalleryAlbum.addItems(albumId, req.body.itemIds);
+
+    res.json({
+      success: true,
+      items: await Promise.all(items.map(serializeItem))
+    });
+  } catch (err) {
+    console.error('Add album items error:', err);
+    sendAlbumError(res, err, 'Failed to add album items');
+  }
+});
+
+/**
+ * DELETE /api/gallery/albums/:id/items/:itemId
+ * Remove an item from an album (the gallery item is kept)
+ */
+router.delete('/albums/:id/items/:itemId', isEditor, async (req, res) => {
+  try {
+    const albumId = parseInt(req.params.id);
+    if (!await GalleryAlbum.findById(albumId)) {
+      throw new Error('Album not found');
+    }
+
+    const items = await GalleryAlbum.removeItem(albumId, parseInt(req.params.itemId));
+
+    res.json({
+      success: true,
+      items: await Promise.all(items.map(serializeItem))
+    });
+  } catch (err) {
+    console.error('Remove album item error:', err);
+    sendAlbumError(res, err, 'Failed to remove album item');
+  }
+});
+
+/**
+ * DELETE /api/gallery/albums/:id
+ * Delete album (gallery items are kept)
+ */
+router.delete('/albums/:id', isEditor, async (req, res) => {
+  try {
+    await GalleryAlbum.delete(parseInt(req.params.id));
+
+    res.json({
+      success: true,
+      message: 'Album deleted successfully'
+    });
+  } catch (err) {
+    console.error('Delete album error:', err);
+    sendAlbumError(res, err, 'Failed to delete album');
+  }
+});
+
 /**
  * GET /api/gallery/:id
  * Get single item
@@ -400,6 +967,11 @@ router.get('/:id', async (req, res) => {
         thumbnail: item.thumbnail,
         sizeClass: item.size_class,
         displayOrder: item.display_order,
+        category: item.category,
+        title: item.title,
+        caption: item.caption,
+        altText: item.alt_text,
+        location: item.location,
         createdAt: item.created_at,
         updatedAt: item.updated_at
       }
@@ -415,12 +987,12 @@ router.get('/:id', async (req, res) => {
 
 /**
  * PUT /api/gallery/:id
- * Update item (size class, order, category)
+ * Update item (size class, order, category, title, caption, alt text, location)
  */
 router.put('/:id', isEditor, async (req, res) => {
   try {
     const itemId = parseInt(req.params.id);
-    const { sizeClass, displayOrder, category } = req.body;
+    const { sizeClass, displayOrder, category, title, caption, altText, location } = req.body;
 
     const existing = await GalleryItem.findById(itemId);
     if (!existing) {
@@ -439,14 +1011,29 @@ router.put('/:id', isEditor, async (req, res) => {
     }
 
     // Validate category
-    if (category && !GALLERY_CATEGORIES.includes(category)) {
+    const categoryError = await getCategoryError(category);
+    if (categoryError) {
       return res.status(400).json({
         error: 'ValidationError',
-        message: `Invalid category. Must be one of: ${GALLERY_CATEGORIES.join(', ')}`
+        message: categoryError
       });
     }
 
-    const item = await GalleryItem.update(itemId, { sizeClass, displayOrder, category });
+    // Validate metadata lengths
+    const metadata = { title, caption, altText, location };
+    for (const [field, { label, max }] of Object.entries(METADATA_LIMITS)) {
+      const value = metadata[field];
+      if (value !== undefined && value !== null && String(value).trim().length > max) {
+        return res.status(400).json({
+          error: 'ValidationError',
+          message: `${label} must be ${max} characters or less`
+        });
+      }
+    }
+
+    const item = await GalleryItem.update(itemId, {
+      sizeClass, displayOrder, category, title, caption, altText, location
+    });
 
     res.json({
       success: true,
@@ -458,7 +1045,11 @@ router.put('/:id', isEditor, async (req, res) => {
         thumbnail: item.thumbnail,
         sizeClass: item.size_class,
         displayOrder: item.display_order,
-        category: item.category
+        category: item.category,
+        title: item.title,
+        caption: item.caption,
+        altText: item.alt_text,
+        location: item.location
       }
     });
   } catch (err) {
@@ -489,7 +1080,16 @@ router.delete('/:id', isEditor, async (req, res) => {
     // Delete files based on storage type
     if (item.type !== 'embed') {
       try {
-        if (GalleryItem.isRailwayItem(item)) {
+        if (item.type === 'before-after') {
+          // Both sides of the pair share the item's storage type
+          if (GalleryItem.isRailwayItem(item)) {
+            await deleteRailwayFiles(GalleryItem.getVariantKeys(item));
+            await deleteRailwayFiles(GalleryItem.getAfterKeys(item));
+          } else {
+            if (item.filepath) await deleteProcessedFiles(item.filepath, item.thumbnail);
+            if (item.after_filepath) await deleteProcessedFiles(item.after_filepath, item.after_thumbnail);
+          }
+        } else if (GalleryItem.isRailwayItem(item)) {
           // Railway storage - delete variant keys
           if (item.type === 'image') {
             await deleteRailwayFiles({
@@ -565,40 +1165,6 @@ router.post('/reorder', isEditor, async (req, res) => {
   }
 });
 
-/**
- * GET /api/gallery/categories
- * Get list of categories with counts
- */
-router.get('/categories', async (req, res) => {
-  try {
-    const categories = await GalleryItem.getCategories();
-
-    // Always return all valid categories with their counts (0 if no items)
-    const categoryCounts = GALLERY_CATEGORIES.map(cat => {
-      const found = categories.find(c => c.category === cat);
-      return {
-        id: cat,
-        name: cat === 'kitchen' ? 'Kitchen Remodeling' :
-              cat === 'bathroom' ? 'Bathroom Remodeling' :
-              cat === 'outdoor' ? 'Outdoor Living' :
-              cat === 'additions' ? 'Home Additions' : cat,
-        count: found ? found.count : 0
-      };
-    });
-
-    res.json({
-      categories: categoryCounts,
-      total: categoryCounts.reduce((sum, c) => sum + c.count, 0)
-    });
-  } catch (err) {
-    console.error('Categories error:', err);
-    res.status(500).json({
-      error: 'ServerError',
-      message: 'Failed to get categories'
-    });
-  }
-});
-
 /**
  * GET /api/gallery/stats
  * Get gallery statistics
@@ -609,12 +1175,14 @@ router.get('/stats/summary', isEditor, async (req, res) => {
     const images = (await GalleryItem.findByType('image')).length;
     const videos = (await GalleryItem.findByType('video')).length;
     const embeds = (await GalleryItem.findByType('embed')).length;
+    const beforeAfter = (await GalleryItem.findByType('before-after')).length;
 
     res.json({
       total,
       images,
       videos,
-      embeds
+      embeds,
+      beforeAfter
     });
   } catch (err) {
     console.error('Stats error:', err);
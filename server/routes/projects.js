@@ -0,0 +1,294 @@
+/**
+ * Portfolio Project API Routes
+ *
+ * Public:
+ * GET    /api/projects              - List published projects (optional ?category= filter)
+ * GET    /api/projects/:slug        - Get published project with ordered media
+ *
+ * Admin (editor or admin):
+ * GET    /api/projects/manage       - List all projects (published + drafts) with media
+ * POST   /api/projects              - Create project
+ * PUT    /api/projects/:id          - Update project (optional `media` replaces ordered media)
+ * DELETE /api/projects/:id          - Delete project
+ */
+
+import { Router } from 'express';
+import Project from '../models/Project.js';
+import GalleryItem from '../models/GalleryItem.js';
+import { isEditor } from '../middleware/auth.js';
+import { railwayStorage } from '../services/storage.js';
+import { backupDatabase } from '../utils/backup.js';
+
+const router = Router();
+
+/**
+ * Map model validation errors to 400 responses
+ */
+function isValidationError(error) {
+  return error.message.includes('required') ||
+    error.message.includes('must') ||
+    error.message.includes('Invalid');
+}
+
+/**
+ * Build public URLs for a project media row (gallery item joined with label)
+ * Railway keys are presigned; local paths and R2 URLs are used as-is
+ */
+async function getMediaUrls(media) {
+  const base = {
+    id: media.media_id,
+    galleryItemId: media.id,
+    type: media.type,
+    label: media.label,
+    altText: media.alt_text,
+    blurData: media.blur_data,
+  };
+
+  if (GalleryItem.isRailwayItem(media)) {
+    if (media.type === 'video') {
+      const urls = await railwayStorage.getVideoUrls(media.video_key, {
+        key_sm: media.thumb_key_sm,
+        key_md: media.thumb_key_md,
+        key_lg: media.thumb_key_lg,
+      });
+      return {
+        ...base,
+        videoUrl: urls.videoUrl,
+        thumbnail: urls.thumbnail_md || urls.thumbnail_sm,
+      };
+    }
+
+    const urls = await railwayStorage.getImageUrls(GalleryItem.getVariantKeys(media));
+    return {
+      ...base,
+      url_sm: urls.url_sm,
+      url_md: urls.url_md,
+      url_lg: urls.url_lg,
+      thumbnail: urls.url_sm,
+    };
+  }
+
+  // Legacy item (local/R2 storage)
+  return {
+    ...base,
+    videoUrl: media.type === 'video' ? media.filepath : undefined,
+    url_sm: media.thumbnail || media.filepath,
+    url_md: media.filepath,
+    url_lg: media.filepath,
+    thumbnail: media.thumbnail || media.filepath,
+  };
+}
+
+/**
+ * Shape a project row for API responses
+ */
+async function serializeProject(project, { includeMedia = true } = {}) {
+  const categories = Project.getCategories();
+  const mediaRows = await Project.findMedia(project.id);
+  // List views only need the cover, so skip presigning the rest
+  const visibleRows = includeMedia ? mediaRows : mediaRows.slice(0, 1);
+  const media = await Promise.all(visibleRows.map(getMediaUrls));
+
+  return {
+    id: project.id,
+    title: project.title,
+    slug: project.slug,
+    town: project.town,
+    category: project.category,
+    categoryName: categories[project.category] || project.category,
+    summary: project.summary,
+    scope: project.scope,
+    duration: project.duration,
+    budgetRange: project.budget_range,
+    description: project.description,
+    highlights: project.highlights,
+    status: project.status,
+    sortOrder: project.sort_order,
+    cover: media[0] || null,
+    media: includeMedia ? media : undefined,
+    mediaCount: mediaRows.length,
+    updatedAt: project.updated_at,
+  };
+}
+
+/**
+ * GET /api/projects
+ * List published projects (public)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { category } = req.query;
+    const categories = Project.getCategories();
+    const projects = await Project.findPublished(categories[category] ? category : null);
+
+    res.json({
+      success: true,
+      projects: await Promise.all(projects.map(project => serializeProject(project, { includeMedia: false }))),
+      categories,
+    });
+  } catch (error) {
+    console.error('List projects error:', error);
+    res.status(500).json({
+      error: 'ServerError',
+      message: 'Failed to load projects',
+    });
+  }
+});
+
+/**
+ * GET /api/projects/manage
+ * List all projects including drafts
+ */
+router.get('/manage', isEditor, async (req, res) => {
+  try {
+    const projects = await Project.findAll();
+
+    res.json({
+      success: true,
+      projects: await Promise.all(projects.map(project => serializeProject(project))),
+      categories: Project.getCategories(),
+      statuses: Project.getStatuses(),
+    });
+  } catch (error) {
+    console.error('Admin list projects error:', error);
+    res.status(500).json({
+      error: 'ServerError',
+      message: 'Failed to load projects',
+    });
+  }
+});
+
+/**
+ * GET /api/projects/:slug
+ * Get published project with ordered media (public)
+ */
+router.get('/:slug', async (req, res) => {
+  try {
+    const project = await Project.findBySlug(req.params.slug);
+
+    if (!project) {
+      return res.status(404).json({
+        error: 'NotFound',
+        message: 'Project not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      project: await serializeProject(project),
+    });
+  } catch (error) {
+    console.error('Get project error:', error);
+    res.status(500).json({
+      error: 'ServerError',
+      message: 'Failed to load project',
+    });
+  }
+});
+
+/**
+ * POST /api/projects
+ * Create new project
+ */
+router.post('/', isEditor, async (req, res) => {
+  try {
+    const project = await Project.create(req.body);
+
+    // Trigger backup after create
+    backupDatabase().catch(err => console.error('Backup after create failed:', err));
+
+    res.status(201).json({
+      success: true,
+      project: await serializeProject(project),
+      message: project.status === 'published' ? 'Project published' : 'Project saved as draft',
+    });
+  } catch (error) {
+    console.error('Create project error:', error);
+
+    if (isValidationError(error)) {
+      return res.status(400).json({
+        error: 'ValidationError',
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      error: 'ServerError',
+      message: 'Failed to create project',
+    });
+  }
+});
+
+/**
+ * PUT /api/projects/:id
+ * Update project
+ */
+router.put('/:id', isEditor, async (req, res) => {
+  try {
+    const project = await Project.update(parseInt(req.params.id), req.body);
+
+    // Trigger backup after update
+    backupDatabase().catch(err => console.error('Backup after update failed:', err));
+
+    res.json({
+      success: true,
+      project: await serializeProject(project),
+      message: 'Project updated',
+    });
+  } catch (error) {
+    console.error('Update project error:', error);
+
+    if (error.message === 'Project not found') {
+      return res.status(404).json({
+        error: 'NotFound',
+        message: error.message,
+      });
+    }
+
+    if (isValidationError(error)) {
+      return res.status(400).json({
+        error: 'ValidationError',
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      error: 'ServerError',
+      message: 'Failed to update project',
+    });
+  }
+});
+
+/**
+ * DELETE /api/projects/:id
+ * Delete project (gallery items are kept)
+ */
+router.delete('/:id', isEditor, async (req, res) => {
+  try {
+    await Project.delete(parseInt(req.params.id));
+
+    // Trigger backup after delete
+    backupDatabase().catch(err => console.error('Backup after delete failed:', err));
+
+    res.json({
+      success: true,
+      message: 'Project deleted',
+    });
+  } catch (error) {
+    console.error('Delete project error:', error);
+
+    if (error.message === 'Project not found') {
+      return res.status(404).json({
+        error: 'NotFound',
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      error: 'ServerError',
+      message: 'Failed to delete project',
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,122 @@
+/**
+ * Site Search API Routes
+ *
+ * GET /api/search?q= - Search pages, services, blog posts and gallery items
+ *                      (optional type=page|service|blog|gallery, limit, offset)
+ */
+
+import { Router } from 'express';
+import GalleryItem from '../models/GalleryItem.js';
+import { searchSite, RESULT_TYPES } from '../utils/siteSearch.js';
+import { getPresignedUrl } from '../services/railwayClient.js';
+import { railwayStorage } from '../services/storage.js';
+import { isRailwayStorageEnabled } from '../config/railway.js';
+
+const router = Router();
+
+/**
+ * Turn a stored blog image key into a URL (presigned for Railway storage)
+ */
+async function getImageUrl(imageKey) {
+  if (!imageKey) return null;
+
+  if (isRailwayStorageEnabled()) {
+    try {
+      return await getPresignedUrl(imageKey);
+    } catch (error) {
+      console.error('Failed to get presigned URL for search result:', error);
+      return null;
+    }
+  }
+  return imageKey;
+}
+
+/**
+ * Small preview image for a gallery item
+ * Before/after pairs use the "after" side, like the gallery grid
+ */
+async function getGalleryThumbnail(item) {
+  try {
+    if (item.type === 'before-after') {
+      if (item.after_key_sm || item.after_key_md) {
+        const urls = await railwayStorage.getImageUrls(GalleryItem.getAfterKeys(item));
+        return urls.url_sm || urls.url_md || null;
+      }
+      return item.after_thumbnail || item.after_filepath || null;
+    }
+
+    if (GalleryItem.isRailwayItem(item)) {
+      if (item.type === 'video') {
+        const urls = await railwayStorage.getVideoUrls(null, {
+          key_sm: item.thumb_key_sm,
+          key_md: item.thumb_key_md,
+        });
+        return urls.thumbnail_sm || urls.thumbnail_md || null;
+      }
+      const urls = await railwayStorage.getImageUrls(GalleryItem.getVariantKeys(item));
+      return urls.url_sm || urls.url_md || null;
+    }
+  } catch (error) {
+    console.error('Failed to get gallery thumbnail for search result:', error);
+    return null;
+  }
+
+  return item.thumbnail || (item.type === 'image' ? item.filepath : null);
+}
+
+/**
+ * GET /api/search
+ * Ranked search across the whole site
+ * Query params: q (required), type (optional), limit (default 20, max 50), offset (default 0)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const query = String(req.query.q || '').trim().substring(0, 200);
+    if (!query) {
+      return res.status(400).json({
+        error: 'ValidationError',
+        message: 'Search query is required',
+      });
+    }
+
+    const type = req.query.type || null;
+    if (type && !RESULT_TYPES.includes(type)) {
+      return res.status(400).json({
+        error: 'ValidationError',
+        message: `Invalid type. Must be one of: ${RESULT_TYPES.join(', ')}`,
+      });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    const { results, total, hasMore, counts, terms } = await searchSite(query, { type, limit, offset });
+
+    const withImages = await Promise.all(
+      results.map(async ({ imageKey, item, ...result }) => ({
+        ...result,
+        image: item ? await getGalleryThumbnail(item) : await getImageUrl(imageKey),
+      }))
+    );
+
+    res.json({
+      success: true,
+      query,
+      terms,
+      results: withImages,
+      counts,
+      total,
+      hasMore,
+      limit,
+      offset,
+    });
+  } catch (error) {
+    console.error('Site search error:', error);
+    res.status(500).json({
+      error: 'ServerError',
+      message: 'Failed to search the site',
+    });
+  }
+});
+
+export default router;
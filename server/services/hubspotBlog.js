@@ -0,0 +1,442 @@
+/**
+ * Legacy HubSpot Blog
+ *
+ * The old blog lives on HubSpot. Its RSS feed lists the posts; the full
+ * article body is scraped from each post page because the feed usually only
+ * carries a summary. Used by the /api/hubspot-blog proxy routes and by the
+ * one-off import into blog_posts (utils/hubspotImport.js).
+ *
+ * The proxy routes read through a persistent cache (hubspot_cache table):
+ *   - fresh entries (younger than the TTL) are served without a request
+ *   - stale entries are served immediately while a background refresh runs
+ *   - if a fetch fails, the last good copy is served (last-known-good)
+ * so a slow or down HubSpot never stalls our pages once a copy exists.
+ */
+
+import fetch from 'node-fetch';
+import { parseStringPromise } from 'xml2js';
+import * as cheerio from 'cheerio';
+import HubSpotCache from '../models/HubSpotCache.js';
+
+// IMPORTANT: Set this to the real HubSpot RSS feed URL.
+// For example, if the blog is at https://blog.example.com/,
+// the RSS is often at: https://blog.example.com/rss.xml
+export const HUBSPOT_RSS_URL =
+  process.env.HUBSPOT_RSS_URL ||
+  'https://blog.raymonddesignbuilders.com/news-info/rss.xml';
+
+// Old sites whose links show up inside post bodies
+const LEGACY_BLOG_PATH = 'blog.raymonddesignbuilders.com/news-info';
+const LEGACY_SITE_HOST = 'raymonddesignbuilders.com';
+
+// Give up on HubSpot requests after this long
+const FETCH_TIMEOUT_MS = 10 * 1000;
+
+// Cache policy per entry type: ttl = fresh for, stale = served (while
+// refreshing in the background) for this long after the TTL runs out
+const CACHE_POLICIES = {
+  feed: { ttl: 15 * 60 * 1000, stale: 24 * 60 * 60 * 1000 },
+  article: { ttl: 24 * 60 * 60 * 1000, stale: 7 * 24 * 60 * 60 * 1000 },
+};
+
+// Content containers on HubSpot post pages, most specific first
+const CONTENT_SELECTORS = [
+  '#main-content',
+  '.blog-post-content',
+  '.post-body',
+  '.hs-blog-post-body',
+  '.blog-index__post-content',
+  'article .post-content',
+  '.blog-post .body',
+  'main',
+  'article',
+];
+
+/**
+ * Fetch and parse the HubSpot RSS feed
+ * @returns {Promise<Array>} Raw RSS items (xml2js, explicitArray: false)
+ */
+export async function fetchHubspotRss() {
+  const resp = await fetch(HUBSPOT_RSS_URL, { signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+
+  if (!resp.ok) {
+    throw new Error(
+      `Failed RSS fetch: ${resp.status} ${resp.statusText} for ${HUBSPOT_RSS_URL}`
+    );
+  }
+
+  const xml = await resp.text();
+  const parsed = await parseStringPromise(xml, { explicitArray: false });
+  const items = parsed?.rss?.channel?.item || [];
+  const list = Array.isArray(items) ? items : [items];
+  return list;
+}
+
+/**
+ * Text of an xml2js value (plain string or { _: text, $: attributes })
+ */
+function xmlText(value) {
+  if (value === undefined || value === null) return '';
+  return String(typeof value === 'object' ? value._ ?? '' : value).trim();
+}
+
+/**
+ * Normalize an RSS item to a consistent format
+ */
+export function normalizeItem(item) {
+  // GUID can be an object or string.
+  const id = xmlText(item.guid) || item.link || item.title || '';
+  const title = item.title || '';
+  const link = item.link || '';
+  const description = item.description || '';
+  const pubDate = item.pubDate || '';
+
+  // Some HubSpot RSS feeds include full content in content:encoded.
+  // If not present, fall back to description.
+  const contentHtml =
+    item['content:encoded'] && item['content:encoded'].trim().length > 0
+      ? item['content:encoded']
+      : description;
+
+  const categories = [].concat(item.category || []).map(xmlText).filter(Boolean);
+  const author = xmlText(item['dc:creator'] || item.author);
+
+  // Featured image: media:content / enclosure, else the first image in the summary
+  const media = [].concat(item['media:content'] || [], item.enclosure || [])
+    .find(entry => entry?.$?.url && (!entry.$.type || entry.$.type.startsWith('image/')) && entry.$.medium !== 'video');
+  let image = media?.$.url || '';
+  if (!image && description) {
+    image = cheerio.load(description)('img').first().attr('src') || '';
+  }
+
+  return {
+    id,
+    title,
+    link,
+    description,
+    pubDate,
+    contentHtml,
+    categories,
+    author,
+    image,
+  };
+}
+
+/**
+ * Is this a link to a post on the legacy HubSpot blog?
+ */
+export function isLegacyBlogLink(href) {
+  return Boolean(href && href.includes(LEGACY_BLOG_PATH) && href.split('/news-info/')[1]?.trim());
+}
+
+/**
+ * Page on the new site that replaces a link to the old main site
+ * @param {string} href - Link found in a post
+ * @returns {string|null} Page name ("consultation", "portfolio", ... "index"),
+ *   or null when the link isn't to the old main site
+ */
+export function mapLegacySiteLink(href) {
+  if (!href || !href.includes(LEGACY_SITE_HOST) || href.includes(`blog.${LEGACY_SITE_HOST}`)) {
+    return null;
+  }
+
+  // Map common old site URLs to new site pages
+  if (href.includes('/contact') || href.toLowerCase().includes('contact')) return 'consultation';
+  if (href.includes('/portfolio') || href.includes('/projects') || href.includes('/our-work')) return 'portfolio';
+  if (href.includes('/gallery')) return 'gallery';
+  if (href.includes('/about')) return 'about';
+  if (href.includes('/services')) return 'services';
+  // Default to home page for other old site links
+  return 'index';
+}
+
+/**
+ * Fetch a HubSpot post page and extract the cleaned article body
+ * Relative image and link URLs are made absolute; links are otherwise untouched.
+ * @param {string} url - Post URL
+ * @returns {Promise<string>} Article HTML (without the title)
+ * @throws {Error} When the page can't be fetched or has no recognizable content
+ */
+export async function fetchHubSpotArticle(url) {
+  const response = await fetch(url, { signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+
+  if (!response.ok) {
+    throw new Error(`Failed to fetch blog post: ${response.status}`);
+  }
+
+  const html = await response.text();
+  const $ = cheerio.load(html);
+
+  // Remove unwanted elements globally
+  $('script').remove();
+  $('style').remove();
+  $('.hs-cta-wrapper').remove();
+  $('.hs-form').remove();
+  $('img[src*="track.hubspot.com"]').remove(); // Remove tracking pixels
+  $('nav').remove(); // Remove navigation
+  $('header').remove(); // Remove header
+  $('footer').remove(); // Remove footer
+  $('.header').remove();
+  $('.footer').remove();
+  $('.navigation').remove();
+
+  // Try different common HubSpot blog content selectors in order of specificity
+  let content = '';
+  for (const selector of CONTENT_SELECTORS) {
+    const element = $(selector);
+    if (element.length > 0) {
+      content = element.html();
+      console.log(`Found content using selector: ${selector}`);
+      break;
+    }
+  }
+
+  if (content) {
+    // Load content into new cheerio instance for cleaning
+    const $content = cheerio.load(content);
+
+    // Remove the title (h1) since we display it separately from RSS feed
+    $content('h1').first().remove();
+
+    // Remove any remaining unwanted elements from content
+    $content('.sidebar').remove();
+    $content('.related-posts').remove();
+    $content('.comments').remove();
+    $content('.share-buttons').remove();
+    $content('nav').remove();
+    $content('.hhs-blog-grid-cards').remove();
+    $content('.post-page').remove();
+    $content('.blog-index').remove();
+
+    // Make image and relative link paths absolute to the HubSpot site
+    const baseUrl = new URL(url).origin;
+    $content('img').each((i, img) => {
+      const src = $content(img).attr('src');
+      if (src && src.startsWith('/') && !src.startsWith('//')) {
+        $content(img).attr('src', baseUrl + src);
+      }
+    });
+    $content('a').each((i, link) => {
+      const href = $content(link).attr('href');
+      if (href && href.startsWith('/') && !href.startsWith('//')) {
+        $content(link).attr('href', baseUrl + href);
+      }
+    });
+
+    content = $content('body').html();
+  }
+
+  if (!content || content.trim().length < 50) {
+    throw new Error('Content could not be extracted from this blog post');
+  }
+
+  return content;
+}
+
+// ============================================
+// CACHE
+// ============================================
+
+// Fetches in progress per cache key (concurrent requests share one)
+const inFlight = new Map();
+
+/**
+ * Fetch function and policy for a cache key
+ */
+function cacheSource(key) {
+  if (key === 'feed') {
+    return {
+      policy: CACHE_POLICIES.feed,
+      load: async () => (await fetchHubspotRss()).map(normalizeItem),
+    };
+  }
+  if (key.startsWith('article:')) {
+    const url = key.slice('article:'.length);
+    return { policy: CACHE_POLICIES.article, load: () => fetchHubSpotArticle(url) };
+  }
+  throw new Error(`Invalid cache key: ${key}`);
+}
+
+/**
+ * Fetch a key from HubSpot and store the result
+ * Failures are recorded on the entry (the old body is kept)
+ */
+function refreshEntry(key) {
+  if (!inFlight.has(key)) {
+    const { load } = cacheSource(key);
+    const request = (async () => {
+      try {
+        const value = await load();
+        await HubSpotCache.set(key, value);
+        return value;
+      } catch (error) {
+        await HubSpotCache.recordError(key, error.message);
+        throw error;
+      }
+    })().finally(() => inFlight.delete(key));
+    inFlight.set(key, request);
+  }
+  return inFlight.get(key);
+}
+
+/**
+ * Read a key through the cache (TTL, stale-while-revalidate, last-known-good)
+ */
+async function readThrough(key) {
+  const { policy } = cacheSource(key);
+  const entry = await HubSpotCache.get(key);
+
+  if (entry?.value !== undefined) {
+    const age = Date.now() - Date.parse(entry.fetched_at);
+    if (age < policy.ttl) {
+      return entry.value;
+    }
+    if (age < policy.ttl + policy.stale) {
+      refreshEntry(key).catch(error => console.error(`HubSpot cache refresh failed for ${key}:`, error.message));
+      return entry.value;
+    }
+  }
+
+  try {
+    return await refreshEntry(key);
+  } catch (error) {
+    if (entry?.value !== undefined) {
+      console.warn(`HubSpot fetch failed for ${key}, serving last good copy:`, error.message);
+      return entry.value;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Normalized RSS items, cached
+ * @returns {Promise<Array>} Items from normalizeItem()
+ */
+export function getHubspotFeed() {
+  return readThrough('feed');
+}
+
+/**
+ * Cleaned article HTML for a post URL, cached
+ * @param {string} url - Post URL (from the feed)
+ * @returns {Promise<string>}
+ */
+export function getHubSpotArticle(url) {
+  return readThrough(`article:${url}`);
+}
+
+/**
+ * Cache entries with their age and state
+ * @returns {Promise<Array>} { key, fetchedAt, ageSeconds, state, size, lastError, lastErrorAt, refreshing }
+ */
+export async function getCacheStatus() {
+  const rows = await HubSpotCache.findAll();
+  const now = Date.now();
+
+  return rows.map(row => {
+    const { policy } = cacheSource(row.cache_key);
+    const age = row.fetched_at ? now - Date.parse(row.fetched_at) : null;
+    let state = 'empty';
+    if (age !== null) {
+      if (age < policy.ttl) state = 'fresh';
+      else if (age < policy.ttl + policy.stale) state = 'stale';
+      else state = 'expired';
+    }
+
+    return {
+      key: row.cache_key,
+      fetchedAt: row.fetched_at,
+      ageSeconds: age === null ? null : Math.round(age / 1000),
+      state,
+      size: row.size || 0,
+      lastError: row.last_error,
+      lastErrorAt: row.last_error_at,
+      refreshing: inFlight.has(row.cache_key),
+    };
+  });
+}
+
+/**
+ * Check that a key asked for by an admin can be fetched
+ * Only the feed and articles we already know about are allowed: a post
+ * linked from the cached feed, or an article that is already cached. Anything
+ * else would let the refresh endpoint fetch arbitrary URLs from the server.
+ * @param {string} key - Cache key
+ * @throws {Error} For any other key
+ */
+async function assertKnownKey(key) {
+  if (key === 'feed') return;
+
+  if (typeof key === 'string' && key.startsWith('article:')) {
+    const url = key.slice('article:'.length);
+    const feed = (await HubSpotCache.get('feed'))?.value;
+    if (Array.isArray(feed) && feed.some(item => item.link === url)) return;
+    if (await HubSpotCache.get(key)) return;
+  }
+
+  throw new Error(`Invalid cache key: ${key}`);
+}
+
+/**
+ * Re-fetch cache entries now, regardless of age
+ * @param {string|null} key - One key, or null for the feed and every cached article
+ * @returns {Promise<Array>} { key, ok, error } per entry
+ */
+export async function refreshCache(key = null) {
+  let keys;
+  if (key) {
+    await assertKnownKey(key);
+    keys = [key];
+  } else {
+    const cachedKeys = (await HubSpotCache.findAll()).map(row => row.cache_key);
+    keys = ['feed', ...cachedKeys.filter(cachedKey => cachedKey !== 'feed')];
+  }
+
+  // One at a time - this is about not hammering HubSpot
+  const results = [];
+  for (const cacheKey of keys) {
+    try {
+      await refreshEntry(cacheKey);
+      results.push({ key: cacheKey, ok: true });
+    } catch (error) {
+      results.push({ key: cacheKey, ok: false, error: error.message });
+    }
+  }
+  return results;
+}
+
+/**
+ * Scrape full blog post content for the /api/hubspot-blog proxy
+ * Links to other legacy posts and to the old main site are pointed at the
+ * matching pages on this site. Never throws - returns a "view original" note.
+ * @param {string} url - Post URL
+ * @returns {Promise<string>} HTML
+ */
+export async function scrapeHubSpotBlogPost(url) {
+  let content;
+  try {
+    content = await getHubSpotArticle(url);
+  } catch (error) {
+    console.error('Error scraping blog post:', error);
+    const reason = error.message.includes('could not be extracted')
+      ? 'Content could not be extracted from this blog post.'
+      : 'Unable to load blog post content.';
+    return `<p>${reason} <a href="${url}" target="_blank">View original post</a></p>`;
+  }
+
+  const $content = cheerio.load(content);
+  $content('a').each((i, link) => {
+    const href = $content(link).attr('href');
+    if (isLegacyBlogLink(href)) {
+      // This is a blog post link - convert to our blog-post.html format
+      $content(link).attr('href', `./blog-post.html?id=${encodeURIComponent(href)}`);
+      return;
+    }
+    const page = mapLegacySiteLink(href);
+    if (page) {
+      $content(link).attr('href', `./${page}.html`);
+    }
+  });
+
+  return $content('body').html();
+}
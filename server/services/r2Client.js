@@ -5,7 +5,7 @@
  * Only initializes when R2 storage is enabled (STORAGE_TYPE=r2)
  */
 
-import { S3Client, PutObjectCommand, DeleteObjectCommand, HeadObjectCommand } from '@aws-sdk/client-s3';
+import { S3Client, PutObjectCommand, DeleteObjectCommand, HeadObjectCommand, GetObjectCommand } from '@aws-sdk/client-s3';
 
 // Lazy initialization - only create client when needed
 let r2Client = null;
@@ -38,18 +38,37 @@ function getR2Client() {
   return r2Client;
 }
 
+/**
+ * Get the private bucket for documents (résumés, consultation photos)
+ * R2 public access (r2.dev or a custom domain) exposes a whole bucket, so
+ * private documents can't share the public media bucket.
+ * @returns {string} Bucket name
+ */
+function getR2DocumentsBucket() {
+  const bucket = process.env.R2_DOCUMENTS_BUCKET;
+
+  if (!bucket) {
+    throw new Error('Missing required R2 environment variables: R2_DOCUMENTS_BUCKET');
+  }
+  if (bucket === process.env.R2_BUCKET) {
+    throw new Error('R2_DOCUMENTS_BUCKET must be a private bucket, separate from R2_BUCKET');
+  }
+  return bucket;
+}
+
 /**
  * Upload a file to R2
  * @param {Buffer} body - File contents
  * @param {string} key - Object key (path in bucket)
  * @param {string} contentType - MIME type
+ * @param {string} bucket - Bucket name (default R2_BUCKET)
  * @returns {Promise<string>} Public URL of uploaded file
  */
-async function uploadToR2(body, key, contentType) {
+async function uploadToR2(body, key, contentType, bucket = process.env.R2_BUCKET) {
   const client = getR2Client();
 
   const command = new PutObjectCommand({
-    Bucket: process.env.R2_BUCKET,
+    Bucket: bucket,
     Key: key,
     Body: body,
     ContentType: contentType,
@@ -66,14 +85,15 @@ async function uploadToR2(body, key, contentType) {
 /**
  * Delete a file from R2
  * @param {string} key - Object key to delete
+ * @param {string} bucket - Bucket name (default R2_BUCKET)
  * @returns {Promise<boolean>} True if deleted successfully
  */
-async function deleteFromR2(key) {
+async function deleteFromR2(key, bucket = process.env.R2_BUCKET) {
   const client = getR2Client();
 
   try {
     const command = new DeleteObjectCommand({
-      Bucket: process.env.R2_BUCKET,
+      Bucket: bucket,
       Key: key,
     });
 
@@ -107,6 +127,24 @@ async function existsInR2(key) {
   }
 }
 
+/**
+ * Download a file from R2
+ * @param {string} key - Object key
+ * @param {string} bucket - Bucket name (default R2_BUCKET)
+ * @returns {Promise<Buffer>} File contents
+ */
+async function getFromR2(key, bucket = process.env.R2_BUCKET) {
+  const client = getR2Client();
+
+  const command = new GetObjectCommand({
+    Bucket: bucket,
+    Key: key,
+  });
+
+  const response = await client.send(command);
+  return Buffer.from(await response.Body.transformToByteArray());
+}
+
 /**
  * Get the public URL for an R2 object
  * @param {string} key - Object key
@@ -133,8 +171,10 @@ export {
   uploadToR2,
   deleteFromR2,
   existsInR2,
+  getFromR2,
   getR2Url,
   getKeyFromR2Url,
+  getR2DocumentsBucket,
   PutObjectCommand,
   DeleteObjectCommand,
 };
@@ -144,6 +184,7 @@ export default {
   upload: uploadToR2,
   delete: deleteFromR2,
   exists: existsInR2,
+  get: getFromR2,
   getUrl: getR2Url,
   getKeyFromUrl: getKeyFromR2Url,
 };
@@ -124,6 +124,24 @@ export async function existsInRailway(key) {
   }
 }
 
+/**
+ * Download a file from Railway Buckets
+ * Used for private documents that are streamed through the server
+ * @param {string} key - Object key
+ * @returns {Promise<Buffer>} File contents
+ */
+export async function getFromRailway(key) {
+  const client = getRailwayClient();
+
+  const command = new GetObjectCommand({
+    Bucket: railwayConfig.bucketName,
+    Key: key,
+  });
+
+  const response = await client.send(command);
+  return Buffer.from(await response.Body.transformToByteArray());
+}
+
 /**
  * Generate a presigned URL for direct browser access
  * @param {string} key - Object key
@@ -237,6 +255,7 @@ export default {
   delete: deleteFromRailway,
   deleteMultiple: deleteMultipleFromRailway,
   exists: existsInRailway,
+  get: getFromRailway,
   getPresignedUrl,
   getPresignedUrls,
   generateImageKey,
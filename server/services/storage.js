@@ -1,9 +1,12 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { uploadToR2, deleteFromR2, existsInR2, getR2Url, getKeyFromR2Url } from './r2Client.js';
+import { uploadToR2, deleteFromR2, existsInR2, getFromR2, getR2Url, getKeyFromR2Url, getR2DocumentsBucket } from './r2Client.js';
 import { isRailwayStorageEnabled } from '../config/railway.js';
 import {
+  uploadToRailway,
+  getFromRailway,
+  deleteFromRailway,
   getPresignedUrl,
   getPresignedUrls,
   deleteMultipleFromRailway,
@@ -20,6 +23,25 @@ const __dirname = path.dirname(__filename);
 // Paths for local storage
 const GALLERY_DIR = path.join(__dirname, '../../src/assets/images/gallery');
 const UPLOADS_DIR = path.join(__dirname, '../../uploads');
+// Private documents (résumés etc.) - never served statically
+const DOCUMENTS_DIR = path.join(__dirname, '../../data/documents');
+
+// Key prefix for private documents. Railway buckets are private (presigned
+// access only); on R2 documents go to R2_DOCUMENTS_BUCKET, because public
+// access is granted per bucket and the media bucket is public.
+const DOCUMENTS_PREFIX = 'documents';
+
+/**
+ * Whether a getDocument() error means the document doesn't exist
+ * (local ENOENT, or NoSuchKey / 404 from a bucket)
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isDocumentNotFound(error) {
+  return error?.code === 'ENOENT' ||
+    error?.name === 'NoSuchKey' ||
+    error?.$metadata?.httpStatusCode === 404;
+}
 
 // Only create local directories if using local storage
 const isServerless = process.env.VERCEL === '1';
@@ -98,6 +120,60 @@ export const localStorage = {
     return filepath;
   },
 
+  /**
+   * Move a private document into the documents directory
+   * @param {string} uploadPath - Path to uploaded file
+   * @param {string} key - Relative key (e.g. resumes/<uuid>.pdf)
+   * @returns {Promise<string>} - Stored key (not web-accessible)
+   */
+  async saveDocument(uploadPath, key) {
+    const destPath = this.getDocumentPath(key);
+    await fs.promises.mkdir(path.dirname(destPath), { recursive: true });
+
+    await fs.promises.copyFile(uploadPath, destPath);
+    await fs.promises.unlink(uploadPath);
+
+    return key;
+  },
+
+  /**
+   * Read a private document
+   * @param {string} key - Stored key
+   * @returns {Promise<Buffer>}
+   */
+  async getDocument(key) {
+    return fs.promises.readFile(this.getDocumentPath(key));
+  },
+
+  /**
+   * Delete a private document
+   * @param {string} key - Stored key
+   * @returns {Promise<boolean>}
+   */
+  async deleteDocument(key) {
+    const fsPath = this.getDocumentPath(key);
+
+    if (fs.existsSync(fsPath)) {
+      await fs.promises.unlink(fsPath);
+      return true;
+    }
+
+    return false;
+  },
+
+  /**
+   * Resolve a document key to a filesystem path inside DOCUMENTS_DIR
+   * @param {string} key - Stored key
+   * @returns {string}
+   */
+  getDocumentPath(key) {
+    const fsPath = path.resolve(DOCUMENTS_DIR, key);
+    if (!fsPath.startsWith(DOCUMENTS_DIR + path.sep)) {
+      throw new Error('Invalid document key');
+    }
+    return fsPath;
+  },
+
   /**
    * Clean up temporary uploads older than specified age
    * @param {number} maxAgeMs - Max age in milliseconds
@@ -206,6 +282,42 @@ export const r2Storage = {
     return getR2Url(key);
   },
 
+  /**
+   * Upload a private document to the R2 documents bucket
+   * Documents are streamed back through the API, never linked publicly
+   * @param {string} uploadPath - Path to uploaded file
+   * @param {string} key - Relative key (e.g. resumes/<uuid>.pdf)
+   * @param {string} contentType - MIME type
+   * @returns {Promise<string>} - Object key
+   */
+  async saveDocument(uploadPath, key, contentType) {
+    const fileBuffer = await fs.promises.readFile(uploadPath);
+    const objectKey = `${DOCUMENTS_PREFIX}/${key}`;
+
+    await uploadToR2(fileBuffer, objectKey, contentType, getR2DocumentsBucket());
+    await fs.promises.unlink(uploadPath);
+
+    return objectKey;
+  },
+
+  /**
+   * Download a private document from R2
+   * @param {string} key - Object key
+   * @returns {Promise<Buffer>}
+   */
+  async getDocument(key) {
+    return await getFromR2(key, getR2DocumentsBucket());
+  },
+
+  /**
+   * Delete a private document from R2
+   * @param {string} key - Object key
+   * @returns {Promise<boolean>}
+   */
+  async deleteDocument(key) {
+    return await deleteFromR2(key, getR2DocumentsBucket());
+  },
+
   /**
    * Clean up temporary uploads (same as local - uploads are always local first)
    * @param {number} maxAgeMs - Max age in milliseconds
@@ -344,6 +456,40 @@ export const railwayStorage = {
     return deleteRailwayFiles(keys, thumbnailKeys);
   },
 
+  /**
+   * Upload a private document to Railway Buckets
+   * @param {string} uploadPath - Path to uploaded file
+   * @param {string} key - Relative key (e.g. resumes/<uuid>.pdf)
+   * @param {string} contentType - MIME type
+   * @returns {Promise<string>} - Object key
+   */
+  async saveDocument(uploadPath, key, contentType) {
+    const fileBuffer = await fs.promises.readFile(uploadPath);
+    const objectKey = await uploadToRailway(fileBuffer, `${DOCUMENTS_PREFIX}/${key}`, contentType);
+
+    await fs.promises.unlink(uploadPath);
+
+    return objectKey;
+  },
+
+  /**
+   * Download a private document from Railway Buckets
+   * @param {string} key - Object key
+   * @returns {Promise<Buffer>}
+   */
+  async getDocument(key) {
+    return await getFromRailway(key);
+  },
+
+  /**
+   * Delete a private document from Railway Buckets
+   * @param {string} key - Object key
+   * @returns {Promise<boolean>}
+   */
+  async deleteDocument(key) {
+    return await deleteFromRailway(key);
+  },
+
   /**
    * Clean up temporary uploads (same as local)
    * @param {number} maxAgeMs - Max age in milliseconds
@@ -391,6 +537,17 @@ export function getStorage() {
   return localStorage;
 }
 
+/**
+ * Get a storage adapter by its type identifier
+ * Used to read back files stored before STORAGE_TYPE changed
+ * @param {string} type - 'local', 'r2' or 'railway'
+ */
+export function getStorageByType(type) {
+  if (type === 'railway') return railwayStorage;
+  if (type === 'r2') return r2Storage;
+  return localStorage;
+}
+
 // Export the active storage (lazy - determined at first use)
 let _storage = null;
 export const storage = new Proxy({}, {
@@ -0,0 +1,127 @@
+/**
+ * Block-level diff for blog content
+ *
+ * Compares two arrays of content blocks ({ type, data }) using a longest
+ * common subsequence, so moved paragraphs and edits in the middle of an
+ * article show up as small, readable changes instead of a full rewrite.
+ */
+
+/**
+ * JSON.stringify with sorted object keys, so key order never counts as a change
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * List the data keys that differ between two blocks of the same type
+ */
+function changedKeys(before, after) {
+  const keys = new Set([...Object.keys(before?.data || {}), ...Object.keys(after?.data || {})]);
+  return [...keys].filter(key => stableStringify(before?.data?.[key]) !== stableStringify(after?.data?.[key]));
+}
+
+/**
+ * Diff two block arrays
+ * @param {Array} before - Older content blocks
+ * @param {Array} after - Newer content blocks
+ * @returns {{changes: Array, summary: {added: number, removed: number, changed: number, unchanged: number}}}
+ *   Each change is one of:
+ *   { op: 'equal', block, beforeIndex, afterIndex }
+ *   { op: 'added', block, afterIndex }
+ *   { op: 'removed', block, beforeIndex }
+ *   { op: 'changed', before, after, beforeIndex, afterIndex, fields }
+ */
+export function diffBlocks(before = [], after = []) {
+  const a = Array.isArray(before) ? before : [];
+  const b = Array.isArray(after) ? after : [];
+  const aKeys = a.map(stableStringify);
+  const bKeys = b.map(stableStringify);
+
+  // LCS lengths: lcs[i][j] = LCS of a[i..] and b[j..]
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = aKeys[i] === bKeys[j]
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  // Walk the table into equal / removed / added operations
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && aKeys[i] === bKeys[j]) {
+      ops.push({ op: 'equal', block: b[j], beforeIndex: i, afterIndex: j });
+      i++;
+      j++;
+    } else if (j < b.length && (i >= a.length || lcs[i][j + 1] >= lcs[i + 1][j])) {
+      ops.push({ op: 'added', block: b[j], afterIndex: j });
+      j++;
+    } else {
+      ops.push({ op: 'removed', block: a[i], beforeIndex: i });
+      i++;
+    }
+  }
+
+  // Pair runs of removed + added blocks of the same type into in-place edits
+  const changes = [];
+  for (let k = 0; k < ops.length; k++) {
+    if (ops[k].op === 'equal') {
+      changes.push(ops[k]);
+      continue;
+    }
+
+    const removed = [];
+    const added = [];
+    while (k < ops.length && ops[k].op !== 'equal') {
+      (ops[k].op === 'removed' ? removed : added).push(ops[k]);
+      k++;
+    }
+    k--;
+
+    while (removed.length && added.length && removed[0].block?.type === added[0].block?.type) {
+      const r = removed.shift();
+      const ad = added.shift();
+      changes.push({
+        op: 'changed',
+        before: r.block,
+        after: ad.block,
+        beforeIndex: r.beforeIndex,
+        afterIndex: ad.afterIndex,
+        fields: changedKeys(r.block, ad.block),
+      });
+    }
+    changes.push(...removed, ...added);
+  }
+
+  const summary = { added: 0, removed: 0, changed: 0, unchanged: 0 };
+  for (const change of changes) {
+    if (change.op === 'equal') summary.unchanged++;
+    else summary[change.op]++;
+  }
+
+  return { changes, summary };
+}
+
+/**
+ * Diff simple scalar fields between two records
+ * @param {Object} before - Older record
+ * @param {Object} after - Newer record
+ * @param {string[]} fields - Field names to compare
+ * @returns {Array<{field: string, before: *, after: *}>} Fields that differ
+ */
+export function diffFields(before, after, fields) {
+  return fields
+    .filter(field => (before?.[field] ?? null) !== (after?.[field] ?? null))
+    .map(field => ({ field, before: before?.[field] ?? null, after: after?.[field] ?? null }));
+}
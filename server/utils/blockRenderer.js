@@ -0,0 +1,391 @@
+/**
+ * Content Blocks - schema, validation and rendering
+ *
+ * Blog posts (and job descriptions) are stored as an array of blocks
+ * ({ type, data }). This module is the one place that knows their shape:
+ *   - validateBlocks()   rejects unknown or malformed blocks on save
+ *   - toApiBlocks()      flattens blocks for the Alpine renderer in blog-post.html
+ *   - renderBlocksHtml() sanitized HTML for feeds and server-rendered pages
+ *   - renderBlocksText() plain text for email and other text-only output
+ *
+ * Block text is plain text everywhere in the editor, so it is always escaped.
+ * Image keys are resolved to URLs up front (resolveImageUrls) so rendering
+ * stays synchronous. Wrapper classes match the block styles in blog-post.html.
+ */
+
+import { escapeHtml } from './sanitize.js';
+
+// ============================================
+// SCHEMA
+// ============================================
+
+const isText = value => typeof value === 'string';
+const isOptionalText = value => value === undefined || value === null || typeof value === 'string';
+const isOptionalUrl = value => isOptionalText(value) && (!value || isSafeUrl(value));
+const isVideoId = value => typeof value === 'string' && /^[\w-]*$/.test(value);
+
+/**
+ * Field checks per block type: field -> [check, message]
+ * Fields not listed here (e.g. the editor's previewUrl) are ignored
+ */
+const BLOCK_SCHEMAS = {
+  paragraph: {
+    text: [isText, 'must be text'],
+  },
+  heading: {
+    text: [isText, 'must be text'],
+    level: [value => [2, 3, 4].includes(Number(value)), 'must be 2, 3 or 4'],
+  },
+  image: {
+    key: [isOptionalText, 'must be a storage key'],
+    url: [isOptionalUrl, 'must be a relative path or http(s) URL'],
+    alt: [isOptionalText, 'must be text'],
+    caption: [isOptionalText, 'must be text'],
+  },
+  quote: {
+    text: [isText, 'must be text'],
+    attribution: [isOptionalText, 'must be text'],
+  },
+  'image-gallery': {
+    images: [
+      value => Array.isArray(value) && value.every(image =>
+        image && typeof image === 'object' &&
+        (isText(image.key) || (isText(image.url) && isSafeUrl(image.url))) &&
+        isOptionalText(image.alt) && isOptionalText(image.caption)
+      ),
+      'must be a list of images with a key or URL',
+    ],
+  },
+  cta: {
+    text: [isText, 'must be text'],
+    url: [isOptionalUrl, 'must be a relative path or http(s) URL'],
+  },
+  video: {
+    platform: [value => ['youtube', 'vimeo'].includes(value), 'must be youtube or vimeo'],
+    videoId: [isVideoId, 'must be a YouTube or Vimeo video ID'],
+  },
+  list: {
+    style: [value => value === undefined || ['ordered', 'unordered'].includes(value), 'must be ordered or unordered'],
+    items: [value => Array.isArray(value) && value.every(isText), 'must be a list of text items'],
+  },
+  divider: {},
+};
+
+export const BLOCK_TYPES = Object.keys(BLOCK_SCHEMAS);
+
+/**
+ * Validate content blocks against the block schema
+ * @param {Array} blocks - Content blocks ({ type, data })
+ * @param {Object} options
+ * @param {string[]} options.types - Allowed block types (default: all)
+ * @param {string} options.label - Name used in error messages
+ * @throws {Error} "Invalid content: ..." describing the first bad block
+ */
+export function validateBlocks(blocks, { types = BLOCK_TYPES, label = 'content' } = {}) {
+  if (!Array.isArray(blocks)) {
+    throw new Error(`Invalid ${label}: must be an array of blocks`);
+  }
+
+  blocks.forEach((block, index) => {
+    const position = `block ${index + 1}`;
+    if (!block || typeof block !== 'object' || typeof block.type !== 'string') {
+      throw new Error(`Invalid ${label}: ${position} must be an object with a type`);
+    }
+    if (!types.includes(block.type)) {
+      throw new Error(`Invalid ${label}: ${position} has unknown type "${block.type}" (must be one of: ${types.join(', ')})`);
+    }
+    if (block.data !== undefined && (block.data === null || typeof block.data !== 'object' || Array.isArray(block.data))) {
+      throw new Error(`Invalid ${label}: ${position} (${block.type}) data must be an object`);
+    }
+
+    const data = block.data || {};
+    for (const [field, [check, message]] of Object.entries(BLOCK_SCHEMAS[block.type])) {
+      if (!check(data[field])) {
+        throw new Error(`Invalid ${label}: ${position} (${block.type}) ${field} ${message}`);
+      }
+    }
+  });
+}
+
+// ============================================
+// URLS
+// ============================================
+
+/**
+ * Only http(s), root-relative and anchor URLs are rendered as links or images
+ */
+function isSafeUrl(url) {
+  return /^(https?:\/\/|\/|#)/i.test(String(url).trim());
+}
+
+/**
+ * Safe href/src value ("#" for anything else, e.g. javascript: URLs)
+ */
+function safeUrl(url) {
+  const value = String(url ?? '').trim();
+  return isSafeUrl(value) ? value : '#';
+}
+
+/**
+ * Prefix root-relative URLs with the site origin (feeds are read off-site)
+ */
+function withBase(url, baseUrl) {
+  return baseUrl && /^\/(?!\/)/.test(url) ? baseUrl + url : url;
+}
+
+/**
+ * Embed URL for a video block, or null when it has no usable video
+ */
+function getVideoEmbedUrl(data) {
+  if (!data.videoId || !isVideoId(data.videoId)) return null;
+  if (data.platform === 'youtube') return `https://www.youtube.com/embed/${data.videoId}`;
+  if (data.platform === 'vimeo') return `https://player.vimeo.com/video/${data.videoId}`;
+  return null;
+}
+
+/**
+ * Watch URL for a video block (for text output)
+ */
+function getVideoWatchUrl(data) {
+  if (!data.videoId || !isVideoId(data.videoId)) return null;
+  if (data.platform === 'youtube') return `https://www.youtube.com/watch?v=${data.videoId}`;
+  if (data.platform === 'vimeo') return `https://vimeo.com/${data.videoId}`;
+  return null;
+}
+
+/**
+ * Resolve every image key in the blocks to a URL
+ * @param {Array} blocks - Content blocks
+ * @param {Function} resolve - async (key) => URL (e.g. presigned URL)
+ * @returns {Promise<Object>} key -> URL map for the render functions
+ */
+export async function resolveImageUrls(blocks, resolve) {
+  const keys = new Set();
+  for (const block of Array.isArray(blocks) ? blocks : []) {
+    if (block?.type === 'image' && block.data?.key) keys.add(block.data.key);
+    if (block?.type === 'image-gallery') {
+      for (const image of block.data?.images || []) {
+        if (image?.key) keys.add(image.key);
+      }
+    }
+  }
+
+  const urls = {};
+  await Promise.all([...keys].map(async key => {
+    urls[key] = await resolve(key);
+  }));
+  return urls;
+}
+
+/**
+ * URL for an image block or gallery image
+ * Keys missing from the map are used as-is (local storage keys are paths)
+ */
+function imageSource(image, imageUrls) {
+  if (image.key) return image.key in imageUrls ? imageUrls[image.key] : image.key;
+  return image.url || null;
+}
+
+// ============================================
+// RENDERING
+// ============================================
+
+/**
+ * Flatten blocks for the browser renderer
+ * { type: 'paragraph', data: { text } } -> { type: 'paragraph', text }, plus:
+ * image keys -> url, video -> video-embed with embedUrl, list style -> ordered,
+ * unsafe CTA links -> "#"
+ * @param {Array} blocks - Content blocks
+ * @param {Object} options
+ * @param {Object} options.imageUrls - key -> URL map from resolveImageUrls()
+ * @returns {Array} Flattened blocks
+ */
+export function toApiBlocks(blocks, { imageUrls = {} } = {}) {
+  if (!Array.isArray(blocks)) return [];
+
+  return blocks.map(block => {
+    if (!block || !block.data) return block;
+    const flattened = { type: block.type, ...block.data };
+
+    switch (block.type) {
+      case 'heading':
+        flattened.level = Number(flattened.level) || 2;
+        break;
+      case 'image':
+        if (flattened.key) flattened.url = imageSource(flattened, imageUrls);
+        break;
+      case 'image-gallery':
+        flattened.images = (flattened.images || []).map(image => ({
+          ...image,
+          url: imageSource(image, imageUrls),
+        }));
+        break;
+      case 'video': {
+        // Frontend expects 'video-embed'
+        const embedUrl = getVideoEmbedUrl(flattened);
+        if (embedUrl) {
+          flattened.type = 'video-embed';
+          flattened.embedUrl = embedUrl;
+        }
+        break;
+      }
+      case 'list':
+        flattened.ordered = flattened.style === 'ordered';
+        break;
+      case 'cta':
+        // Rendered as a link by Alpine - never pass through javascript: URLs
+        flattened.url = safeUrl(flattened.url);
+        break;
+    }
+    return flattened;
+  });
+}
+
+/**
+ * Render content blocks to sanitized HTML
+ * @param {Array} blocks - Content blocks ({ type, data })
+ * @param {Object} options
+ * @param {Object} options.imageUrls - key -> URL map from resolveImageUrls()
+ * @param {string} options.baseUrl - Origin for root-relative links and images (optional)
+ * @returns {string} HTML
+ */
+export function renderBlocksHtml(blocks, { imageUrls = {}, baseUrl = '' } = {}) {
+  if (!Array.isArray(blocks)) return '';
+
+  const src = url => escapeHtml(withBase(safeUrl(url), baseUrl));
+  const html = [];
+
+  for (const block of blocks) {
+    const data = block?.data || {};
+    switch (block?.type) {
+      case 'paragraph':
+        if (data.text) html.push(`<p>${escapeHtml(data.text)}</p>`);
+        break;
+
+      case 'heading': {
+        const level = [2, 3, 4].includes(Number(data.level)) ? Number(data.level) : 2;
+        if (data.text) html.push(`<h${level}>${escapeHtml(data.text)}</h${level}>`);
+        break;
+      }
+
+      case 'list': {
+        const tag = data.style === 'ordered' ? 'ol' : 'ul';
+        const items = (data.items || []).filter(Boolean).map(item => `<li>${escapeHtml(item)}</li>`).join('');
+        if (items) html.push(`<${tag}>${items}</${tag}>`);
+        break;
+      }
+
+      case 'quote': {
+        if (!data.text) break;
+        const cite = data.attribution ? `<figcaption><cite>— ${escapeHtml(data.attribution)}</cite></figcaption>` : '';
+        html.push(`<figure class="block-quote"><blockquote>${escapeHtml(data.text)}</blockquote>${cite}</figure>`);
+        break;
+      }
+
+      case 'image': {
+        const url = imageSource(data, imageUrls);
+        if (!url) break;
+        const caption = data.caption ? `<figcaption>${escapeHtml(data.caption)}</figcaption>` : '';
+        html.push(`<figure class="block-image"><img src="${src(url)}" alt="${escapeHtml(data.alt)}">${caption}</figure>`);
+        break;
+      }
+
+      case 'image-gallery': {
+        const images = (data.images || [])
+          .map(image => ({ url: imageSource(image, imageUrls), alt: image.alt }))
+          .filter(image => image.url)
+          .map(image => `<img src="${src(image.url)}" alt="${escapeHtml(image.alt)}">`);
+        if (images.length > 0) {
+          html.push(`<div class="block-gallery ${images.length === 2 ? 'cols-2' : 'cols-3'}">${images.join('')}</div>`);
+        }
+        break;
+      }
+
+      case 'video': {
+        const embedUrl = getVideoEmbedUrl(data);
+        if (embedUrl) {
+          html.push(`<div class="block-video"><iframe src="${embedUrl}" width="640" height="360" frameborder="0" allowfullscreen></iframe></div>`);
+        }
+        break;
+      }
+
+      case 'cta':
+        if (data.text) {
+          html.push(`<div class="block-cta"><a href="${src(data.url)}">${escapeHtml(data.text)}</a></div>`);
+        }
+        break;
+
+      case 'divider':
+        html.push('<hr>');
+        break;
+    }
+  }
+
+  return html.join('\n');
+}
+
+/**
+ * Render content blocks to plain text (blocks separated by blank lines)
+ * @param {Array} blocks - Content blocks ({ type, data })
+ * @param {Object} options
+ * @param {string} options.baseUrl - Origin for root-relative CTA links (optional)
+ * @returns {string} Text
+ */
+export function renderBlocksText(blocks, { baseUrl = '' } = {}) {
+  if (!Array.isArray(blocks)) return '';
+
+  const parts = [];
+  for (const block of blocks) {
+    const data = block?.data || {};
+    switch (block?.type) {
+      case 'paragraph':
+      case 'heading':
+        if (data.text) parts.push(data.text.trim());
+        break;
+
+      case 'list': {
+        const items = (data.items || []).filter(Boolean);
+        const ordered = data.style === 'ordered';
+        if (items.length > 0) {
+          parts.push(items.map((item, i) => `${ordered ? `${i + 1}.` : '-'} ${item.trim()}`).join('\n'));
+        }
+        break;
+      }
+
+      case 'quote':
+        if (data.text) {
+          parts.push(`"${data.text.trim()}"${data.attribution ? `\n— ${data.attribution.trim()}` : ''}`);
+        }
+        break;
+
+      case 'image':
+        if (data.caption || data.alt) parts.push(`[Image: ${(data.caption || data.alt).trim()}]`);
+        break;
+
+      case 'image-gallery': {
+        const captions = (data.images || []).map(image => image.caption || image.alt).filter(Boolean);
+        if (captions.length > 0) parts.push(captions.map(caption => `[Image: ${caption.trim()}]`).join('\n'));
+        break;
+      }
+
+      case 'video': {
+        const watchUrl = getVideoWatchUrl(data);
+        if (watchUrl) parts.push(`Video: ${watchUrl}`);
+        break;
+      }
+
+      case 'cta':
+        if (data.text) {
+          const url = data.url && isSafeUrl(data.url) ? withBase(data.url.trim(), baseUrl) : '';
+          parts.push(url ? `${data.text.trim()}: ${url}` : data.text.trim());
+        }
+        break;
+
+      case 'divider':
+        parts.push('---');
+        break;
+    }
+  }
+
+  return parts.join('\n\n');
+}
@@ -0,0 +1,58 @@
+/**
+ * Blog Publishing Scheduler
+ *
+ * Promotes scheduled blog posts once their published_at time has passed.
+ * All state lives in the database, so posts that came due while the server
+ * was down are published on the first check after startup.
+ */
+
+import BlogPost from '../models/BlogPost.js';
+import { backupDatabase } from './backup.js';
+
+// How often to look for due posts
+const CHECK_INTERVAL_MS = parseInt(process.env.BLOG_SCHEDULER_INTERVAL_MS) || 60 * 1000;
+
+let timer = null;
+
+/**
+ * Publish every scheduled post that is due
+ * @returns {Promise<Array>} Posts that went live
+ */
+export async function publishDuePosts() {
+  const published = await BlogPost.publishDue();
+
+  if (published.length > 0) {
+    for (const post of published) {
+      console.log(`📅 Published scheduled post "${post.title}" (${post.slug})`);
+    }
+    backupDatabase().catch(err => console.error('Backup after scheduled publish failed:', err));
+  }
+
+  return published;
+}
+
+/**
+ * Start the scheduler (checks immediately, then on an interval)
+ */
+export function startBlogScheduler() {
+  if (timer) return;
+
+  const check = () => {
+    publishDuePosts().catch(err => console.error('Blog scheduler error:', err));
+  };
+
+  check();
+  timer = setInterval(check, CHECK_INTERVAL_MS);
+  // Don't keep the process alive just for the scheduler
+  timer.unref();
+}
+
+/**
+ * Stop the scheduler
+ */
+export function stopBlogScheduler() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
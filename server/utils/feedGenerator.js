@@ -0,0 +1,259 @@
+/**
+ * Blog Feed Generator
+ *
+ * Builds RSS 2.0 and Atom 1.0 feeds of published blog posts, site-wide or for
+ * one category. Each entry carries the full post HTML (rendered from content
+ * blocks) and the featured image as an enclosure.
+ *
+ * Feed state (post IDs and update times) is hashed into a validator before any
+ * rendering happens, so conditional requests can be answered with a 304
+ * without presigning image URLs or rendering content.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createHash } from 'crypto';
+import { fileURLToPath } from 'url';
+import BlogPost from '../models/BlogPost.js';
+import BlogCategory from '../models/BlogCategory.js';
+import { renderBlocksHtml, resolveImageUrls } from './blockRenderer.js';
+import { getPresignedUrl } from '../services/railwayClient.js';
+import { isRailwayStorageEnabled } from '../config/railway.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const ROOT_DIR = path.join(__dirname, '..', '..');
+
+const SITE_URL = 'https://designwithlighthouse.com';
+const SITE_TITLE = 'Lighthouse Design Build Blog';
+const SITE_DESCRIPTION = 'Remodeling tips, renovation insights, and design inspiration for Fairfield County, CT homeowners.';
+
+// Number of most recent posts in each feed
+const FEED_SIZE = 20;
+
+const IMAGE_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+};
+
+/**
+ * Escape text for XML element content and attributes
+ */
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Wrap HTML in a CDATA section (splitting any "]]>" inside it)
+ */
+function cdata(html) {
+  return `<![CDATA[${String(html ?? '').replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+}
+
+/**
+ * Parse a stored timestamp (SQLite "YYYY-MM-DD HH:MM:SS" is UTC) into a Date
+ */
+function parseTimestamp(value) {
+  if (!value) return null;
+  const text = String(value);
+  const date = new Date(/[zZ]|[+-]\d\d:?\d\d$/.test(text) ? text : `${text.replace(' ', 'T')}Z`);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Last time a post changed as far as readers are concerned
+ */
+function postUpdatedAt(post) {
+  const published = parseTimestamp(post.published_at);
+  const updated = parseTimestamp(post.updated_at);
+  if (published && updated) return updated > published ? updated : published;
+  return updated || published || new Date(0);
+}
+
+/**
+ * Absolute URL for a stored image key (presigned for Railway storage)
+ */
+async function resolveImageUrl(imageKey) {
+  if (!imageKey) return null;
+
+  let url = imageKey;
+  if (isRailwayStorageEnabled()) {
+    try {
+      url = await getPresignedUrl(imageKey);
+    } catch (error) {
+      console.error('Failed to get presigned URL for feed image:', error);
+      return null;
+    }
+  }
+  return url.startsWith('/') ? SITE_URL + url : url;
+}
+
+/**
+ * Enclosure details for a post's featured image
+ * Length is the file size when stored locally; 0 (unknown) for bucket storage
+ */
+async function getEnclosure(post) {
+  const url = await resolveImageUrl(post.featured_image_key);
+  if (!url) return null;
+
+  const ext = path.extname(post.featured_image_key).toLowerCase();
+  let length = 0;
+  if (post.featured_image_key.startsWith('/')) {
+    try {
+      length = fs.statSync(path.join(ROOT_DIR, post.featured_image_key)).size;
+    } catch {
+      // Missing local file - leave the length unknown
+    }
+  }
+
+  return { url, type: IMAGE_TYPES[ext] || 'image/jpeg', length };
+}
+
+/**
+ * Public URL for a post
+ */
+function postUrl(post) {
+  return `${SITE_URL}/blog/${encodeURIComponent(post.slug)}`;
+}
+
+/**
+ * Load the posts for a feed and compute its validators
+ * @param {Object} options
+ * @param {Object|null} options.category - Category row to limit the feed to
+ * @returns {Promise<{posts: Array, category: Object|null, updated: Date, etag: string}>}
+ */
+export async function loadFeed({ category = null } = {}) {
+  const { posts } = await BlogPost.findPublished(FEED_SIZE, 0, { category: category?.slug || null });
+  const categoryNames = await BlogCategory.getNameMap();
+  for (const post of posts) {
+    post.categoryName = categoryNames[post.category] || post.category;
+  }
+
+  const updated = posts.reduce((latest, post) => {
+    const postDate = postUpdatedAt(post);
+    return postDate > latest ? postDate : latest;
+  }, category ? parseTimestamp(category.updated_at) || new Date(0) : new Date(0));
+
+  const hash = createHash('sha1')
+    .update(JSON.stringify([
+      category ? [category.slug, category.name, category.description] : null,
+      posts.map(post => [post.id, post.updated_at, post.published_at, post.categoryName]),
+    ]))
+    .digest('base64url')
+    .substring(0, 20);
+
+  return { posts, category, updated, etag: `W/"${hash}"` };
+}
+
+/**
+ * Title, description and links shared by both formats
+ */
+function describeFeed(feed, format) {
+  const { category } = feed;
+  const feedPath = category
+    ? `/blog/category/${encodeURIComponent(category.slug)}/${format}.xml`
+    : `/blog/${format}.xml`;
+
+  return {
+    title: category ? `${category.name} | ${SITE_TITLE}` : SITE_TITLE,
+    description: category?.description || category?.meta_description || SITE_DESCRIPTION,
+    link: category
+      ? `${SITE_URL}/pages/blog?category=${encodeURIComponent(category.slug)}`
+      : `${SITE_URL}/pages/blog`,
+    self: SITE_URL + feedPath,
+  };
+}
+
+/**
+ * Render a post's content blocks to absolute-URL HTML
+ */
+async function renderPostHtml(post) {
+  const imageUrls = await resolveImageUrls(post.content, resolveImageUrl);
+  return renderBlocksHtml(post.content, { imageUrls, baseUrl: SITE_URL });
+}
+
+/**
+ * Build an RSS 2.0 feed
+ * @param {Object} feed - Result of loadFeed()
+ * @returns {Promise<string>} XML
+ */
+export async function buildRssFeed(feed) {
+  const meta = describeFeed(feed, 'rss');
+
+  const items = [];
+  for (const post of feed.posts) {
+    const enclosure = await getEnclosure(post);
+    const html = await renderPostHtml(post);
+    const published = parseTimestamp(post.published_at) || postUpdatedAt(post);
+    items.push(`    <item>
+      <title>${escapeXml(post.title)}</title>
+      <link>${escapeXml(postUrl(post))}</link>
+      <guid isPermaLink="true">${escapeXml(postUrl(post))}</guid>
+      <pubDate>${published.toUTCString()}</pubDate>
+${post.author_name ? `      <dc:creator>${escapeXml(post.author_name)}</dc:creator>\n` : ''}${post.categoryName ? `      <category>${escapeXml(post.categoryName)}</category>\n` : ''}      <description>${escapeXml(post.meta_description || post.excerpt || '')}</description>
+      <content:encoded>${cdata(html)}</content:encoded>
+${enclosure ? `      <enclosure url="${escapeXml(enclosure.url)}" length="${enclosure.length}" type="${enclosure.type}"/>\n` : ''}    </item>`);
+  }
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>${escapeXml(meta.title)}</title>
+    <link>${escapeXml(meta.link)}</link>
+    <description>${escapeXml(meta.description)}</description>
+    <language>en-us</language>
+    <lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>
+    <atom:link href="${escapeXml(meta.self)}" rel="self" type="application/rss+xml"/>
+${items.join('\n')}
+  </channel>
+</rss>
+`;
+}
+
+/**
+ * Build an Atom 1.0 feed
+ * @param {Object} feed - Result of loadFeed()
+ * @returns {Promise<string>} XML
+ */
+export async function buildAtomFeed(feed) {
+  const meta = describeFeed(feed, 'atom');
+
+  const entries = [];
+  for (const post of feed.posts) {
+    const enclosure = await getEnclosure(post);
+    const html = await renderPostHtml(post);
+    const published = parseTimestamp(post.published_at) || postUpdatedAt(post);
+    entries.push(`  <entry>
+    <title>${escapeXml(post.title)}</title>
+    <link rel="alternate" type="text/html" href="${escapeXml(postUrl(post))}"/>
+    <id>${escapeXml(postUrl(post))}</id>
+    <published>${published.toISOString()}</published>
+    <updated>${postUpdatedAt(post).toISOString()}</updated>
+    <author><name>${escapeXml(post.author_name || 'Lighthouse Design Build')}</name></author>
+${post.categoryName ? `    <category term="${escapeXml(post.category)}" label="${escapeXml(post.categoryName)}"/>\n` : ''}    <summary>${escapeXml(post.meta_description || post.excerpt || '')}</summary>
+    <content type="html">${escapeXml(html)}</content>
+${enclosure ? `    <link rel="enclosure" href="${escapeXml(enclosure.url)}" type="${enclosure.type}"${enclosure.length ? ` length="${enclosure.length}"` : ''}/>\n` : ''}  </entry>`);
+  }
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="en-us">
+  <title>${escapeXml(meta.title)}</title>
+  <subtitle>${escapeXml(meta.description)}</subtitle>
+  <link rel="alternate" type="text/html" href="${escapeXml(meta.link)}"/>
+  <link rel="self" type="application/atom+xml" href="${escapeXml(meta.self)}"/>
+  <id>${escapeXml(meta.self)}</id>
+  <updated>${feed.updated.toISOString()}</updated>
+${entries.join('\n')}
+</feed>
+`;
+}
@@ -0,0 +1,221 @@
+/**
+ * HTML -> Content Blocks
+ *
+ * Converts cleaned article HTML (e.g. a scraped HubSpot post) into the block
+ * format the blog editor saves (see blockRenderer.js). Block text is plain
+ * text, so inline markup is flattened; a paragraph that is nothing but a link
+ * becomes a CTA block so the link survives. Images keep their remote URL -
+ * callers that want local copies download them afterwards.
+ */
+
+import * as cheerio from 'cheerio';
+import { getYoutubeId } from './imageProcessor.js';
+
+const HEADING_LEVELS = { h1: 2, h2: 2, h3: 3, h4: 4, h5: 4, h6: 4 };
+
+// Elements that start a new block (anything else is inline text)
+const BLOCK_TAGS = new Set([
+  'p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'ul', 'ol', 'blockquote', 'figure',
+  'hr', 'table', 'pre', 'div', 'section', 'article', 'aside', 'main', 'header',
+  'footer', 'center', 'dl',
+]);
+const BLOCK_SELECTOR = [...BLOCK_TAGS].join(', ');
+
+/**
+ * Collapse whitespace (including &nbsp;) and drop zero-width characters
+ */
+function cleanText(text) {
+  return String(text || '')
+    .replace(/[\u200B-\u200D\uFEFF]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Absolute http(s) URL for an image or link, or null
+ */
+function absoluteUrl(value) {
+  const url = String(value || '').trim();
+  if (url.startsWith('//')) return `https:${url}`;
+  return /^https?:\/\//i.test(url) ? url : null;
+}
+
+/**
+ * Video block for a YouTube / Vimeo embed URL, or null
+ */
+function videoBlock(src) {
+  const url = String(src || '');
+  const youtubeId = getYoutubeId(url);
+  if (youtubeId) return { type: 'video', data: { platform: 'youtube', videoId: youtubeId } };
+
+  const vimeo = url.match(/vimeo\.com\/(?:video\/)?(\d+)/);
+  if (vimeo) return { type: 'video', data: { platform: 'vimeo', videoId: vimeo[1] } };
+  return null;
+}
+
+/**
+ * Convert article HTML to content blocks
+ * @param {string} html - Article body HTML
+ * @param {Object} options
+ * @param {Function} options.resolveLink - (href) => URL for a CTA block, or null
+ *   to keep the link as plain text (default: absolute http(s) links only)
+ * @returns {Array} Content blocks ({ type, data })
+ */
+export function htmlToBlocks(html, { resolveLink = absoluteUrl } = {}) {
+  const $ = cheerio.load(html || '');
+  const blocks = [];
+  let pending = [];
+
+  // Turn collected inline text into a paragraph
+  const flush = () => {
+    const text = cleanText(pending.join(''));
+    if (text) blocks.push({ type: 'paragraph', data: { text } });
+    pending = [];
+  };
+
+  const pushImage = (img, caption = '') => {
+    const $img = $(img);
+    const url = absoluteUrl($img.attr('src') || $img.attr('data-src'));
+    // Skip tracking pixels and inline data: images
+    if (!url || $img.attr('width') === '1' || $img.attr('height') === '1') return;
+    blocks.push({
+      type: 'image',
+      data: {
+        url,
+        alt: cleanText($img.attr('alt')),
+        caption: cleanText(caption),
+      },
+    });
+  };
+
+  const pushIframe = iframe => {
+    const block = videoBlock($(iframe).attr('src') || $(iframe).attr('data-src'));
+    if (block) blocks.push(block);
+  };
+
+  // A paragraph that is a single link -> { url } for a CTA block, else null
+  const soleLink = $node => {
+    const links = $node.find('a[href]');
+    if (links.length !== 1 || $node.find('img, iframe').length > 0) return null;
+    const text = cleanText($node.text());
+    if (!text || cleanText(links.first().text()) !== text) return null;
+    const url = resolveLink(links.first().attr('href'));
+    return url ? { text, url } : null;
+  };
+
+  const walk = nodes => {
+    for (const node of nodes) {
+      if (node.type === 'text') {
+        pending.push(node.data);
+        continue;
+      }
+      if (node.type !== 'tag') continue;
+
+      const tag = node.name;
+      const $node = $(node);
+
+      if (!BLOCK_TAGS.has(tag) && $node.find(BLOCK_SELECTOR).length === 0) {
+        // Inline element
+        if (tag === 'img') {
+          flush();
+          pushImage(node);
+        } else if (tag === 'iframe') {
+          flush();
+          pushIframe(node);
+        } else if (tag === 'br') {
+          pending.push(' ');
+        } else if ($node.find('img, iframe').length > 0) {
+          walk(node.children);
+        } else {
+          pending.push($node.text());
+        }
+        continue;
+      }
+
+      flush();
+
+      if (HEADING_LEVELS[tag]) {
+        const text = cleanText($node.text());
+        if (text) blocks.push({ type: 'heading', data: { text, level: HEADING_LEVELS[tag] } });
+        $node.find('img').each((i, img) => pushImage(img));
+        continue;
+      }
+
+      switch (tag) {
+        case 'p': {
+          const cta = soleLink($node);
+          if (cta) {
+            blocks.push({ type: 'cta', data: cta });
+          } else {
+            walk(node.children);
+            flush();
+          }
+          break;
+        }
+
+        case 'ul':
+        case 'ol': {
+          const items = $node.children('li').map((i, li) => cleanText($(li).text())).get().filter(Boolean);
+          if (items.length > 0) {
+            blocks.push({ type: 'list', data: { style: tag === 'ol' ? 'ordered' : 'unordered', items } });
+          }
+          break;
+        }
+
+        case 'blockquote': {
+          const $quote = $node.clone();
+          const attribution = cleanText($quote.find('cite, footer').text());
+          $quote.find('cite, footer').remove();
+          const text = cleanText($quote.text());
+          if (text) blocks.push({ type: 'quote', data: { text, attribution } });
+          break;
+        }
+
+        case 'figure': {
+          const caption = $node.find('figcaption').text();
+          const img = $node.find('img').first();
+          const iframe = $node.find('iframe').first();
+          if (img.length > 0) {
+            pushImage(img, caption);
+          } else if (iframe.length > 0) {
+            pushIframe(iframe);
+          } else {
+            walk(node.children);
+            flush();
+          }
+          break;
+        }
+
+        case 'hr':
+          blocks.push({ type: 'divider', data: {} });
+          break;
+
+        case 'table':
+          // Tables have no block type - keep each row as a line of text
+          $node.find('tr').each((i, row) => {
+            const cells = $(row).children('th, td').map((j, cell) => cleanText($(cell).text())).get().filter(Boolean);
+            if (cells.length > 0) blocks.push({ type: 'paragraph', data: { text: cells.join(' | ') } });
+          });
+          break;
+
+        case 'pre': {
+          const text = cleanText($node.text());
+          if (text) blocks.push({ type: 'paragraph', data: { text } });
+          break;
+        }
+
+        default:
+          // Containers (div, section, ...)
+          walk(node.children);
+          flush();
+      }
+    }
+  };
+
+  walk($('body').contents().toArray());
+  flush();
+
+  return blocks;
+}
+
+export default htmlToBlocks;
@@ -0,0 +1,316 @@
+/**
+ * HubSpot Blog Import
+ *
+ * One-off (re-runnable) import of the legacy HubSpot blog into blog_posts:
+ *   1. read the HubSpot RSS feed
+ *   2. scrape each post page and convert the article to content blocks
+ *   3. download its images into the configured storage
+ *   4. create a published post with the original publish date
+ *   5. record the old blog-post.html?id= IDs so those links 301 to the new slug
+ *
+ * Posts whose legacy ID is already recorded are skipped, so running it again
+ * only picks up posts added to HubSpot since. Runs in the background - the
+ * admin route starts it and polls getImportStatus().
+ */
+
+import fetch from 'node-fetch';
+import path from 'path';
+import BlogPost, { POST_STATUS } from '../models/BlogPost.js';
+import BlogCategory from '../models/BlogCategory.js';
+import BlogLegacyRedirect from '../models/BlogLegacyRedirect.js';
+import {
+  fetchHubspotRss,
+  normalizeItem,
+  fetchHubSpotArticle,
+  isLegacyBlogLink,
+  mapLegacySiteLink,
+} from '../services/hubspotBlog.js';
+import { htmlToBlocks } from './htmlToBlocks.js';
+import { storeBlogImage, deleteBlogImage } from './imageProcessor.js';
+import { backupDatabase } from './backup.js';
+
+const IMAGE_TIMEOUT_MS = 30 * 1000;
+const MAX_IMAGE_BYTES = 15 * 1024 * 1024;
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 50;
+
+// Current (or last finished) import; kept in memory only
+let job = null;
+
+/**
+ * Copy of the job state that is safe to hand to callers
+ */
+function snapshot() {
+  return job ? structuredClone(job) : null;
+}
+
+/**
+ * Where a link in an imported post should point on this site
+ * Legacy post links go through the ?id= redirect, so they resolve to
+ * whichever slug the linked post is (or later gets) imported as.
+ */
+function resolveLink(href) {
+  const value = String(href || '').trim();
+  if (isLegacyBlogLink(value)) {
+    return `/pages/blog-post?id=${encodeURIComponent(value)}`;
+  }
+
+  const page = mapLegacySiteLink(value);
+  if (page) return page === 'index' ? '/' : `/pages/${page}`;
+
+  if (value.startsWith('//')) return `https:${value}`;
+  return /^https?:\/\//i.test(value) ? value : null;
+}
+
+/**
+ * Image URL without its query string (HubSpot adds resize parameters)
+ */
+function imageIdentity(url) {
+  return String(url || '').split('?')[0];
+}
+
+/**
+ * Download a remote image and store it
+ * @returns {Promise<string>} Storage key
+ */
+async function importImage(url) {
+  const response = await fetch(url, { signal: AbortSignal.timeout(IMAGE_TIMEOUT_MS) });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+
+  const contentType = response.headers.get('content-type') || '';
+  if (!contentType.startsWith('image/')) {
+    throw new Error(`not an image (${contentType || 'unknown type'})`);
+  }
+  if (Number(response.headers.get('content-length')) > MAX_IMAGE_BYTES) {
+    throw new Error('image is too large');
+  }
+
+  const buffer = Buffer.from(await response.arrayBuffer());
+  if (buffer.length > MAX_IMAGE_BYTES) {
+    throw new Error('image is too large');
+  }
+
+  let filename = 'image';
+  try {
+    filename = decodeURIComponent(path.basename(new URL(url).pathname)) || filename;
+  } catch {
+    // Keep the generic name
+  }
+
+  const { key } = await storeBlogImage(buffer, filename);
+  return key;
+}
+
+/**
+ * Pick the post category from the RSS categories, falling back to the default
+ */
+function matchCategory(rssCategories, categoryNames, defaultCategory) {
+  for (const name of rssCategories) {
+    const wanted = name.toLowerCase();
+    const match = Object.entries(categoryNames).find(([slug, label]) =>
+      slug === wanted || label.toLowerCase() === wanted
+    );
+    if (match) return match[0];
+  }
+  return defaultCategory;
+}
+
+/**
+ * Undo a partly imported item - the post and the images downloaded for it -
+ * so a re-run imports it cleanly instead of creating a duplicate
+ * @param {Object|null} post - Created post, if BlogPost.create got that far
+ * @param {string[]} imageKeys - Stored image keys
+ */
+async function rollbackItem(post, imageKeys) {
+  try {
+    if (post) {
+      await BlogPost.delete(post.id);
+    }
+    for (const key of imageKeys) {
+      // Content-hashed keys may be shared with posts imported earlier
+      if (!(await BlogPost.usesImage(key))) {
+        await deleteBlogImage(key);
+      }
+    }
+  } catch (error) {
+    console.error('Failed to roll back HubSpot import:', error);
+  }
+}
+
+/**
+ * Import one RSS item
+ * @returns {Promise<{post: Object, warnings: string[]}>}
+ */
+async function importItem(item, { category, categoryNames, authorId, authorName }) {
+  const warnings = [];
+
+  if (!item.title || !item.link) {
+    throw new Error('RSS item has no title or link');
+  }
+
+  let html;
+  try {
+    html = await fetchHubSpotArticle(item.link);
+  } catch (error) {
+    if (!item.contentHtml) throw error;
+    warnings.push(`Post page could not be scraped (${error.message}); imported the RSS content instead`);
+    html = item.contentHtml;
+  }
+
+  const content = htmlToBlocks(html, { resolveLink });
+
+  // HubSpot repeats the featured image at the top of the body
+  const featuredUrl = item.image || content.find(block => block.type === 'image')?.data.url || null;
+  if (content[0]?.type === 'image' && imageIdentity(content[0].data.url) === imageIdentity(featuredUrl)) {
+    content.shift();
+  }
+
+  if (!content.some(block => block.type !== 'image')) {
+    throw new Error('No article content could be extracted');
+  }
+
+  // Download images (each URL once)
+  const keys = new Map();
+  let post = null;
+  try {
+    const download = async url => {
+      if (!keys.has(url)) {
+        try {
+          keys.set(url, await importImage(url));
+        } catch (error) {
+          warnings.push(`Kept remote image ${url}: ${error.message}`);
+          keys.set(url, null);
+        }
+      }
+      return keys.get(url);
+    };
+
+    for (const block of content) {
+      if (block.type !== 'image') continue;
+      const key = await download(block.data.url);
+      if (key) {
+        block.data = { key, alt: block.data.alt, caption: block.data.caption };
+      }
+    }
+
+    let featuredImageKey = null;
+    if (featuredUrl) {
+      featuredImageKey = await download(featuredUrl);
+      if (!featuredImageKey) warnings.push('Featured image was not imported');
+    }
+
+    const publishedAt = new Date(item.pubDate);
+    if (Number.isNaN(publishedAt.getTime())) {
+      warnings.push(`Unreadable publish date "${item.pubDate}"; using the import date`);
+    }
+
+    const tags = item.categories
+      .filter(name => name.length <= MAX_TAG_LENGTH)
+      .slice(0, MAX_TAGS);
+
+    post = await BlogPost.create({
+      title: item.title.trim(),
+      category: matchCategory(item.categories, categoryNames, category),
+      content,
+      featuredImageKey,
+      featuredImageAlt: featuredImageKey ? item.title.trim() : null,
+      status: POST_STATUS.PUBLISHED,
+      originalPublishedAt: Number.isNaN(publishedAt.getTime()) ? undefined : publishedAt,
+      authorId,
+      authorName: item.author || authorName,
+      tags,
+    });
+
+    await BlogLegacyRedirect.create(post.id, [item.id, item.link]);
+
+    return { post, warnings };
+  } catch (error) {
+    await rollbackItem(post, [...keys.values()].filter(Boolean));
+    throw error;
+  }
+}
+
+/**
+ * Run the import, recording progress on the job
+ */
+async function runImport(options) {
+  const items = (await fetchHubspotRss()).map(normalizeItem);
+  // Oldest first, so IDs follow the original publishing order
+  items.sort((a, b) => (Date.parse(a.pubDate) || 0) - (Date.parse(b.pubDate) || 0));
+  job.total = items.length;
+
+  const categoryNames = await BlogCategory.getNameMap();
+
+  for (const item of items) {
+    try {
+      if (await BlogLegacyRedirect.isImported([item.id, item.link])) {
+        job.skipped.push({ title: item.title, link: item.link, reason: 'Already imported' });
+      } else {
+        const { post, warnings } = await importItem(item, { ...options, categoryNames });
+        job.imported.push({ id: post.id, title: post.title, slug: post.slug, link: item.link, warnings });
+        console.log(`📥 Imported HubSpot post "${post.title}" (${post.slug})`);
+      }
+    } catch (error) {
+      console.error(`HubSpot import failed for ${item.link || item.title}:`, error);
+      job.failed.push({ title: item.title, link: item.link, error: error.message });
+    }
+    job.processed++;
+  }
+}
+
+/**
+ * Start importing the HubSpot blog in the background
+ * @param {Object} options
+ * @param {string} options.category - Category slug for posts whose RSS categories don't match one
+ * @param {number} options.authorId - User running the import
+ * @param {string} options.authorName - Author for posts without a dc:creator
+ * @returns {Object} Job state
+ * @throws {Error} When an import is already running
+ */
+export function startHubSpotImport({ category, authorId, authorName }) {
+  if (job?.status === 'running') {
+    throw new Error('An import is already running');
+  }
+
+  job = {
+    status: 'running',
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    category,
+    total: null,
+    processed: 0,
+    imported: [],
+    skipped: [],
+    failed: [],
+    error: null,
+  };
+
+  runImport({ category, authorId, authorName })
+    .then(() => {
+      job.status = 'completed';
+    })
+    .catch(error => {
+      console.error('HubSpot import error:', error);
+      job.status = 'failed';
+      job.error = error.message;
+    })
+    .finally(() => {
+      job.finishedAt = new Date().toISOString();
+      if (job.imported.length > 0) {
+        backupDatabase().catch(err => console.error('Backup after HubSpot import failed:', err));
+      }
+    });
+
+  return snapshot();
+}
+
+/**
+ * State of the current or last import (null if none has run since startup)
+ */
+export function getImportStatus() {
+  return snapshot();
+}
+
+export default { startHubSpotImport, getImportStatus };
@@ -2,8 +2,8 @@ import path from 'path';
 import fs from 'fs';
 import crypto from 'crypto';
 import { fileURLToPath } from 'url';
-import { getStorage } from '../services/storage.js';
-import { VARIANT_SIZES } from '../config/railway.js';
+import { getStorage, getStorageByType } from '../services/storage.js';
+import { VARIANT_SIZES, MEDIA_PATHS } from '../config/railway.js';
 import {
   uploadToRailway,
   generateImageKey,
@@ -24,6 +24,8 @@ async function getSharp() {
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+const UPLOADS_DIR = path.join(__dirname, '../../uploads');
+
 // Get storage adapter (local or R2 based on STORAGE_TYPE)
 let storage = null;
 function getStorageAdapter() {
@@ -445,6 +447,145 @@ export async function deleteRailwayFiles(keys, thumbnailKeys = null) {
   return deleteMultipleFromRailway(keysToDelete);
 }
 
+// ============================================================
+// Consultation Photo Processing
+// ============================================================
+
+/**
+ * Process a homeowner photo attached to a consultation request
+ * Generates WebP variants and a blur placeholder, then stores each variant as
+ * a private document (data/documents locally, the documents/ prefix in a
+ * bucket) - homeowners' photos are only served through the admin API
+ * @param {string} inputPath - Path to uploaded file
+ * @param {string} filename - Original filename
+ * @param {number} consultationId - Consultation the photo belongs to
+ * @returns {Promise<Object>} Keys, storage type and metadata for database storage
+ */
+export async function processConsultationPhoto(inputPath, filename, consultationId) {
+  const storageAdapter = getStorageAdapter();
+  const savedKeys = [];
+
+  try {
+    const inputBuffer = await fs.promises.readFile(inputPath);
+    const contentHash = generateContentHash(inputBuffer);
+
+    const baseName = path.basename(filename, path.extname(filename));
+    const slug = sanitizeSlug(`consultation-${consultationId}-${baseName}`);
+
+    const variants = await generateVariants(inputBuffer);
+    const blurData = await generateBlurPlaceholder(inputBuffer);
+
+    const keys = {};
+    for (const [size, variant] of Object.entries(variants)) {
+      const variantName = `${slug}-${contentHash}-${size}.webp`;
+
+      // Document storage saves from a file on disk
+      const variantPath = path.join(path.dirname(inputPath), variantName);
+      await fs.promises.writeFile(variantPath, variant.buffer);
+      const key = await storageAdapter.saveDocument(variantPath, `consultations/${variantName}`, 'image/webp');
+
+      savedKeys.push(key);
+      keys[`key_${size}`] = key;
+    }
+
+    // Clean up the local upload file
+    await fs.promises.unlink(inputPath);
+
+    return {
+      filename,
+      storageType: storageAdapter.type,
+      keys: {
+        key_sm: keys.key_sm,
+        key_md: keys.key_md,
+        key_lg: keys.key_lg,
+      },
+      contentHash,
+      blurData,
+    };
+  } catch (err) {
+    // Rollback: delete any stored variants
+    await deleteConsultationPhotoFiles({ storage_type: storageAdapter.type }, savedKeys);
+
+    if (fs.existsSync(inputPath)) {
+      await fs.promises.unlink(inputPath);
+    }
+
+    throw err;
+  }
+}
+
+/**
+ * Delete the stored variants of a consultation photo
+ * @param {Object} photo - consultation_photos row (needs storage_type)
+ * @param {string[]} keys - Keys to delete (defaults to the row's variant keys)
+ */
+export async function deleteConsultationPhotoFiles(photo, keys = null) {
+  const keysToDelete = (keys || [photo.key_sm, photo.key_md, photo.key_lg]).filter(Boolean);
+  const storageAdapter = getStorageByType(photo.storage_type);
+
+  for (const key of keysToDelete) {
+    try {
+      await storageAdapter.deleteDocument(key);
+    } catch (err) {
+      console.warn('Warning deleting consultation photo:', err.message);
+    }
+  }
+}
+
+// ============================================================
+// Blog Image Processing
+// ============================================================
+
+/**
+ * Store a blog image as a single optimized WebP (no variants)
+ * Railway keys live under blog/; local and R2 storage return their usual path/URL.
+ * @param {Buffer} inputBuffer - Original image
+ * @param {string} filename - Original filename (used for the key)
+ * @returns {Promise<{key: string, storageType: string}>}
+ */
+export async function storeBlogImage(inputBuffer, filename) {
+  const storageAdapter = getStorageAdapter();
+  const sharpLib = await getSharp();
+
+  const contentHash = generateContentHash(inputBuffer);
+  const baseName = path.basename(filename, path.extname(filename));
+  const slug = sanitizeSlug(baseName) || 'image';
+
+  const webpBuffer = await sharpLib(inputBuffer)
+    .resize(1600, 1200, { fit: 'inside', withoutEnlargement: true })
+    .webp({ quality: 85 })
+    .toBuffer();
+
+  const webpName = `${slug}-${contentHash}.webp`;
+  let key;
+
+  if (storageAdapter.type === 'railway') {
+    key = `blog/${webpName}`;
+    await uploadToRailway(webpBuffer, key, 'image/webp');
+  } else {
+    // Local and R2 adapters save from a file on disk
+    const tempPath = path.join(UPLOADS_DIR, `blog-${webpName}`);
+    await fs.promises.mkdir(UPLOADS_DIR, { recursive: true });
+    await fs.promises.writeFile(tempPath, webpBuffer);
+    key = await storageAdapter.save(tempPath, `blog-${webpName}`);
+  }
+
+  return { key, storageType: storageAdapter.type };
+}
+
+/**
+ * Delete a stored blog image
+ * @param {string} key - Key returned by storeBlogImage
+ * @param {string} storageType - Storage the key belongs to (default: active storage)
+ */
+export async function deleteBlogImage(key, storageType = getStorageAdapter().type) {
+  if (storageType === 'railway') {
+    await deleteMultipleFromRailway([key]);
+    return;
+  }
+  await getStorageByType(storageType).delete(key);
+}
+
 export default {
   processImage,
   processVideo,
@@ -460,4 +601,10 @@ export default {
   processImageForRailway,
   processVideoForRailway,
   deleteRailwayFiles,
+  // Consultation photos
+  processConsultationPhoto,
+  deleteConsultationPhotoFiles,
+  // Blog images
+  storeBlogImage,
+  deleteBlogImage,
 };
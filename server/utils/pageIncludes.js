@@ -0,0 +1,182 @@
+/**
+ * Page Includes
+ *
+ * Pages in pages/ mark where the site header and footer go with empty
+ * <div id="header-placeholder"> / <div id="footer-placeholder"> elements.
+ * The partials in src/components/partials/ are filled in on the server, so
+ * the navigation is there on first paint (no layout shift) and for crawlers.
+ * Pages are only complete when served by server.js, so `npm run dev` runs it
+ * too (not a static file server).
+ *
+ * The header's nav item for the current section is marked active (the classes
+ * navigation.js used to add in the browser, plus aria-current).
+ *
+ * Composed pages are cached in memory per file and nav item. In development a
+ * cached page is checked against the modification times of the files it was
+ * built from, so edits show up on the next request; in production the files
+ * only change with a deploy.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import * as cheerio from 'cheerio';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const ROOT_DIR = path.join(__dirname, '..', '..');
+const COMPONENTS_DIR = path.join(ROOT_DIR, 'src', 'components');
+const HEADER_PATH = path.join(COMPONENTS_DIR, 'partials', 'header.html');
+const FOOTER_PATH = path.join(COMPONENTS_DIR, 'partials', 'footer.html');
+
+const SITE_URL = 'https://designwithlighthouse.com';
+const SITE_HOST = new URL(SITE_URL).host;
+const ACTIVE_CLASSES = 'text-lighthouse-teal font-bold';
+
+const HEADER_PLACEHOLDER = /(<div id="header-placeholder">)\s*(<\/div>)/;
+const FOOTER_PLACEHOLDER = /(<div id="footer-placeholder">)\s*(<\/div>)/;
+
+// "file|nav path" -> { html, version }
+const pageCache = new Map();
+
+/**
+ * Whether files can change under the running server
+ */
+function isDevelopment() {
+  return process.env.NODE_ENV !== 'production';
+}
+
+/**
+ * Modification times of the files a page is built from (development only;
+ * production pages are cached until restart)
+ */
+async function getVersion(files) {
+  if (!isDevelopment()) return null;
+  const stats = await Promise.all(files.map(file => fs.promises.stat(file)));
+  return stats.map(stat => stat.mtimeMs).join(':');
+}
+
+/**
+ * Read a file as UTF-8
+ */
+function readFile(filePath) {
+  return fs.promises.readFile(filePath, 'utf8');
+}
+
+/**
+ * Normalize a path for comparing links (no .html or trailing slash)
+ */
+function normalizePath(pathname) {
+  const normalized = pathname.replace(/\.html$/, '').replace(/\/+$/, '');
+  return normalized === '' || normalized === '/pages/index' ? '/' : normalized;
+}
+
+/**
+ * The path whose nav item is current for a request
+ * Blog posts (/blog/:slug and the page shell) belong to the blog listing.
+ */
+export function getNavPath(requestPath) {
+  const normalized = normalizePath(requestPath);
+  if (normalized === '/blog' || normalized.startsWith('/blog/') || normalized === '/pages/blog-post') {
+    return '/pages/blog';
+  }
+  return normalized;
+}
+
+/**
+ * Path and hash of an on-site link (null for other sites and bad URLs)
+ */
+function getLinkPath(href) {
+  try {
+    const url = new URL(href, SITE_URL);
+    if (url.host !== SITE_HOST) return null;
+    return { path: normalizePath(url.pathname), hash: url.hash };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Mark links to the current page, and the top-level item of its section
+ * A section is the nav item's own path, anything below it, and the pages in
+ * its dropdown (links to anchors on other pages don't count).
+ * @param {Function} $ - Cheerio document of the header
+ * @param {string} navPath - From getNavPath()
+ */
+function markActiveNav($, navPath) {
+  $('a[href]').each((index, element) => {
+    const link = getLinkPath($(element).attr('href'));
+    if (link && !link.hash && link.path === navPath) {
+      $(element).attr('aria-current', 'page');
+    }
+  });
+
+  $('a.nav-link').each((index, element) => {
+    const item = $(element);
+    const top = getLinkPath(item.attr('href'));
+    if (!top || top.path === '/') return;
+
+    const dropdownPaths = item.parent('[x-data]').find('a[href]').toArray()
+      .map(link => getLinkPath($(link).attr('href')))
+      .filter(link => link && !link.hash)
+      .map(link => link.path);
+
+    const inSection = navPath === top.path ||
+      navPath.startsWith(`${top.path}/`) ||
+      dropdownPaths.includes(navPath);
+
+    if (inSection) {
+      item.addClass(ACTIVE_CLASSES);
+      item.attr('aria-current', navPath === top.path ? 'page' : 'true');
+    }
+  });
+}
+
+/**
+ * Header partial with the nav item for a path marked active
+ */
+async function renderHeader(navPath) {
+  const $ = cheerio.load(await readFile(HEADER_PATH), null, false);
+  markActiveNav($, navPath);
+  return $.html();
+}
+
+/**
+ * Fill the header and footer placeholders
+ * (function replacements, so "$" in the partials is left alone)
+ */
+function fillPlaceholders(page, header, footer) {
+  return page
+    .replace(HEADER_PLACEHOLDER, (match, open, close) => `${open}${header}${close}`)
+    .replace(FOOTER_PLACEHOLDER, (match, open, close) => `${open}${footer}${close}`);
+}
+
+/**
+ * Page HTML with the header and footer included
+ * @param {string} filePath - HTML file under pages/
+ * @param {string} requestPath - Path it was requested at (picks the active nav item)
+ * @returns {Promise<string>}
+ */
+export async function renderPage(filePath, requestPath) {
+  const navPath = getNavPath(requestPath);
+  const key = `${filePath}|${navPath}`;
+  // Taken before reading, so a file saved mid-render is picked up next time
+  const version = await getVersion([filePath, HEADER_PATH, FOOTER_PATH]);
+
+  const cached = pageCache.get(key);
+  if (cached && cached.version === version) return cached.html;
+
+  const [page, header, footer] = await Promise.all([
+    readFile(filePath),
+    renderHeader(navPath),
+    readFile(FOOTER_PATH),
+  ]);
+
+  const html = fillPlaceholders(page, header, footer);
+
+  pageCache.set(key, { html, version });
+  return html;
+}
+
+export default { renderPage, getNavPath };
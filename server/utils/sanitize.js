@@ -0,0 +1,24 @@
+/**
+ * Shared helpers for untrusted input and HTML output
+ */
+
+/**
+ * Escape text for safe inclusion in HTML
+ */
+export function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Validate email format (non-strings, e.g. from a JSON body, are invalid)
+ */
+export function isValidEmail(email) {
+  return typeof email === 'string' && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+}
+
+export default { escapeHtml, isValidEmail };
@@ -0,0 +1,170 @@
+/**
+ * Text helpers for search indexing
+ *
+ * Shared by the blog search index: turns content blocks into plain text,
+ * splits text into normalized terms and builds highlighted snippets.
+ */
+
+import { escapeHtml } from './sanitize.js';
+
+// Common English words that would match almost every document
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'has', 'have',
+  'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'of', 'on', 'or', 'our', 'so',
+  'that', 'the', 'their', 'then', 'there', 'these', 'this', 'to', 'was', 'we', 'were',
+  'what', 'when', 'which', 'will', 'with', 'you', 'your',
+]);
+
+const WORD_PATTERN = /[\p{L}\p{N}]+(?:['’][\p{L}]+)*/gu;
+
+/**
+ * Lowercase a word and strip accents and apostrophes ("Café's" -> "cafes")
+ */
+export function normalizeTerm(word) {
+  return word
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/['’]/g, '')
+    .toLowerCase();
+}
+
+/**
+ * Split text into normalized search terms
+ * @param {string} text - Input text
+ * @param {Object} options
+ * @param {boolean} options.keepStopWords - Keep common words (used when a query is only stop words)
+ * @returns {string[]} Terms in document order (with repeats)
+ */
+export function tokenize(text, { keepStopWords = false } = {}) {
+  if (!text) return [];
+
+  const terms = [];
+  for (const match of String(text).matchAll(WORD_PATTERN)) {
+    const term = normalizeTerm(match[0]);
+    if (term.length < 2 && !/\d/.test(term)) continue;
+    if (!keepStopWords && STOP_WORDS.has(term)) continue;
+    terms.push(term.substring(0, 64));
+  }
+  return terms;
+}
+
+/**
+ * Remove HTML tags and collapse whitespace
+ */
+function stripTags(value) {
+  return String(value ?? '')
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Extract the readable text from content blocks
+ * @param {Array} blocks - Content blocks ({ type, data })
+ * @returns {string} Plain text, one block per line
+ */
+export function blocksToText(blocks) {
+  if (!Array.isArray(blocks)) return '';
+
+  const lines = [];
+  for (const block of blocks) {
+    const data = block?.data || {};
+    switch (block?.type) {
+      case 'list':
+        lines.push(...(data.items || []).map(stripTags));
+        break;
+      case 'image':
+        lines.push(stripTags(data.caption), stripTags(data.alt));
+        break;
+      case 'image-gallery':
+        for (const image of data.images || []) {
+          lines.push(stripTags(image.caption), stripTags(image.alt));
+        }
+        break;
+      case 'quote':
+        lines.push(stripTags(data.text), stripTags(data.attribution));
+        break;
+      case 'video':
+      case 'divider':
+        break;
+      default:
+        lines.push(stripTags(data.text));
+    }
+  }
+  return lines.filter(Boolean).join('\n');
+}
+
+/**
+ * Wrap words that start with any of the terms in <mark>; everything else is escaped
+ * @param {string} text - Plain text
+ * @param {string[]} terms - Normalized query terms
+ * @returns {string} HTML
+ */
+export function highlight(text, terms) {
+  const source = String(text ?? '');
+  let html = '';
+  let last = 0;
+
+  for (const match of source.matchAll(WORD_PATTERN)) {
+    const term = normalizeTerm(match[0]);
+    if (terms.some(queryTerm => term.startsWith(queryTerm))) {
+      html += escapeHtml(source.slice(last, match.index));
+      html += `<mark>${escapeHtml(match[0])}</mark>`;
+      last = match.index + match[0].length;
+    }
+  }
+  return html + escapeHtml(source.slice(last));
+}
+
+/**
+ * Build a highlighted snippet around the densest cluster of matching words
+ * @param {string} text - Plain text to excerpt
+ * @param {string[]} terms - Normalized query terms
+ * @param {number} maxLength - Approximate snippet length in characters
+ * @returns {string} HTML snippet (escaped, with <mark> highlights)
+ */
+export function buildSnippet(text, terms, maxLength = 180) {
+  const source = String(text ?? '').replace(/\s+/g, ' ').trim();
+  if (!source) return '';
+
+  const words = [...source.matchAll(WORD_PATTERN)].map(match => ({
+    index: match.index,
+    term: normalizeTerm(match[0]),
+  }));
+
+  // Pick the matching word whose window covers the most distinct query terms
+  let bestStart = 0;
+  let bestScore = 0;
+  for (let i = 0; i < words.length; i++) {
+    if (!terms.some(term => words[i].term.startsWith(term))) continue;
+    const windowEnd = words[i].index + maxLength;
+    const seen = new Set();
+    for (let j = i; j < words.length && words[j].index < windowEnd; j++) {
+      const matched = terms.find(term => words[j].term.startsWith(term));
+      if (matched) seen.add(matched);
+    }
+    if (seen.size > bestScore) {
+      bestScore = seen.size;
+      bestStart = i;
+    }
+    if (bestScore === terms.length) break;
+  }
+
+  // Start a few words before the first match for context
+  const startWord = words[Math.max(0, bestStart - 4)];
+  let start = bestScore > 0 && startWord ? startWord.index : 0;
+  let end = Math.min(source.length, start + maxLength);
+  if (end === source.length) {
+    start = Math.max(0, end - maxLength);
+    const boundary = words.find(word => word.index >= start);
+    if (boundary && start > 0) start = boundary.index;
+  } else {
+    const cut = source.lastIndexOf(' ', end);
+    if (cut > start) end = cut;
+  }
+
+  const prefix = start > 0 ? '… ' : '';
+  const suffix = end < source.length ? ' …' : '';
+  return prefix + highlight(source.slice(start, end), terms) + suffix;
+}
@@ -0,0 +1,349 @@
+/**
+ * Site-wide Search Index
+ *
+ * Static pages (pages/ and pages/services/**) are parsed with cheerio once at
+ * startup; published blog posts and captioned gallery items come from the
+ * database and are refreshed every RECORDS_TTL_MS, so edits show up without a
+ * restart. Everything lives in memory - the site is small enough that a full
+ * rebuild takes milliseconds.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import * as cheerio from 'cheerio';
+import BlogPost from '../models/BlogPost.js';
+import GalleryItem from '../models/GalleryItem.js';
+import GalleryCategory from '../models/GalleryCategory.js';
+import { scanPagesDirectory } from './sitemapGenerator.js';
+import { tokenize, blocksToText, buildSnippet, highlight } from './searchText.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const PAGES_DIR = path.join(__dirname, '..', '..', 'pages');
+
+// Result types, in the order the overlay groups them
+export const RESULT_TYPES = ['page', 'service', 'blog', 'gallery'];
+
+// Pages that are templates or link lists rather than content
+const SKIPPED_PAGES = new Set(['/pages/blog-post', '/pages/sitemap']);
+
+// Relative importance of each field (same scale as the blog search)
+const FIELD_WEIGHTS = {
+  title: 5,
+  headings: 3,
+  description: 2,
+  body: 1,
+};
+
+const TF_SATURATION = 1.2;
+const PREFIX_MATCH_FACTOR = 0.6;
+const MAX_QUERY_TERMS = 10;
+
+// How long database records (blog, gallery) are reused before reloading
+const RECORDS_TTL_MS = parseInt(process.env.SITE_SEARCH_TTL_MS) || 60 * 1000;
+
+let pageDocuments = null;
+let recordDocuments = [];
+let recordsLoadedAt = 0;
+let recordsLoading = null;
+let index = null;
+
+/**
+ * Count term occurrences per field
+ * @param {Object} fields - Field name -> text
+ * @returns {Object} Field name -> Map(term -> frequency)
+ */
+function countFieldTerms(fields) {
+  const counts = {};
+  for (const [field, text] of Object.entries(fields)) {
+    const terms = new Map();
+    for (const term of tokenize(text)) {
+      terms.set(term, (terms.get(term) || 0) + 1);
+    }
+    counts[field] = terms;
+  }
+  return counts;
+}
+
+/**
+ * Collapse whitespace in extracted text
+ */
+function cleanText(value) {
+  return String(value ?? '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Extract the searchable parts of a static HTML page
+ * @param {string} file - Absolute path to the HTML file
+ * @param {string} url - Clean URL (/pages/...)
+ * @returns {Object|null} Search document, or null for noindex pages
+ */
+function extractPage(file, url) {
+  const $ = cheerio.load(fs.readFileSync(file, 'utf8'));
+
+  if (/noindex/i.test($('meta[name="robots"]').attr('content') || '')) {
+    return null;
+  }
+
+  // Strip the site name suffix ("Kitchen Remodeling | Lighthouse Design Build")
+  const title = cleanText($('title').first().text()).split(/\s+[|–-]\s+/)[0];
+  const description = cleanText($('meta[name="description"]').attr('content'));
+
+  const root = $('main').length ? $('main').first() : $('body');
+  root.find('script, style, noscript, template, svg, iframe, form, nav, footer').remove();
+
+  const headings = root.find('h1, h2, h3').map((i, el) => cleanText($(el).text())).get();
+  const body = cleanText(root.text());
+
+  return {
+    type: url.startsWith('/pages/services/') ? 'service' : 'page',
+    id: url,
+    url: url === '/pages/index' ? '/' : url,
+    title: title || path.basename(file, '.html'),
+    description,
+    text: body,
+    fields: { title, headings: headings.join(' '), description, body },
+  };
+}
+
+/**
+ * Parse every static page (done once; pages only change on deploy)
+ */
+function loadPageDocuments() {
+  const documents = [];
+  for (const page of scanPagesDirectory(PAGES_DIR)) {
+    if (SKIPPED_PAGES.has(page.url)) continue;
+    try {
+      const document = extractPage(page.file, page.url);
+      if (document) documents.push(document);
+    } catch (error) {
+      console.error(`Site search: failed to index ${page.url}:`, error.message);
+    }
+  }
+  return documents;
+}
+
+/**
+ * Load published blog posts as search documents
+ */
+async function loadBlogDocuments() {
+  const documents = [];
+  const pageSize = 100;
+  for (let offset = 0; ; offset += pageSize) {
+    const { posts, hasMore } = await BlogPost.findPublished(pageSize, offset);
+    for (const post of posts) {
+      const text = blocksToText(post.content);
+      documents.push({
+        type: 'blog',
+        id: post.id,
+        url: `/blog/${encodeURIComponent(post.slug)}`,
+        title: post.title,
+        description: post.meta_description || post.excerpt || '',
+        text,
+        date: post.published_at,
+        imageKey: post.featured_image_key,
+        fields: {
+          title: post.title,
+          headings: (post.content || [])
+            .filter(block => block.type === 'heading')
+            .map(block => block.data?.text || '')
+            .join(' '),
+          description: post.meta_description || '',
+          body: text,
+        },
+      });
+    }
+    if (!hasMore) break;
+  }
+  return documents;
+}
+
+/**
+ * Load gallery items that have a title or caption as search documents
+ */
+async function loadGalleryDocuments() {
+  const categories = await GalleryCategory.findAll();
+  const categoryNames = Object.fromEntries(categories.map(category => [category.slug, category.name]));
+
+  const items = await GalleryItem.findAll();
+  return items
+    .filter(item => item.title || item.caption)
+    .map(item => {
+      const categoryName = categoryNames[item.category] || '';
+      return {
+        type: 'gallery',
+        id: item.id,
+        url: `/pages/gallery?item=${item.id}`,
+        title: item.title || item.caption,
+        description: item.caption || '',
+        text: [item.caption, item.location, item.alt_text].filter(Boolean).join(' — '),
+        item,
+        fields: {
+          title: item.title || '',
+          headings: categoryName,
+          description: item.caption || '',
+          body: [item.alt_text, item.location].filter(Boolean).join(' '),
+        },
+      };
+    });
+}
+
+/**
+ * Build postings (term -> documents) and a sorted term list for prefix lookups
+ */
+function buildIndex(documents) {
+  const postings = new Map();
+  documents.forEach((document, docIndex) => {
+    const counts = countFieldTerms(document.fields);
+    for (const [field, terms] of Object.entries(counts)) {
+      for (const [term, frequency] of terms) {
+        if (!postings.has(term)) postings.set(term, []);
+        postings.get(term).push({ docIndex, field, frequency });
+      }
+    }
+  });
+
+  return {
+    documents,
+    postings,
+    terms: [...postings.keys()].sort(),
+    builtAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Find index terms equal to or starting with a query term (binary search on the sorted list)
+ */
+function findTermsWithPrefix(terms, prefix) {
+  let low = 0;
+  let high = terms.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (terms[mid] < prefix) low = mid + 1;
+    else high = mid;
+  }
+
+  const matches = [];
+  for (let i = low; i < terms.length && terms[i].startsWith(prefix); i++) {
+    matches.push(terms[i]);
+  }
+  return matches;
+}
+
+/**
+ * Build the index (parses static pages on first call)
+ * Called at startup; also runs lazily on the first search
+ * @param {Object} options
+ * @param {boolean} options.force - Reload blog and gallery records even if fresh
+ * @returns {Promise<{documents: number, builtAt: string}>}
+ */
+export async function buildSiteSearchIndex({ force = false } = {}) {
+  if (!pageDocuments) {
+    pageDocuments = loadPageDocuments();
+  }
+
+  const stale = Date.now() - recordsLoadedAt > RECORDS_TTL_MS;
+  if (force || stale || !index) {
+    if (!recordsLoading) {
+      recordsLoading = (async () => {
+        const [blog, gallery] = await Promise.all([loadBlogDocuments(), loadGalleryDocuments()]);
+        recordDocuments = [...blog, ...gallery];
+        recordsLoadedAt = Date.now();
+        index = buildIndex([...pageDocuments, ...recordDocuments]);
+      })().finally(() => {
+        recordsLoading = null;
+      });
+    }
+    await recordsLoading;
+  }
+
+  return { documents: index.documents.length, builtAt: index.builtAt };
+}
+
+/**
+ * Search pages, services, blog posts and gallery items
+ * Every query word must match (whole word or word prefix)
+ * @param {string} query - Search text
+ * @param {Object} options
+ * @param {string|null} options.type - Limit to one result type
+ * @param {number} options.limit - Results per page
+ * @param {number} options.offset - Offset for pagination
+ * @returns {Promise<{results: Array, total: number, hasMore: boolean, counts: Object, terms: string[]}>}
+ */
+export async function searchSite(query, { type = null, limit = 20, offset = 0 } = {}) {
+  await buildSiteSearchIndex();
+
+  let terms = tokenize(query);
+  if (terms.length === 0) {
+    terms = tokenize(query, { keepStopWords: true });
+  }
+  terms = [...new Set(terms)].slice(0, MAX_QUERY_TERMS);
+
+  const counts = Object.fromEntries(RESULT_TYPES.map(resultType => [resultType, 0]));
+  if (terms.length === 0) {
+    return { results: [], total: 0, hasMore: false, counts, terms };
+  }
+
+  const { documents, postings } = index;
+  const scores = new Map();
+
+  for (const queryTerm of terms) {
+    const termScores = new Map();
+    for (const term of findTermsWithPrefix(index.terms, queryTerm)) {
+      const factor = term === queryTerm ? 1 : PREFIX_MATCH_FACTOR;
+      for (const { docIndex, field, frequency } of postings.get(term)) {
+        const saturated = (frequency * (TF_SATURATION + 1)) / (frequency + TF_SATURATION);
+        termScores.set(docIndex, (termScores.get(docIndex) || 0) + FIELD_WEIGHTS[field] * factor * saturated);
+      }
+    }
+
+    const idf = Math.log(1 + (documents.length - termScores.size + 0.5) / (termScores.size + 0.5));
+    for (const [docIndex, score] of termScores) {
+      const entry = scores.get(docIndex) || { score: 0, matched: 0 };
+      entry.score += idf * score;
+      entry.matched++;
+      scores.set(docIndex, entry);
+    }
+  }
+
+  const ranked = [...scores.entries()]
+    .filter(([, entry]) => entry.matched === terms.length)
+    .sort(([, a], [, b]) => b.score - a.score)
+    .map(([docIndex, entry]) => ({ document: documents[docIndex], score: entry.score }));
+
+  for (const { document } of ranked) {
+    counts[document.type]++;
+  }
+
+  const filtered = type ? ranked.filter(({ document }) => document.type === type) : ranked;
+  const page = filtered.slice(offset, offset + limit);
+
+  const results = page.map(({ document, score }) => {
+    const fromText = buildSnippet(document.text, terms);
+    const fromDescription = buildSnippet(document.description, terms);
+    return {
+      type: document.type,
+      id: document.id,
+      url: document.url,
+      title: document.title,
+      titleHtml: highlight(document.title, terms),
+      snippet: [fromDescription, fromText].find(snippet => snippet.includes('<mark>'))
+        || fromDescription || fromText,
+      score: Math.round(score * 1000) / 1000,
+      date: document.date || null,
+      // Raw references for the route to turn into image URLs
+      imageKey: document.imageKey || null,
+      item: document.item || null,
+    };
+  });
+
+  return {
+    results,
+    total: filtered.length,
+    hasMore: offset + page.length < filtered.length,
+    counts,
+    terms,
+  };
+}
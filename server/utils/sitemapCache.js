@@ -0,0 +1,28 @@
+/**
+ * Sitemap Cache Invalidation
+ *
+ * Built sitemaps (utils/sitemapGenerator.js) are reused until the content
+ * they list changes. The models whose rows appear in a sitemap call
+ * clearSitemapCache() after writing; this lives apart from the generator so
+ * those models don't have to import it (it imports them).
+ */
+
+// Bumped on every clear; sitemaps built for an older generation are stale
+let generation = 0;
+
+/**
+ * Mark every built sitemap stale, so the next request rebuilds it
+ */
+export function clearSitemapCache() {
+  generation++;
+}
+
+/**
+ * Current cache generation
+ * @returns {number}
+ */
+export function getSitemapGeneration() {
+  return generation;
+}
+
+export default { clearSitemapCache, getSitemapGeneration };
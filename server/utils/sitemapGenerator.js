@@ -1,11 +1,47 @@
+/**
+ * XML Sitemaps
+ *
+ * /sitemap.xml is a sitemap index pointing at three sitemaps, all read
+ * straight from the database:
+ *   sitemap-pages.xml - static pages in pages/, blog category and tag landing
+ *                       pages, and published portfolio projects
+ *   sitemap-blog.xml  - published blog posts (/blog/:slug)
+ *   sitemap-media.xml - gallery images and videos (image: / video: extensions,
+ *                       with their captions) and blog featured images
+ * A sitemap that outgrows 50,000 URLs or 50MB is split into numbered parts
+ * (sitemap-blog-2.xml, ...), each listed in the index.
+ *
+ * Built sitemaps are cached. The models behind them (blog posts, categories,
+ * projects, gallery items) clear the cache when they write, so publishing,
+ * editing or deleting content shows up on the next request. Entries are
+ * also re-checked hourly for changes made outside the models (page files,
+ * direct database edits); the XML is only rebuilt when that list of entries
+ * actually changed.
+ *
+ * Railway media is private and only reachable through presigned links, which
+ * expire. The media sitemap links it at /media/<key> instead, which redirects
+ * to a freshly signed URL, so the sitemap stays valid however long it's cached.
+ */
+
 import fs from 'fs';
 import path from 'path';
-import fetch from 'node-fetch';
+import { createHash } from 'crypto';
 import { fileURLToPath } from 'url';
+import BlogPost from '../models/BlogPost.js';
+import BlogCategory from '../models/BlogCategory.js';
+import BlogTag from '../models/BlogTag.js';
+import Project from '../models/Project.js';
+import GalleryItem from '../models/GalleryItem.js';
+import { isRailwayStorageEnabled } from '../config/railway.js';
+import { getYoutubeId, getVimeoId } from './imageProcessor.js';
+import { getSitemapGeneration } from './sitemapCache.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+const PAGES_DIR = path.join(__dirname, '..', '..', 'pages');
+const SITE_URL = 'https://designwithlighthouse.com';
+
 // Priority mapping for different page types
 const PAGE_PRIORITIES = {
   'index': 1.0,
@@ -24,12 +60,32 @@ const PAGE_PRIORITIES = {
   'service-detail': 0.7  // For pages in /services/ subdirectory
 };
 
+// Page shells that only render content passed in the URL
+const SKIPPED_PAGES = new Set(['/pages/blog-post']);
+
+// Sitemap protocol limits per file (the byte limit is for the uncompressed XML)
+const MAX_URLS_PER_SITEMAP = 50000;
+const MAX_SITEMAP_BYTES = 50 * 1024 * 1024;
+
+// Re-check cached sitemaps against the database this often
+const CACHE_TTL_MS = 60 * 60 * 1000;
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8"?>\n';
+const NAMESPACES = {
+  sitemap: 'http://www.sitemaps.org/schemas/sitemap/0.9',
+  image: 'http://www.google.com/schemas/sitemap-image/1.1',
+  video: 'http://www.google.com/schemas/sitemap-video/1.1',
+};
+
+// Built sitemaps by name, reused until the cache is cleared or the TTL runs out
+const cache = new Map();
+
 // Get priority based on page name
 function getPagePriority(pagePath) {
   const fileName = path.basename(pagePath, '.html');
 
-  // Check if it's a service detail page
-  if (pagePath.includes('/services/')) {
+  // Check if it's a service detail page (paths are relative to pages/)
+  if (`/${pagePath.replace(/\\/g, '/')}`.includes('/services/')) {
     return PAGE_PRIORITIES['service-detail'];
   }
 
@@ -50,7 +106,6 @@ function scanPagesDirectory(dir, baseDir = dir, results = []) {
     } else if (file.endsWith('.html')) {
       // Get relative path from pages directory
       const relativePath = path.relative(baseDir, filePath);
-      // const urlPath = '/' + relativePath.replace(/\\/g, '/').replace('.html', '');
       const urlPath = '/pages/' + relativePath.replace(/\\/g, '/').replace('.html', '');
 
       // Get file modification time for lastmod
@@ -58,6 +113,7 @@ function scanPagesDirectory(dir, baseDir = dir, results = []) {
 
       results.push({
         url: urlPath,
+        file: filePath,
         lastmod: lastmod,
         priority: getPagePriority(relativePath)
       });
@@ -67,69 +123,512 @@ function scanPagesDirectory(dir, baseDir = dir, results = []) {
   return results;
 }
 
-// Fetch blog posts from HubSpot RSS API
-async function fetchBlogPosts() {
-  try {
-    const response = await fetch('http://localhost:4000/api/hubspot-blog');
+/**
+ * Parse a stored timestamp (SQLite "YYYY-MM-DD HH:MM:SS" is UTC) or a
+ * sitemap date (YYYY-MM-DD) into a Date
+ */
+function parseTimestamp(value) {
+  if (!value) return null;
+  const text = /^\d{4}-\d{2}-\d{2}$/.test(String(value)) ? `${value} 00:00:00` : String(value);
+  const date = new Date(/[zZ]|[+-]\d\d:?\d\d$/.test(text) ? text : `${text.replace(' ', 'T')}Z`);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Latest of several timestamps as a sitemap date (YYYY-MM-DD), or null
+ */
+function latestDate(...values) {
+  const dates = values.map(parseTimestamp).filter(Boolean);
+  if (dates.length === 0) return null;
+  return new Date(Math.max(...dates)).toISOString().split('T')[0];
+}
+
+/**
+ * Escape text for XML
+ */
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// Path of a server-rendered blog post
+function getBlogPostPath(slug) {
+  return `/blog/${encodeURIComponent(slug)}`;
+}
+
+// Whether a post's canonical URL is its own page (and not elsewhere)
+function isOwnCanonical(post) {
+  return !post.canonical_url || post.canonical_url === SITE_URL + getBlogPostPath(post.slug);
+}
+
+// Published blog posts, skipping posts whose canonical URL is elsewhere
+async function getBlogPostUrls() {
+  const posts = await BlogPost.findSitemapEntries();
+
+  return posts
+    .filter(isOwnCanonical)
+    .map(post => ({
+      url: getBlogPostPath(post.slug),
+      // A scheduled post goes live after its last edit, so use whichever is later
+      lastmod: latestDate(post.updated_at, post.published_at),
+      priority: 0.7,
+      category: post.category
+    }));
+}
+
+// Category landing pages (only categories with published posts)
+async function getBlogCategoryUrls(postUrls) {
+  const categories = await BlogCategory.findAll(true);
+
+  return categories
+    .filter(category => category.post_count > 0)
+    .map(category => {
+      const newestPost = postUrls
+        .filter(post => post.category === category.slug)
+        .reduce((latest, post) => (post.lastmod > latest ? post.lastmod : latest), '');
+      return {
+        url: `/pages/blog?category=${encodeURIComponent(category.slug)}`,
+        lastmod: latestDate(newestPost || null, category.updated_at),
+        priority: 0.6
+      };
+    });
+}
+
+// Tag landing pages (only tags with published posts)
+async function getBlogTagUrls() {
+  const tags = await BlogTag.findAll(true);
+
+  return tags.map(tag => ({
+    url: `/pages/blog?tag=${encodeURIComponent(tag.slug)}`,
+    lastmod: latestDate(tag.last_updated_at),
+    priority: 0.5
+  }));
+}
+
+// Published portfolio projects (deep links that open the project on the portfolio page)
+async function getProjectUrls() {
+  const projects = await Project.findPublished();
+
+  return projects.map(project => ({
+    url: `/pages/portfolio?project=${encodeURIComponent(project.slug)}`,
+    lastmod: latestDate(project.updated_at, project.created_at),
+    priority: 0.6
+  }));
+}
+
+// Static pages; the blog and portfolio listings change when their content does
+function getStaticPageUrls({ postUrls, projectUrls }) {
+  const newest = urls => urls.reduce((latest, entry) => (entry.lastmod > latest ? entry.lastmod : latest), '');
+  const contentDates = {
+    '/pages/blog': newest(postUrls),
+    '/pages/portfolio': newest(projectUrls),
+  };
+
+  return scanPagesDirectory(PAGES_DIR)
+    .filter(page => !SKIPPED_PAGES.has(page.url))
+    .map(page => {
+      const contentDate = contentDates[page.url];
+      return {
+        // The home page lives at the site root
+        url: page.url === '/pages/index' ? '/' : page.url,
+        lastmod: contentDate && contentDate > page.lastmod ? contentDate : page.lastmod,
+        priority: page.priority
+      };
+    })
+    .sort((a, b) => b.priority - a.priority || a.url.localeCompare(b.url));
+}
+
+// ============================================
+// PAGES & BLOG SITEMAPS
+// ============================================
+
+/**
+ * Entries for sitemap-pages.xml
+ */
+async function loadPageEntries() {
+  const [postUrls, tagUrls, projectUrls] = await Promise.all([
+    getBlogPostUrls(),
+    getBlogTagUrls(),
+    getProjectUrls(),
+  ]);
+  const categoryUrls = await getBlogCategoryUrls(postUrls);
+
+  return [
+    ...getStaticPageUrls({ postUrls, projectUrls }),
+    ...categoryUrls,
+    ...tagUrls,
+    ...projectUrls,
+  ];
+}
+
+/**
+ * Entries for sitemap-blog.xml
+ */
+async function loadBlogEntries() {
+  return (await getBlogPostUrls()).map(({ url, lastmod, priority }) => ({ url, lastmod, priority }));
+}
+
+// ============================================
+// MEDIA SITEMAP
+// ============================================
+
+/**
+ * Reference to a stored media file, resolved to a URL when the sitemap is built
+ * Railway keys are linked through /media/; anything else is a site path or a full URL.
+ * @returns {{key: string, railway: boolean}|null}
+ */
+function mediaRef(key, railway) {
+  if (!key) return null;
+  return { key, railway: railway && !/^https?:\/\//i.test(key) };
+}
+
+/**
+ * Player URL for a YouTube/Vimeo embed
+ */
+function getPlayerUrl(item) {
+  const url = item.embed_url || '';
+  if (item.embed_platform === 'youtube') {
+    const id = getYoutubeId(url);
+    return id ? `https://www.youtube.com/embed/${id}` : null;
+  }
+  if (item.embed_platform === 'vimeo') {
+    const id = getVimeoId(url);
+    return id ? `https://player.vimeo.com/video/${id}` : null;
+  }
+  return null;
+}
 
-    if (!response.ok) {
-      console.error('Failed to fetch blog posts for sitemap');
-      return [];
+/**
+ * Images and videos of one gallery item (largest variant of each)
+ * Before/after pairs list both sides.
+ */
+function getGalleryMedia(item) {
+  const caption = item.caption || item.alt_text || null;
+  const image = (ref, side = null) => ({
+    ref,
+    caption,
+    title: side && item.title ? `${item.title} (${side})` : item.title || null,
+    geoLocation: item.location || null,
+  });
+
+  switch (item.type) {
+    case 'image': {
+      const ref = GalleryItem.isRailwayItem(item)
+        ? mediaRef(item.key_lg || item.key_md || item.key_sm, true)
+        : mediaRef(item.filepath, false);
+      return { images: ref ? [image(ref)] : [], videos: [] };
+    }
+
+    case 'before-after': {
+      const before = item.key_lg || item.key_md || item.key_sm
+        ? mediaRef(item.key_lg || item.key_md || item.key_sm, true)
+        : mediaRef(item.filepath, false);
+      const after = item.after_key_lg || item.after_key_md || item.after_key_sm
+        ? mediaRef(item.after_key_lg || item.after_key_md || item.after_key_sm, true)
+        : mediaRef(item.after_filepath, false);
+      return {
+        images: [before && image(before, 'before'), after && image(after, 'after')].filter(Boolean),
+        videos: [],
+      };
     }
 
-    const data = await response.json();
+    case 'video':
+    case 'embed': {
+      const railway = GalleryItem.isRailwayItem(item);
+      const video = {
+        thumbnail: railway
+          ? mediaRef(item.thumb_key_lg || item.thumb_key_md || item.thumb_key_sm, true)
+          : mediaRef(item.thumbnail, false),
+        // Uploaded videos link the file itself, embeds their player
+        content: item.type === 'video' ? mediaRef(railway ? item.video_key : item.filepath, railway) : null,
+        player: item.type === 'embed' ? getPlayerUrl(item) : null,
+        title: item.title || caption || 'Project video',
+        description: caption || item.title || 'Project video from Lighthouse Design Build',
+      };
+      // Video entries need a thumbnail and something to play
+      const playable = video.thumbnail && (video.content || video.player);
+      return { images: [], videos: playable ? [video] : [] };
+    }
+
+    default:
+      return { images: [], videos: [] };
+  }
+}
+
+/**
+ * Entries for sitemap-media.xml (media files not resolved to URLs yet)
+ * Each gallery item is listed on its own gallery link (?item=ID opens it in
+ * the lightbox); blog featured images are listed on their post.
+ */
+async function loadMediaEntries() {
+  const [items, posts] = await Promise.all([
+    GalleryItem.findAll(),
+    BlogPost.findSitemapEntries(),
+  ]);
 
-    return data.posts.map(post => ({
-      url: `/pages/blog-post?id=${encodeURIComponent(post.url)}`,
-      lastmod: new Date(post.publishDate).toISOString().split('T')[0],
-      priority: 0.7
+  const galleryEntries = items
+    .map(item => ({
+      url: `/pages/gallery?item=${item.id}`,
+      lastmod: latestDate(item.updated_at, item.created_at),
+      ...getGalleryMedia(item),
+    }))
+    .filter(entry => entry.images.length > 0 || entry.videos.length > 0);
+
+  const railway = isRailwayStorageEnabled();
+  const postEntries = posts
+    .filter(post => post.featured_image_key && isOwnCanonical(post))
+    .map(post => ({
+      url: getBlogPostPath(post.slug),
+      lastmod: latestDate(post.updated_at, post.published_at),
+      images: [{
+        ref: mediaRef(post.featured_image_key, railway),
+        caption: post.featured_image_alt || post.title,
+        title: post.title,
+        geoLocation: null,
+      }],
+      videos: [],
     }));
-  } catch (error) {
-    console.error('Error fetching blog posts for sitemap:', error);
-    return [];
+
+  return [...galleryEntries, ...postEntries];
+}
+
+/**
+ * Turn a media reference into an absolute URL
+ * Railway keys go through the /media/ route (see server.js), which redirects
+ * to a freshly presigned URL.
+ */
+function resolveMediaUrl(ref) {
+  if (!ref) return null;
+  if (ref.railway) {
+    return `${SITE_URL}/media/${ref.key.split('/').map(encodeURIComponent).join('/')}`;
   }
+  if (/^https?:\/\//i.test(ref.key)) return ref.key;
+  return SITE_URL + (ref.key.startsWith('/') ? '' : '/') + ref.key;
 }
 
-// Generate XML sitemap
-async function generateXMLSitemap() {
-  const baseUrl = 'https://designwithlighthouse.com';
+/**
+ * Resolve the media URLs of every entry
+ */
+function resolveMediaEntries(entries) {
+  return entries.map(entry => ({
+    ...entry,
+    images: entry.images.map(image => ({ ...image, loc: resolveMediaUrl(image.ref) })),
+    videos: entry.videos.map(video => ({
+      ...video,
+      thumbnailLoc: resolveMediaUrl(video.thumbnail),
+      contentLoc: resolveMediaUrl(video.content),
+    })),
+  }));
+}
+
+// ============================================
+// BUILDING & CACHING
+// ============================================
+
+// Sitemaps listed in the index, in order
+const SITEMAPS = {
+  pages: { load: loadPageEntries },
+  blog: { load: loadBlogEntries },
+  media: {
+    load: loadMediaEntries,
+    resolve: resolveMediaEntries,
+    namespaces: ['image', 'video'],
+  },
+};
+
+/**
+ * Short hash of a value (used for fingerprints and ETags)
+ */
+function hash(value) {
+  return createHash('sha1')
+    .update(typeof value === 'string' ? value : JSON.stringify(value))
+    .digest('base64url')
+    .substring(0, 20);
+}
 
-  // Scan pages directory
-  const pagesDir = path.join(__dirname, '..', '..', 'pages');
-  const pages = scanPagesDirectory(pagesDir);
+/**
+ * File name of a sitemap part (the first part has no number)
+ */
+function getSitemapFilename(name, partNumber) {
+  return partNumber > 1 ? `sitemap-${name}-${partNumber}.xml` : `sitemap-${name}.xml`;
+}
 
-  // Fetch blog posts
-  const blogPosts = await fetchBlogPosts();
+/**
+ * Build one <url> element
+ */
+function buildUrl(entry) {
+  let xml = '  <url>\n';
+  xml += `    <loc>${escapeXml(SITE_URL + entry.url)}</loc>\n`;
+  if (entry.lastmod) {
+    xml += `    <lastmod>${entry.lastmod}</lastmod>\n`;
+  }
+  if (entry.priority !== undefined) {
+    xml += `    <priority>${entry.priority.toFixed(1)}</priority>\n`;
+  }
 
-  // Combine all URLs
-  const allUrls = [...pages, ...blogPosts];
+  for (const image of entry.images || []) {
+    xml += '    <image:image>\n';
+    xml += `      <image:loc>${escapeXml(image.loc)}</image:loc>\n`;
+    if (image.caption) {
+      xml += `      <image:caption>${escapeXml(image.caption)}</image:caption>\n`;
+    }
+    if (image.geoLocation) {
+      xml += `      <image:geo_location>${escapeXml(image.geoLocation)}</image:geo_location>\n`;
+    }
+    if (image.title) {
+      xml += `      <image:title>${escapeXml(image.title)}</image:title>\n`;
+    }
+    xml += '    </image:image>\n';
+  }
 
-  // Build XML
-  let xml = '<?xml version="1.0" encoding="UTF-8"?>\n';
-  xml += '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n';
+  for (const video of entry.videos || []) {
+    xml += '    <video:video>\n';
+    xml += `      <video:thumbnail_loc>${escapeXml(video.thumbnailLoc)}</video:thumbnail_loc>\n`;
+    xml += `      <video:title>${escapeXml(video.title)}</video:title>\n`;
+    xml += `      <video:description>${escapeXml(video.description.substring(0, 2048))}</video:description>\n`;
+    if (video.contentLoc) {
+      xml += `      <video:content_loc>${escapeXml(video.contentLoc)}</video:content_loc>\n`;
+    }
+    if (video.player) {
+      xml += `      <video:player_loc>${escapeXml(video.player)}</video:player_loc>\n`;
+    }
+    xml += '    </video:video>\n';
+  }
 
-  // Add home page (special case - root path)
-  xml += '  <url>\n';
-  xml += `    <loc>${baseUrl}/</loc>\n`;
-  xml += `    <lastmod>${new Date().toISOString().split('T')[0]}</lastmod>\n`;
-  xml += `    <priority>1.0</priority>\n`;
   xml += '  </url>\n';
+  return xml;
+}
+
+/**
+ * Build the <urlset> XML, split into parts of at most 50,000 URLs / 50MB
+ * @returns {Array<{xml: string, etag: string, count: number, lastmod: string|null}>}
+ */
+function buildUrlsets(entries, namespaces = []) {
+  const attributes = [`xmlns="${NAMESPACES.sitemap}"`]
+    .concat(namespaces.map(prefix => `xmlns:${prefix}="${NAMESPACES[prefix]}"`))
+    .join(' ');
+  const open = `${XML_HEADER}<urlset ${attributes}>\n`;
+  const close = '</urlset>\n';
 
-  // Add all other pages
-  for (const page of allUrls) {
-    // Skip index page since we already added it as root
-    if (page.url === '/index') continue;
+  const parts = [];
+  let part = null;
+  for (const entry of entries) {
+    const xml = buildUrl(entry);
+    const bytes = Buffer.byteLength(xml);
+    if (!part || part.count >= MAX_URLS_PER_SITEMAP || part.bytes + bytes > MAX_SITEMAP_BYTES) {
+      part = { urls: [], count: 0, bytes: Buffer.byteLength(open + close), lastmod: null };
+      parts.push(part);
+    }
+    part.urls.push(xml);
+    part.count++;
+    part.bytes += bytes;
+    if (entry.lastmod && (!part.lastmod || entry.lastmod > part.lastmod)) {
+      part.lastmod = entry.lastmod;
+    }
+  }
 
-    xml += '  <url>\n';
-    xml += `    <loc>${baseUrl}${page.url}</loc>\n`;
-    xml += `    <lastmod>${page.lastmod}</lastmod>\n`;
-    xml += `    <priority>${page.priority}</priority>\n`;
-    xml += '  </url>\n';
+  // An empty sitemap is still served (it is just left out of the index)
+  if (parts.length === 0) {
+    parts.push({ urls: [], count: 0, lastmod: null });
   }
 
-  xml += '</urlset>';
+  return parts.map(({ urls, count, lastmod }) => {
+    const xml = open + urls.join('') + close;
+    return { xml, etag: `W/"${hash(xml)}"`, count, lastmod };
+  });
+}
 
-  return xml;
+/**
+ * Get a sitemap's parts
+ * A cached sitemap is served as is until a model write clears the cache or
+ * the TTL runs out. Then the entries are reloaded, and the XML is rebuilt only
+ * if they changed.
+ * @param {string} name - Key of SITEMAPS
+ */
+async function getSitemapParts(name) {
+  const sitemap = SITEMAPS[name];
+  // Taken before loading, so a write made mid-build is picked up next time
+  const generation = getSitemapGeneration();
+  const now = Date.now();
+
+  const cached = cache.get(name);
+  if (cached && cached.generation === generation && now - cached.checkedAt < CACHE_TTL_MS) {
+    return cached;
+  }
+
+  const entries = await sitemap.load();
+  const fingerprint = hash(entries);
+
+  if (cached && cached.fingerprint === fingerprint) {
+    cache.set(name, { ...cached, generation, checkedAt: now });
+  } else {
+    const resolved = sitemap.resolve ? sitemap.resolve(entries) : entries;
+    cache.set(name, {
+      fingerprint,
+      generation,
+      checkedAt: now,
+      lastModified: new Date(now),
+      parts: buildUrlsets(resolved, sitemap.namespaces),
+    });
+  }
+
+  return cache.get(name);
+}
+
+/**
+ * Get the sitemap index (/sitemap.xml)
+ * @returns {Promise<{xml: string, etag: string, lastModified: Date}>}
+ */
+async function getSitemapIndex() {
+  let xml = `${XML_HEADER}<sitemapindex xmlns="${NAMESPACES.sitemap}">\n`;
+  let lastModified = null;
+
+  for (const name of Object.keys(SITEMAPS)) {
+    const sitemap = await getSitemapParts(name);
+    if (!lastModified || sitemap.lastModified > lastModified) {
+      lastModified = sitemap.lastModified;
+    }
+
+    sitemap.parts.forEach((part, index) => {
+      if (part.count === 0) return;
+      xml += '  <sitemap>\n';
+      xml += `    <loc>${SITE_URL}/${getSitemapFilename(name, index + 1)}</loc>\n`;
+      if (part.lastmod) {
+        xml += `    <lastmod>${part.lastmod}</lastmod>\n`;
+      }
+      xml += '  </sitemap>\n';
+    });
+  }
+
+  xml += '</sitemapindex>\n';
+  return { xml, etag: `W/"${hash(xml)}"`, lastModified };
+}
+
+/**
+ * Get one sitemap file from the index
+ * @param {string} filename - e.g. "sitemap-blog.xml" or "sitemap-blog-2.xml"
+ * @returns {Promise<{xml: string, etag: string, lastModified: Date}|null>} null if there is no such file
+ */
+async function getSitemapFile(filename) {
+  const match = /^sitemap-([a-z]+)(?:-([1-9]\d*))?\.xml$/.exec(filename);
+  if (!match || !Object.hasOwn(SITEMAPS, match[1]) || match[2] === '1') {
+    return null;
+  }
+
+  const sitemap = await getSitemapParts(match[1]);
+  const part = sitemap.parts[Number(match[2] || 1) - 1];
+  if (!part) return null;
+
+  return { xml: part.xml, etag: part.etag, lastModified: sitemap.lastModified };
+}
+
+// Generate the sitemap index XML
+async function generateXMLSitemap() {
+  return (await getSitemapIndex()).xml;
 }
 
-export { generateXMLSitemap };
+export { generateXMLSitemap, getSitemapIndex, getSitemapFile, scanPagesDirectory };
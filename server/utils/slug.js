@@ -0,0 +1,50 @@
+/**
+ * URL Slugs
+ *
+ * Shared by every model with a slug column (posts, projects, job postings,
+ * categories, tags, albums).
+ */
+
+import db from '../models/database.js';
+
+/**
+ * Generate URL slug from a title or name (lowercase letters, numbers and dashes)
+ * @param {string} value - Title, name or raw slug
+ * @param {number} maxLength - Longest slug to return (default 100)
+ * @returns {string} URL-safe slug
+ */
+export function generateSlug(value, maxLength = 100) {
+  return String(value)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/-+/g, '-')
+    .replace(/^-|-$/g, '')
+    .substring(0, maxLength);
+}
+
+/**
+ * Ensure slug is unique by appending number if needed
+ * @param {string} table - Table with the slug column (a fixed name, never user input)
+ * @param {string} baseSlug - Base slug to check
+ * @param {number|null} excludeId - Row ID to exclude from check (for updates)
+ * @returns {Promise<string>} Unique slug
+ */
+export async function ensureUniqueSlug(table, baseSlug, excludeId = null) {
+  let slug = baseSlug;
+  let counter = 1;
+
+  while (true) {
+    const query = excludeId
+      ? `SELECT id FROM ${table} WHERE slug = ? AND id != ?`
+      : `SELECT id FROM ${table} WHERE slug = ?`;
+    const params = excludeId ? [slug, excludeId] : [slug];
+    const existing = (await db.prepare(query)).get(...params);
+
+    if (!existing) return slug;
+
+    counter++;
+    slug = `${baseSlug}-${counter}`;
+  }
+}
+
+export default { generateSlug, ensureUniqueSlug };
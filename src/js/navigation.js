@@ -1,5 +1,6 @@
 /**
- * Navigation - mobile menu, scroll effects, active link highlighting
+ * Navigation - mobile menu, scroll effects
+ * (the active nav item is marked on the server, see server/utils/pageIncludes.js)
  */
 
 function navigationComponent() {
@@ -15,7 +16,6 @@ function navigationComponent() {
             if (!this.scrollListenerActive) {
                 this.setupScrollListener();
             }
-            this.highlightActiveLink();
         },
 
         toggleMenu() {
@@ -48,26 +48,6 @@ function navigationComponent() {
             }, { passive: true });
         },
 
-        highlightActiveLink() {
-            const currentPath = window.location.pathname;
-            const navLinks = document.querySelectorAll('.nav-link');
-
-            navLinks.forEach(link => {
-                try {
-                    if (link.href) {
-                        const linkPath = new URL(link.href).pathname;
-                        if (linkPath === currentPath) {
-                            link.classList.add('text-lighthouse-teal', 'font-bold');
-                        } else {
-                            link.classList.remove('text-lighthouse-teal', 'font-bold');
-                        }
-                    }
-                } catch (e) {
-                    // Skip invalid URLs
-                }
-            });
-        },
-
         handleEscape(event) {
             if (event.key === 'Escape' && this.open) {
                 this.closeMenu();
@@ -102,3 +82,103 @@ document.addEventListener('DOMContentLoaded', () => {
         } catch (e) {}
     });
 });
+
+/**
+ * Site search overlay (header partial) - queries /api/search as you type
+ * Opened by the header search buttons, "/" or Ctrl/Cmd+K
+ */
+function siteSearchComponent() {
+    return {
+        isOpen: false,
+        query: '',
+        results: [],
+        counts: {},
+        total: 0,
+        loading: false,
+        error: '',
+        activeIndex: -1,
+        debounceTimer: null,
+        requestId: 0,
+        typeLabels: {
+            page: 'Page',
+            service: 'Service',
+            blog: 'Blog',
+            gallery: 'Gallery'
+        },
+
+        openSearch() {
+            this.isOpen = true;
+            document.body.style.overflow = 'hidden';
+            this.$nextTick(() => this.$refs.searchInput && this.$refs.searchInput.focus());
+        },
+
+        closeSearch() {
+            this.isOpen = false;
+            document.body.style.overflow = '';
+        },
+
+        handleShortcut(event) {
+            const target = event.target;
+            const typing = target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+
+            if ((event.key === 'k' && (event.metaKey || event.ctrlKey)) || (event.key === '/' && !typing)) {
+                event.preventDefault();
+                this.openSearch();
+            } else if (event.key === 'Escape' && this.isOpen) {
+                this.closeSearch();
+            }
+        },
+
+        onInput() {
+            clearTimeout(this.debounceTimer);
+            this.debounceTimer = setTimeout(() => this.search(), 200);
+        },
+
+        async search() {
+            const query = this.query.trim();
+            if (query.length < 2) {
+                this.results = [];
+                this.total = 0;
+                this.error = '';
+                return;
+            }
+
+            // Ignore responses that arrive after a newer query was sent
+            const requestId = ++this.requestId;
+            this.loading = true;
+            this.error = '';
+
+            try {
+                const response = await fetch('/api/search?q=' + encodeURIComponent(query) + '&limit=12');
+                if (!response.ok) throw new Error('Search failed');
+                const data = await response.json();
+                if (requestId !== this.requestId) return;
+
+                this.results = data.results || [];
+                this.counts = data.counts || {};
+                this.total = data.total || 0;
+                this.activeIndex = this.results.length > 0 ? 0 : -1;
+            } catch (e) {
+                if (requestId !== this.requestId) return;
+                console.error('Site search error:', e);
+                this.error = 'Search is unavailable right now.';
+            } finally {
+                if (requestId === this.requestId) this.loading = false;
+            }
+        },
+
+        move(step) {
+            if (this.results.length === 0) return;
+            this.activeIndex = (this.activeIndex + step + this.results.length) % this.results.length;
+            this.$nextTick(() => {
+                const active = this.$refs.resultList && this.$refs.resultList.querySelector('[data-active="true"]');
+                if (active) active.scrollIntoView({ block: 'nearest' });
+            });
+        },
+
+        go() {
+            const result = this.results[this.activeIndex];
+            if (result) window.location.href = result.url;
+        }
+    };
+}